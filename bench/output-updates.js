@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Output update benchmark
+ *
+ * Streams synthetic output through TerminalBuffer into an output block and
+ * compares full-block replacement with the diff-based
+ * DocumentWriter.replaceOutput: bytes of Yjs updates sent per flush, final
+ * encoded document size, and time.
+ *
+ * Usage:
+ *   node bench/output-updates.js [flushes]
+ */
+
+import * as Y from 'yjs';
+
+import { DocumentWriter } from '../src/document.js';
+import { TerminalBuffer } from '../src/terminal.js';
+
+const FLUSHES = Number(process.argv[2]) || 1000;
+
+/**
+ * Previous behaviour: delete the whole block content and reinsert it
+ */
+class FullReplaceWriter extends DocumentWriter {
+  replaceOutput(execId, content) {
+    const block = this.findOutputBlock(execId);
+    if (!block) return false;
+    const normalized = content && !content.endsWith('\n') ? content + '\n' : content;
+    this.ydoc.transact(() => {
+      if (block.contentEnd > block.contentStart) {
+        this.ytext.delete(block.contentStart, block.contentEnd - block.contentStart);
+      }
+      if (normalized) this.ytext.insert(block.contentStart, normalized);
+    });
+    return true;
+  }
+}
+
+/** @type {Object<string, function(number): string>} Output chunk for flush i */
+const SCENARIOS = {
+  // tqdm-style bar redrawn in place
+  'progress bar': (i) => {
+    const pct = Math.floor((i / FLUSHES) * 100);
+    const bar = '█'.repeat(Math.floor(pct / 5)).padEnd(20, ' ');
+    return `${i === 0 ? 'Training\n' : ''}\r${String(pct).padStart(3)}%|${bar}| ${i}/${FLUSHES} [00:${String(i % 60).padStart(2, '0')}<00:10]`;
+  },
+
+  // Log lines appended on every flush
+  'log append': i => `step ${i} loss=${(1 / (i + 1)).toFixed(6)}\n`,
+
+  // Several bars redrawn with cursor-up (rich / nested tqdm)
+  'multi-bar redraw': (i) => {
+    const lines = [0, 1, 2].map(k => `task ${k}: ${String((i * (k + 1)) % 101).padStart(3)}%`);
+    return (i === 0 ? '' : '\x1b[3A') + lines.map(line => `\r${line}\x1b[K\n`).join('');
+  },
+};
+
+function run(Writer, scenario) {
+  const ydoc = new Y.Doc();
+  const ytext = ydoc.getText('content');
+  ytext.insert(0, '# Notebook\n\n```python\ntrain()\n```\n```output:exec-bench\n```\n\nMore text.\n');
+
+  const writer = new Writer(ydoc);
+  writer.anchorOutputBlock('exec-bench');
+
+  let updateBytes = 0;
+  ydoc.on('update', (update) => {
+    updateBytes += update.length;
+  });
+
+  const buffer = new TerminalBuffer();
+  const started = process.hrtime.bigint();
+  for (let i = 0; i < FLUSHES; i++) {
+    buffer.write(scenario(i));
+    writer.replaceOutput('exec-bench', buffer.toString());
+  }
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+
+  return {
+    ms,
+    updateBytes,
+    docBytes: Y.encodeStateAsUpdate(ydoc).length,
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MiB`;
+}
+
+const rows = [];
+for (const [name, scenario] of Object.entries(SCENARIOS)) {
+  for (const [strategy, Writer] of [['full replace', FullReplaceWriter], ['diff', DocumentWriter]]) {
+    const result = run(Writer, scenario);
+    rows.push({
+      scenario: name,
+      strategy,
+      'update bytes/flush': formatBytes(Math.round(result.updateBytes / FLUSHES)),
+      'total updates': formatBytes(result.updateBytes),
+      'final doc': formatBytes(result.docBytes),
+      'time (ms)': result.ms.toFixed(1),
+    });
+  }
+}
+
+console.log(`${FLUSHES} flushes per scenario\n`);
+console.table(rows);
@@ -8,18 +8,60 @@
  * Usage:
  *   mrmd-monitor ws://localhost:4444
  *   mrmd-monitor --doc notebook.md ws://localhost:4444
+ *   mrmd-monitor --discover --project-root ./project ws://localhost:4444
+ *   mrmd-monitor run --doc notebook.md --runtime python=http://localhost:8000/mrp/v1 ws://localhost:4444
+ *   mrmd-monitor history --journal history.jsonl --since 1d
  */
 
 import { RuntimeMonitor } from '../src/monitor.js';
+import { MonitorManager } from '../src/manager.js';
+import { createDirectoryDiscovery, createEndpointDiscovery } from '../src/discovery.js';
+import { readJournal, summarizeJournal } from '../src/journal.js';
+import { createStatusServer } from '../src/http.js';
+import { createMonitorMetrics } from '../src/metrics.js';
 
 // Parse arguments
 const args = process.argv.slice(2);
 
+// `run` executes the document's cells once; `history` queries the journal
+const command = ['run', 'history'].includes(args[0]) ? args.shift() : 'monitor';
+
 const options = {
   doc: null,
   projectRoot: null,
+  roomsUrl: null,
+  discover: false,
+  discoverInterval: 10,
+  concurrency: 1,
+  timeout: null,
+  idleTimeout: null,
+  runtimeTimeouts: {},
+  tableTimeout: null,
+  tableCache: true,
+  ansi: false,
+  scrollback: 10000,
+  outputLogDir: null,
+  assetThreshold: 65536,
+  assetGcInterval: 3600,
+  displayInDocument: false,
+  retainPerCell: null,
+  retainMaxAge: null,
+  archive: null,
+  journal: null,
+  httpPort: null,
+  httpHost: '127.0.0.1',
+  cell: null,
+  exec: null,
+  since: null,
+  until: null,
+  events: false,
+  json: false,
+  rerun: null,
   logLevel: 'info',
   name: 'mrmd-monitor',
+  runtimes: {},
+  session: null,
+  continueOnError: false,
 };
 
 let syncUrl = null;
@@ -30,21 +72,87 @@ mrmd-monitor - Headless Yjs peer for execution monitoring
 
 Usage:
   mrmd-monitor [options] <sync-url>
+  mrmd-monitor run --doc <path> --runtime <lang>=<url> [options] <sync-url>
+  mrmd-monitor history --journal <file> [query options]
+  mrmd-monitor history --journal <file> --rerun <execId> <sync-url>
 
 Arguments:
   sync-url              WebSocket URL for mrmd-sync (e.g., ws://localhost:4444)
 
 Options:
-  --doc <path>          Document to monitor (default: first document)
+  --doc <path>          Document to monitor (default: "default", or every
+                        discovered document with --discover / --rooms-url)
   --project-root <dir>  Project root for linked-table assets/materialization
+  --discover            Monitor every notebook under --project-root
+  --rooms-url <url>     Room-list endpoint used to discover documents
+  --discover-interval <seconds>
+                        How often to re-run document discovery (default: 10)
+  --concurrency <n>     Concurrent executions per runtime session (default: 1)
+  --timeout <seconds>   Default time limit per execution (default: none)
+  --idle-timeout <seconds>
+                        Fail executions with no runtime events for this long (default: none)
+  --runtime-timeout <url>=<seconds>
+  --runtime-idle-timeout <url>=<seconds>
+                        Per-runtime defaults for the two limits above (repeatable)
+  --table-timeout <seconds>
+                        Default time limit per linked-table job (default: none)
+  --no-table-cache      Always re-run linked-table transforms, even when the
+                        cache's fingerprint matches
+  --ansi                Keep output colors as ANSI sequences (default: plain text)
+  --scrollback <lines>  Max lines kept in an output block, 0 for unlimited (default: 10000)
+  --output-log-dir <dir>
+                        Write each execution's full raw output to <dir>/<execId>.log
+  --asset-threshold <bytes>
+                        Store display outputs this large under
+                        <project-root>/_assets/outputs, 0 keeps them inline (default: 65536)
+  --asset-gc-interval <seconds>
+                        How often to delete unreferenced output assets when
+                        monitoring all documents, 0 disables (default: 3600)
+  --display-in-document
+                        Also write rich outputs (images, HTML, markdown) into
+                        the document after each output block
+  --retain-per-cell <n> Keep the last n finished executions per cell (and table
+                        jobs per table); older ones are pruned (default: keep all)
+  --retain-max-age <seconds>
+                        Prune finished executions and table jobs older than this
+  --archive <file>      Append pruned entries to this JSONL file first
+  --journal <file>      Append every execution state transition to this JSONL file
+  --http-port <port>    Serve the status and control API (and Prometheus
+                        /metrics) on this port
+  --http-host <host>    Interface for the HTTP API (default: 127.0.0.1)
   --name <name>         Monitor name for Awareness (default: mrmd-monitor)
   --log-level <level>   Log level: debug, info, warn, error (default: info)
   --help, -h            Show this help
 
+Run options (mrmd-monitor run):
+  --runtime <lang>=<url>
+                        MRP runtime for a cell language (repeatable); cells in
+                        other languages are skipped
+  --session <id>        MRP session to run the cells in (default: default)
+  --continue-on-error   Keep running cells after one fails
+
+History options (mrmd-monitor history):
+  --doc <path>          Only executions of this document
+  --cell <id>           Only executions of this cell
+  --exec <id>           Only this execution
+  --since <time>        Not before this time: ISO date or age like 30m, 12h, 7d
+  --until <time>        Not after this time
+  --events              List every transition instead of one line per execution
+  --json                Print matching events as JSONL
+  --rerun <execId>      Run a past execution's cell again (needs <sync-url>)
+
 Examples:
   mrmd-monitor ws://localhost:4444
   mrmd-monitor --doc notebook.md ws://localhost:4444
+  mrmd-monitor --discover --project-root ./project ws://localhost:4444
+  mrmd-monitor --rooms-url http://localhost:4444/rooms ws://localhost:4444
   mrmd-monitor --log-level debug ws://localhost:4444
+  mrmd-monitor run --doc report.md --runtime python=http://localhost:8000/mrp/v1 ws://localhost:4444
+  mrmd-monitor history --journal history.jsonl --doc report.md --since 1d
+
+With --rooms-url, or --discover and --project-root, documents are discovered
+and attached/detached as they come and go (unless --doc picks one). Otherwise
+the --doc room, or the "default" room, is monitored.
 
 The monitor connects to mrmd-sync as a Yjs peer and:
   - Watches for execution requests in Y.Map('executions')
@@ -52,9 +160,82 @@ The monitor connects to mrmd-sync as a Yjs peer and:
   - Claims and executes requests via MRP runtimes / linked-table runtime
   - Writes output and table snapshot rewrites through Yjs
   - Handles stdin requests from runtimes
+
+The run command executes the document's code cells in order with no browser
+attached, writes their output blocks itself, and exits non-zero if a cell
+does not complete.
+
+The history command reads a --journal file. With --rerun it finds the cell
+that still has the past execution's code and runs it again on the same
+runtime and session.
 `);
 }
 
+/**
+ * Parse an ISO date or an age like "30m" into a timestamp
+ *
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseTime(value) {
+  const age = /^(\d+(?:\.\d+)?)(s|m|h|d)$/.exec(value || '');
+  if (age) {
+    const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[age[2]];
+    return Date.now() - Number(age[1]) * unit;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Format a duration in ms for the history listing
+ *
+ * @param {number|null} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m${Math.round((ms % 60000) / 1000)}s`;
+}
+
+/**
+ * Print journal events for the history command
+ *
+ * @param {Object[]} events
+ */
+function printHistory(events) {
+  if (options.json) {
+    for (const event of events) console.log(JSON.stringify(event));
+    return;
+  }
+
+  if (options.events) {
+    for (const event of events) {
+      const durations = Object.entries(event.durations || {})
+        .map(([name, ms]) => `${name}=${formatDuration(ms)}`)
+        .join(' ');
+      console.log([event.ts, event.event.padEnd(9), event.execId, durations].filter(Boolean).join('  '));
+    }
+    return;
+  }
+
+  for (const run of summarizeJournal(events)) {
+    const firstLine = (run.code || '').split('\n')[0];
+    console.log([
+      run.requestedAt,
+      run.status.padEnd(9),
+      formatDuration(run.totalMs).padStart(7),
+      run.execId,
+      run.doc || '-',
+      run.cellId || '-',
+      run.language,
+      firstLine.length > 40 ? firstLine.slice(0, 39) + '…' : firstLine,
+    ].join('  '));
+  }
+}
+
 // Parse arguments
 for (let i = 0; i < args.length; i++) {
   const arg = args[i];
@@ -74,12 +255,138 @@ for (let i = 0; i < args.length; i++) {
       console.error('Error: --project-root requires a path');
       process.exit(1);
     }
+  } else if (arg === '--rooms-url') {
+    options.roomsUrl = args[++i];
+    if (!options.roomsUrl) {
+      console.error('Error: --rooms-url requires a URL');
+      process.exit(1);
+    }
+  } else if (arg === '--discover') {
+    options.discover = true;
+  } else if (arg === '--discover-interval') {
+    options.discoverInterval = Number(args[++i]);
+    if (!Number.isFinite(options.discoverInterval) || options.discoverInterval < 0) {
+      console.error('Error: --discover-interval requires a number of seconds');
+      process.exit(1);
+    }
+  } else if (arg === '--concurrency') {
+    options.concurrency = Number(args[++i]);
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+      console.error('Error: --concurrency requires a positive integer');
+      process.exit(1);
+    }
+  } else if (arg === '--timeout' || arg === '--idle-timeout' || arg === '--table-timeout') {
+    const value = Number(args[++i]);
+    if (!Number.isFinite(value) || value <= 0) {
+      console.error(`Error: ${arg} requires a positive number of seconds`);
+      process.exit(1);
+    }
+    options[{ '--timeout': 'timeout', '--idle-timeout': 'idleTimeout', '--table-timeout': 'tableTimeout' }[arg]] = value;
+  } else if (arg === '--runtime-timeout' || arg === '--runtime-idle-timeout') {
+    const spec = args[++i] || '';
+    const eq = spec.lastIndexOf('=');
+    const seconds = Number(spec.slice(eq + 1));
+    if (eq <= 0 || !Number.isFinite(seconds) || seconds <= 0) {
+      console.error(`Error: ${arg} requires <url>=<seconds>`);
+      process.exit(1);
+    }
+    const limits = options.runtimeTimeouts[spec.slice(0, eq)] ||= {};
+    limits[arg === '--runtime-timeout' ? 'timeoutMs' : 'idleTimeoutMs'] = seconds * 1000;
+  } else if (arg === '--ansi') {
+    options.ansi = true;
+  } else if (arg === '--scrollback') {
+    options.scrollback = Number(args[++i]);
+    if (!Number.isInteger(options.scrollback) || options.scrollback < 0) {
+      console.error('Error: --scrollback requires a number of lines');
+      process.exit(1);
+    }
+  } else if (arg === '--output-log-dir') {
+    options.outputLogDir = args[++i];
+    if (!options.outputLogDir) {
+      console.error('Error: --output-log-dir requires a path');
+      process.exit(1);
+    }
+  } else if (arg === '--asset-threshold' || arg === '--asset-gc-interval') {
+    const value = Number(args[++i]);
+    if (!Number.isFinite(value) || value < 0) {
+      console.error(`Error: ${arg} requires a non-negative number`);
+      process.exit(1);
+    }
+    options[arg === '--asset-threshold' ? 'assetThreshold' : 'assetGcInterval'] = value;
+  } else if (arg === '--display-in-document') {
+    options.displayInDocument = true;
+  } else if (arg === '--no-table-cache') {
+    options.tableCache = false;
+  } else if (arg === '--retain-per-cell') {
+    options.retainPerCell = Number(args[++i]);
+    if (!Number.isInteger(options.retainPerCell) || options.retainPerCell < 1) {
+      console.error('Error: --retain-per-cell requires a positive integer');
+      process.exit(1);
+    }
+  } else if (arg === '--retain-max-age') {
+    options.retainMaxAge = Number(args[++i]);
+    if (!Number.isFinite(options.retainMaxAge) || options.retainMaxAge <= 0) {
+      console.error('Error: --retain-max-age requires a number of seconds');
+      process.exit(1);
+    }
+  } else if (arg === '--archive') {
+    options.archive = args[++i];
+    if (!options.archive) {
+      console.error('Error: --archive requires a path');
+      process.exit(1);
+    }
+  } else if (arg === '--http-port') {
+    options.httpPort = Number(args[++i]);
+    if (!Number.isInteger(options.httpPort) || options.httpPort < 0 || options.httpPort > 65535) {
+      console.error('Error: --http-port requires a port number');
+      process.exit(1);
+    }
+  } else if (arg === '--http-host') {
+    options.httpHost = args[++i];
+    if (!options.httpHost) {
+      console.error('Error: --http-host requires a host');
+      process.exit(1);
+    }
+  } else if (['--journal', '--cell', '--exec', '--rerun'].includes(arg)) {
+    const key = arg.slice(2);
+    options[key] = args[++i];
+    if (!options[key]) {
+      console.error(`Error: ${arg} requires a value`);
+      process.exit(1);
+    }
+  } else if (arg === '--since' || arg === '--until') {
+    const value = parseTime(args[++i]);
+    if (value === null) {
+      console.error(`Error: ${arg} requires an ISO date or an age like 30m, 12h or 7d`);
+      process.exit(1);
+    }
+    options[arg.slice(2)] = value;
+  } else if (arg === '--events') {
+    options.events = true;
+  } else if (arg === '--json') {
+    options.json = true;
   } else if (arg === '--name') {
     options.name = args[++i];
     if (!options.name) {
       console.error('Error: --name requires a value');
       process.exit(1);
     }
+  } else if (arg === '--runtime') {
+    const spec = args[++i] || '';
+    const eq = spec.indexOf('=');
+    if (eq <= 0 || eq === spec.length - 1) {
+      console.error('Error: --runtime requires <lang>=<url>');
+      process.exit(1);
+    }
+    options.runtimes[spec.slice(0, eq)] = spec.slice(eq + 1);
+  } else if (arg === '--session') {
+    options.session = args[++i];
+    if (!options.session) {
+      console.error('Error: --session requires an ID');
+      process.exit(1);
+    }
+  } else if (arg === '--continue-on-error') {
+    options.continueOnError = true;
   } else if (arg === '--log-level') {
     options.logLevel = args[++i];
     if (!['debug', 'info', 'warn', 'error'].includes(options.logLevel)) {
@@ -96,18 +403,86 @@ for (let i = 0; i < args.length; i++) {
 }
 
 // Validate
+if (command === 'history' && !options.journal) {
+  console.error('Error: history requires --journal <file>');
+  process.exit(1);
+}
+
+// Query the journal; only --rerun goes on to connect
+let pastExecution = null;
+if (command === 'history') {
+  let events;
+  try {
+    events = await readJournal(options.journal, {
+      doc: options.rerun ? undefined : options.doc || undefined,
+      cellId: options.cell || undefined,
+      execId: options.rerun || options.exec || undefined,
+      since: options.since ?? undefined,
+      until: options.until ?? undefined,
+    });
+  } catch (err) {
+    console.error(`Error: cannot read journal: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!options.rerun) {
+    printHistory(events);
+    process.exit(0);
+  }
+
+  pastExecution = summarizeJournal(events)[0] || null;
+  if (!pastExecution || pastExecution.code === null) {
+    console.error(`Error: ${options.rerun} is not in the journal`);
+    process.exit(1);
+  }
+  options.doc = options.doc || pastExecution.doc;
+  if (!options.doc) {
+    console.error('Error: the journal has no document for this execution; pass --doc');
+    process.exit(1);
+  }
+}
+
 if (!syncUrl) {
   console.error('Error: sync-url is required');
   console.error('Run with --help for usage');
   process.exit(1);
 }
 
+if (options.archive && !options.retainPerCell && !options.retainMaxAge) {
+  console.error('Error: --archive requires --retain-per-cell or --retain-max-age');
+  process.exit(1);
+}
+
+if (options.discover && !options.projectRoot && !options.roomsUrl) {
+  console.error('Error: --discover requires --project-root or --rooms-url');
+  process.exit(1);
+}
+
+if (command === 'run') {
+  if (!options.doc) {
+    console.error('Error: run requires --doc');
+    process.exit(1);
+  }
+  if (Object.keys(options.runtimes).length === 0) {
+    console.error('Error: run requires at least one --runtime <lang>=<url>');
+    process.exit(1);
+  }
+}
+
 // Ensure URL has protocol
 if (!syncUrl.startsWith('ws://') && !syncUrl.startsWith('wss://')) {
   syncUrl = 'ws://' + syncUrl;
 }
 
-// Document path - if not specified, use a default
+// Discovery is opt-in (--rooms-url or --discover); otherwise one room is monitored
+let discover = null;
+if (!options.doc && command !== 'run') {
+  if (options.roomsUrl) {
+    discover = createEndpointDiscovery(options.roomsUrl);
+  } else if (options.discover) {
+    discover = createDirectoryDiscovery(options.projectRoot);
+  }
+}
 const docPath = options.doc || 'default';
 
 // Logging
@@ -138,16 +513,68 @@ console.log('');
 console.log('\x1b[36m%s\x1b[0m', '  mrmd-monitor');
 console.log('  ────────────');
 console.log(`  Sync:     ${syncUrl}`);
-console.log(`  Document: ${docPath}`);
+console.log(`  Document: ${discover ? `(all, via ${options.roomsUrl || 'project root'})` : docPath}`);
 console.log(`  Project:  ${options.projectRoot || '(none)'}`);
 console.log(`  Name:     ${options.name}`);
 console.log('');
 
-const monitor = new RuntimeMonitor(syncUrl, docPath, {
+// Metrics are only recorded when something can scrape them
+const metrics = options.httpPort !== null ? createMonitorMetrics() : null;
+
+const monitorOptions = {
   name: options.name,
   projectRoot: options.projectRoot || undefined,
+  executionConcurrency: options.concurrency,
+  timeoutMs: options.timeout ? options.timeout * 1000 : null,
+  idleTimeoutMs: options.idleTimeout ? options.idleTimeout * 1000 : null,
+  runtimeTimeouts: options.runtimeTimeouts,
+  tableTimeoutMs: options.tableTimeout ? options.tableTimeout * 1000 : null,
+  reuseTableCaches: options.tableCache,
+  ansiOutput: options.ansi,
+  scrollbackLines: options.scrollback || null,
+  outputLogDir: options.outputLogDir,
+  assetThresholdBytes: options.assetThreshold || null,
+  displayInDocument: options.displayInDocument,
+  journalPath: options.journal,
+  metrics,
+  retention: options.retainPerCell || options.retainMaxAge
+    ? {
+      keepPerCell: options.retainPerCell,
+      maxAgeMs: options.retainMaxAge ? options.retainMaxAge * 1000 : null,
+      archivePath: options.archive,
+    }
+    : null,
   log,
-});
+};
+
+const monitor = discover
+  ? new MonitorManager(syncUrl, {
+    discover,
+    discoverIntervalMs: options.discoverInterval * 1000,
+    assetGcIntervalMs: options.assetGcInterval * 1000,
+    log,
+    monitorOptions,
+  })
+  : new RuntimeMonitor(syncUrl, docPath, command === 'monitor'
+    ? monitorOptions
+    // One-off runs only execute their own cells: no browser requests, no table jobs
+    : { ...monitorOptions, claimRequests: false, enableTableJobs: false });
+
+// Status and control API
+let statusServer = null;
+if (options.httpPort !== null) {
+  try {
+    statusServer = await createStatusServer(monitor, {
+      port: options.httpPort,
+      host: options.httpHost,
+      metrics,
+      log,
+    });
+  } catch (err) {
+    console.error(`Failed to start HTTP API on ${options.httpHost}:${options.httpPort}:`, err.message);
+    process.exit(1);
+  }
+}
 
 // Handle shutdown
 let shuttingDown = false;
@@ -163,7 +590,13 @@ async function shutdown(signal) {
     message: `Received ${signal}, shutting down...`,
   }));
 
-  monitor.disconnect();
+  statusServer?.close();
+
+  if (discover) {
+    monitor.stop();
+  } else {
+    monitor.disconnect();
+  }
 
   // Give time for cleanup
   setTimeout(() => {
@@ -174,16 +607,53 @@ async function shutdown(signal) {
 process.on('SIGINT', () => shutdown('SIGINT'));
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-// Connect
-monitor.connect()
-  .then(() => {
+// Run the document's cells (or a past execution's cell) once, then exit
+if (command === 'run' || command === 'history') {
+  try {
+    await monitor.connect();
+    const results = command === 'run'
+      ? await monitor.runCells({
+        runtimes: options.runtimes,
+        session: options.session || undefined,
+        stopOnError: !options.continueOnError,
+      })
+      : [await monitor.rerunExecution(pastExecution)];
+
+    const failed = results.filter(result => result.status !== 'completed');
     log(JSON.stringify({
       timestamp: new Date().toISOString(),
-      level: 'info',
-      message: 'Monitor ready, waiting for execution requests...',
+      level: failed.length > 0 ? 'error' : 'info',
+      message: 'Run finished',
+      cells: results.length,
+      failed: failed.length,
     }));
-  })
-  .catch((err) => {
-    console.error('Failed to connect:', err.message);
+
+    // Let the last output updates reach the sync server
+    if (!await monitor.flushUpdates()) {
+      log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'warn',
+        message: 'Sync server did not confirm the last updates before exit',
+      }));
+    }
+    monitor.disconnect();
+    process.exit(failed.length > 0 ? 1 : 0);
+  } catch (err) {
+    console.error('Run failed:', err.message);
     process.exit(1);
-  });
+  }
+} else {
+  // Connect
+  (discover ? monitor.start() : monitor.connect())
+    .then(() => {
+      log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: 'Monitor ready, waiting for execution requests...',
+      }));
+    })
+    .catch((err) => {
+      console.error('Failed to connect:', err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,338 @@
+/**
+ * Output Assets
+ *
+ * Content-addressed store for large display outputs. Payloads above a size
+ * threshold are written to `<projectRoot>/_assets/outputs/<sha256>.<ext>`
+ * and the `executions` Y.Map keeps only a small reference, so peers don't
+ * re-download base64 images on every update.
+ *
+ * @module mrmd-monitor/assets
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import fsPromises from 'node:fs/promises';
+import path from 'node:path';
+
+/** Project-relative directory for output assets */
+export const OUTPUT_ASSET_DIR = '_assets/outputs';
+
+/** Payloads at or above this many bytes are stored as assets */
+export const DEFAULT_ASSET_THRESHOLD = 64 * 1024;
+
+/** Matches output asset paths in text, capturing the hash */
+const ASSET_REFERENCE = /_assets\/outputs\/([0-9a-f]{64})\b/g;
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf',
+  'text/html': 'html',
+  'text/markdown': 'md',
+  'text/latex': 'tex',
+  'text/plain': 'txt',
+  'application/json': 'json',
+};
+
+/**
+ * @typedef {Object} AssetReference
+ * @property {string} assetId - Project-relative path (`_assets/outputs/<hash>.<ext>`)
+ * @property {string} mimeType
+ * @property {number} size - Bytes on disk
+ * @property {string} hash - SHA-256 of the stored bytes (hex)
+ */
+
+/**
+ * @typedef {Object} AssetStoreOptions
+ * @property {number} [thresholdBytes=65536] - Smallest payload stored as an asset
+ * @property {number} [minAgeMs=3600000] - Unreferenced assets younger than this survive garbage collection
+ */
+
+/**
+ * Whether a MIME type carries base64-encoded binary data
+ *
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+export function isBinaryMimeType(mimeType) {
+  if (!mimeType) return false;
+  if (mimeType === 'image/svg+xml') return false;
+  return /^(image|audio|video)\//.test(mimeType)
+    || mimeType === 'application/pdf'
+    || mimeType === 'application/octet-stream';
+}
+
+/**
+ * Whether a MIME type carries JSON (`application/json`, `application/vnd.*+json`)
+ *
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function isJsonMimeType(mimeType) {
+  return mimeType === 'application/json' || /\+json$/.test(mimeType || '');
+}
+
+/**
+ * File extension for a MIME type
+ *
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function extensionFor(mimeType) {
+  if (EXTENSIONS[mimeType]) return EXTENSIONS[mimeType];
+  if (isJsonMimeType(mimeType)) return 'json';
+  if (/^text\//.test(mimeType || '')) return 'txt';
+  return 'bin';
+}
+
+/**
+ * Bytes to store for a display payload
+ *
+ * @param {string} mimeType
+ * @param {*} data
+ * @returns {Buffer}
+ */
+function encodePayload(mimeType, data) {
+  if (typeof data !== 'string') {
+    return Buffer.from(JSON.stringify(data), 'utf8');
+  }
+  return Buffer.from(data, isBinaryMimeType(mimeType) ? 'base64' : 'utf8');
+}
+
+/**
+ * Add every output asset hash mentioned in `text` to `hashes`
+ *
+ * @param {string} text
+ * @param {Set<string>} [hashes]
+ * @returns {Set<string>}
+ */
+export function findAssetReferences(text, hashes = new Set()) {
+  for (const match of String(text).matchAll(ASSET_REFERENCE)) {
+    hashes.add(match[1]);
+  }
+  return hashes;
+}
+
+/**
+ * Collect the output assets referenced by notebooks on disk
+ *
+ * Walks `projectRoot` for `.md` files, skipping hidden directories,
+ * `node_modules` and `_assets`.
+ *
+ * @param {string} projectRoot
+ * @param {Set<string>} [hashes]
+ * @returns {Promise<Set<string>>}
+ */
+export async function scanProjectAssetReferences(projectRoot, hashes = new Set()) {
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (entry.name === 'node_modules' || entry.name === '_assets') continue;
+        await walk(fullPath);
+      } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.md')) {
+        try {
+          findAssetReferences(await fsPromises.readFile(fullPath, 'utf8'), hashes);
+        } catch {
+          // Deleted or unreadable between readdir and readFile
+        }
+      }
+    }
+  }
+
+  await walk(path.resolve(projectRoot));
+  return hashes;
+}
+
+/**
+ * Content-addressed output asset store
+ *
+ * Writes are synchronous so display outputs keep their order in the
+ * execution entry; payloads are bounded by what a runtime sends in one
+ * event.
+ */
+export class AssetStore {
+  /**
+   * @param {string} projectRoot
+   * @param {AssetStoreOptions} [options]
+   */
+  constructor(projectRoot, options = {}) {
+    if (!projectRoot) {
+      throw new TypeError('AssetStore requires a project root');
+    }
+
+    /** @type {string} */
+    this.projectRoot = path.resolve(projectRoot);
+
+    /** @type {string} Absolute asset directory */
+    this.dir = path.join(this.projectRoot, OUTPUT_ASSET_DIR);
+
+    /** @type {AssetStoreOptions} */
+    this.options = {
+      thresholdBytes: DEFAULT_ASSET_THRESHOLD,
+      minAgeMs: 60 * 60 * 1000,
+      ...options,
+    };
+  }
+
+  /**
+   * Replace a large display payload with an asset reference
+   *
+   * Displays without inline data, or smaller than the threshold, are
+   * returned unchanged. Identical payloads map to the same file.
+   *
+   * @param {{mimeType: string, data?: *}} display
+   * @param {Object} [options]
+   * @param {number} [options.thresholdBytes] - Overrides the store's threshold (0 stores everything)
+   * @returns {Object} The display, or an {@link AssetReference}
+   */
+  store(display, { thresholdBytes = this.options.thresholdBytes } = {}) {
+    if (!display || display.data === undefined || display.data === null || display.assetId) {
+      return display;
+    }
+
+    const bytes = encodePayload(display.mimeType, display.data);
+    if (bytes.length < thresholdBytes) {
+      return display;
+    }
+
+    const hash = crypto.createHash('sha256').update(bytes).digest('hex');
+    const fileName = `${hash}.${extensionFor(display.mimeType)}`;
+    const filePath = path.join(this.dir, fileName);
+
+    if (fs.existsSync(filePath)) {
+      // Refresh mtime so a concurrent garbage collection keeps the file
+      const now = new Date();
+      fs.utimesSync(filePath, now, now);
+    } else {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const tempPath = path.join(this.dir, `.${fileName}.${process.pid}.tmp`);
+      fs.writeFileSync(tempPath, bytes);
+      fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+      assetId: `${OUTPUT_ASSET_DIR}/${fileName}`,
+      mimeType: display.mimeType,
+      size: bytes.length,
+      hash,
+    };
+  }
+
+  /**
+   * Absolute path of an asset, or null if the ID is outside the store
+   *
+   * @param {string} assetId
+   * @returns {string|null}
+   */
+  resolve(assetId) {
+    if (typeof assetId !== 'string') return null;
+    const filePath = path.resolve(this.projectRoot, assetId);
+    return path.dirname(filePath) === this.dir ? filePath : null;
+  }
+
+  /**
+   * Read an asset back into an inline display payload
+   *
+   * @param {AssetReference} ref
+   * @returns {Promise<{mimeType: string, data: *}|null>} null if missing
+   */
+  async read(ref) {
+    const filePath = this.resolve(ref?.assetId);
+    if (!filePath) return null;
+
+    let bytes;
+    try {
+      bytes = await fsPromises.readFile(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    let data;
+    if (isBinaryMimeType(ref.mimeType)) {
+      data = bytes.toString('base64');
+    } else if (isJsonMimeType(ref.mimeType)) {
+      data = JSON.parse(bytes.toString('utf8'));
+    } else {
+      data = bytes.toString('utf8');
+    }
+    return { mimeType: ref.mimeType, data };
+  }
+
+  /**
+   * Delete assets whose hash isn't in `referenced`
+   *
+   * Files modified within `minAgeMs` are kept, so an asset written for an
+   * execution that hasn't reached the document yet is never collected.
+   *
+   * @param {Set<string>} referenced - Referenced asset hashes
+   * @param {Object} [options]
+   * @param {number} [options.minAgeMs] - Overrides the store's grace period
+   * @returns {Promise<{removed: string[], kept: number}>} Removed asset IDs
+   */
+  async collectGarbage(referenced, { minAgeMs = this.options.minAgeMs } = {}) {
+    let entries;
+    try {
+      entries = await fsPromises.readdir(this.dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return { removed: [], kept: 0 };
+      throw err;
+    }
+
+    const cutoff = Date.now() - minAgeMs;
+    const removed = [];
+    let kept = 0;
+
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+
+      const hash = /^\.?([0-9a-f]{64})\./.exec(entry.name)?.[1];
+      if (!hash) continue;
+
+      const filePath = path.join(this.dir, entry.name);
+      const isTemp = entry.name.startsWith('.');
+      if (!isTemp && referenced.has(hash)) {
+        kept++;
+        continue;
+      }
+
+      try {
+        const { mtimeMs } = await fsPromises.stat(filePath);
+        if (mtimeMs > cutoff) {
+          kept++;
+          continue;
+        }
+        await fsPromises.unlink(filePath);
+        if (!isTemp) removed.push(`${OUTPUT_ASSET_DIR}/${entry.name}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+
+    return { removed, kept };
+  }
+}
+
+/**
+ * Create an output asset store
+ *
+ * @param {string} projectRoot
+ * @param {AssetStoreOptions} [options]
+ * @returns {AssetStore}
+ */
+export function createAssetStore(projectRoot, options = {}) {
+  return new AssetStore(projectRoot, options);
+}
@@ -0,0 +1,160 @@
+/**
+ * Code Cells
+ *
+ * Finds executable code fences in notebook markdown, along with the
+ * `output:<execId>` block that follows each one, for headless runs.
+ *
+ * @module mrmd-monitor/cells
+ */
+
+import { DISPLAY_FENCE_PREFIX, findDisplayRegion } from './display.js';
+
+/**
+ * @typedef {Object} CodeCell
+ * @property {number} index - Ordinal among the code cells in the document
+ * @property {string} language - First word of the fence info string
+ * @property {string} code - Cell source (without fences)
+ * @property {number} start - Index of the opening fence
+ * @property {number} end - Index just past the closing fence line
+ */
+
+/**
+ * @typedef {Object} FencedOutput
+ * @property {string} execId - Execution ID in the marker
+ * @property {number} start - Index of the ```output:<execId> marker
+ * @property {number} end - Index just past the closing fence line, or past the display region after it
+ *   (just past the marker line if the block is unterminated)
+ */
+
+const FENCE_OPEN = /^(`{3,})[ \t]*([^`\s]*)[^`\n]*$/;
+
+/**
+ * Split text into lines with their start offsets
+ *
+ * @param {string} text
+ * @param {number} [from=0]
+ * @returns {{text: string, start: number, end: number}[]} `end` is past the newline
+ */
+function splitLines(text, from = 0) {
+  const lines = [];
+  let pos = from;
+  while (pos < text.length) {
+    const newline = text.indexOf('\n', pos);
+    const end = newline === -1 ? text.length : newline + 1;
+    lines.push({ text: text.slice(pos, newline === -1 ? end : newline).replace(/\r$/, ''), start: pos, end });
+    pos = end;
+  }
+  return lines;
+}
+
+/**
+ * Find the line index closing a fence opened with `fence`
+ *
+ * @param {{text: string}[]} lines
+ * @param {number} from - First line after the opening fence
+ * @param {string} fence - Opening backtick run
+ * @returns {number} Line index, or -1 if unterminated
+ */
+function findClosingLine(lines, from, fence) {
+  for (let i = from; i < lines.length; i++) {
+    const trimmed = lines[i].text.trimEnd();
+    if (trimmed.startsWith(fence) && /^`+$/.test(trimmed)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Find the line index closing an output block
+ *
+ * An output block never contains a code fence, so one that is still open
+ * at the next fence with an info string (half-synced or hand-edited) is
+ * unterminated rather than closed by that cell's closing fence.
+ *
+ * @param {{text: string}[]} lines
+ * @param {number} from - First line after the marker
+ * @returns {number} Line index, or -1 if unterminated
+ */
+function findOutputClosingLine(lines, from) {
+  for (let i = from; i < lines.length; i++) {
+    const open = FENCE_OPEN.exec(lines[i].text);
+    if (open?.[2]) return -1;
+    if (open) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parse the code cells of a markdown document
+ *
+ * Output blocks (```output:<execId>), fenced display outputs
+ * (```display:<mimeType>) and unterminated fences are skipped.
+ *
+ * @param {string} text
+ * @returns {CodeCell[]}
+ */
+export function parseCodeCells(text) {
+  const lines = splitLines(text);
+  const cells = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = FENCE_OPEN.exec(lines[i].text);
+    if (!open) continue;
+
+    const language = open[2];
+    if (language.startsWith('output:')) {
+      // An unclosed output block doesn't hide the cells after it
+      const close = findOutputClosingLine(lines, i + 1);
+      if (close !== -1) i = close;
+      continue;
+    }
+
+    const close = findClosingLine(lines, i + 1, open[1]);
+    if (close === -1) break;
+
+    if (language && !language.startsWith(DISPLAY_FENCE_PREFIX)) {
+      const code = text.slice(lines[i].end, lines[close].start);
+      cells.push({
+        index: cells.length,
+        language,
+        code: code.endsWith('\n') ? code.slice(0, -1) : code,
+        start: lines[i].start,
+        end: lines[close].end,
+      });
+    }
+
+    i = close;
+  }
+
+  return cells;
+}
+
+/**
+ * Find an output block starting exactly at `index`
+ *
+ * A display region written right after the block is included, so
+ * replacing the block also drops the previous run's rich outputs. A block
+ * left unclosed before the next code fence covers only its marker line.
+ *
+ * @param {string} text
+ * @param {number} index - Typically a cell's `end`
+ * @returns {FencedOutput|null}
+ */
+export function findOutputAfter(text, index) {
+  const lines = splitLines(text, index);
+  if (lines.length === 0) return null;
+
+  const marker = /^```output:(\S+)[ \t]*$/.exec(lines[0].text);
+  if (!marker) return null;
+
+  // Unterminated: only the marker line is the block's for sure
+  const close = findOutputClosingLine(lines, 1);
+  if (close === -1) {
+    return { execId: marker[1], start: index, end: lines[0].end };
+  }
+
+  return {
+    execId: marker[1],
+    start: index,
+    end: findDisplayRegion(text, lines[close].end)?.end ?? lines[close].end,
+  };
+}
@@ -7,6 +7,7 @@
  */
 
 import * as Y from 'yjs';
+import { DEFAULT_LEASE_MS, createLease } from './lease.js';
 
 /**
  * Execution status values
@@ -18,6 +19,8 @@ export const EXECUTION_STATUS = {
   CLAIMED: 'claimed',
   /** Browser has created output block, ready to start */
   READY: 'ready',
+  /** Monitor is waiting for a free slot on the runtime/session */
+  QUEUED: 'queued',
   /** Monitor is streaming output from runtime */
   RUNNING: 'running',
   /** Execution completed successfully */
@@ -28,6 +31,20 @@ export const EXECUTION_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+/**
+ * Check whether an execution status is final
+ *
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isTerminalExecutionStatus(status) {
+  return [
+    EXECUTION_STATUS.COMPLETED,
+    EXECUTION_STATUS.ERROR,
+    EXECUTION_STATUS.CANCELLED,
+  ].includes(status);
+}
+
 /**
  * @typedef {Object} ExecutionRequest
  * @property {string} id - Unique execution ID
@@ -35,15 +52,26 @@ export const EXECUTION_STATUS = {
  * @property {string} code - Code to execute
  * @property {string} language - Language identifier
  * @property {string} runtimeUrl - MRP runtime URL
+ * @property {string} [session] - MRP session ID (runtime default session if omitted)
+ * @property {number} [timeoutMs] - Total time limit; overrides the monitor's defaults
+ * @property {number} [idleTimeoutMs] - Time limit without runtime events; overrides the monitor's defaults
  * @property {string} status - Current status
  * @property {number} requestedBy - Client ID that requested
  * @property {number} requestedAt - Timestamp
  * @property {number} [claimedBy] - Client ID that claimed
  * @property {number} [claimedAt] - Timestamp
+ * @property {number} [previousClaimedBy] - Stale claimant this execution was taken over from
+ * @property {number} [leaseExpiresAt] - When the claim lapses; renewals go to `monitorLeases` (see withCurrentLease)
+ * @property {number} [leaseRenewedAt] - When the claim was made or taken over
  * @property {boolean} outputBlockReady - Whether output block exists in Y.Text
  * @property {Object} [outputPosition] - Yjs RelativePosition JSON
+ * @property {number} [queuePosition] - 1-based position while queued for a runtime slot
+ * @property {number} [queuedAt] - Timestamp
  * @property {number} [startedAt] - Timestamp
  * @property {number} [completedAt] - Timestamp
+ * @property {number} [cancelledAt] - Timestamp of the cancel request
+ * @property {string} [partialOutput] - Output streamed before a cancel
+ * @property {{interrupted: boolean, restarted: boolean}} [cancellation] - How the runtime was stopped
  * @property {Object} [stdinRequest] - Pending stdin request
  * @property {Object} [stdinResponse] - Response to stdin request
  * @property {*} [result] - Execution result
@@ -58,17 +86,25 @@ export class CoordinationProtocol {
   /**
    * @param {Y.Doc} ydoc - Yjs document
    * @param {number} clientId - This client's ID
+   * @param {Object} [options]
+   * @param {number} [options.leaseMs=30000] - Claim lease duration
    */
-  constructor(ydoc, clientId) {
+  constructor(ydoc, clientId, options = {}) {
     /** @type {Y.Doc} */
     this.ydoc = ydoc;
 
     /** @type {number} */
     this.clientId = clientId;
 
+    /** @type {number} */
+    this.leaseMs = options.leaseMs ?? DEFAULT_LEASE_MS;
+
     /** @type {Y.Map} */
     this.executions = ydoc.getMap('executions');
 
+    /** @type {Y.Map} Renewed lease per monitor client ID */
+    this.monitorLeases = ydoc.getMap('monitorLeases');
+
     /** @type {Set<Function>} */
     this._observers = new Set();
   }
@@ -89,9 +125,12 @@ export class CoordinationProtocol {
    * @param {string} options.language
    * @param {string} options.runtimeUrl
    * @param {string} [options.cellId]
+   * @param {string} [options.session='default'] - MRP session to run in
+   * @param {number} [options.timeoutMs] - Total time limit for the execution
+   * @param {number} [options.idleTimeoutMs] - Time limit without any runtime event
    * @returns {string} execId
    */
-  requestExecution({ code, language, runtimeUrl, cellId }) {
+  requestExecution({ code, language, runtimeUrl, cellId, session, timeoutMs, idleTimeoutMs }) {
     const execId = CoordinationProtocol.generateExecId();
 
     this.executions.set(execId, {
@@ -100,11 +139,15 @@ export class CoordinationProtocol {
       code,
       language,
       runtimeUrl,
+      session: session || 'default',
+      timeoutMs: timeoutMs ?? null,
+      idleTimeoutMs: idleTimeoutMs ?? null,
       status: EXECUTION_STATUS.REQUESTED,
       requestedBy: this.clientId,
       requestedAt: Date.now(),
       claimedBy: null,
       claimedAt: null,
+      leaseExpiresAt: null,
       outputBlockReady: false,
       outputPosition: null,
       startedAt: null,
@@ -139,6 +182,81 @@ export class CoordinationProtocol {
       status: EXECUTION_STATUS.CLAIMED,
       claimedBy: this.clientId,
       claimedAt: Date.now(),
+      ...createLease(this.leaseMs),
+    });
+
+    return true;
+  }
+
+  /**
+   * Renew the lease on every unfinished execution we claimed (monitor heartbeat)
+   *
+   * One entry per monitor in the `monitorLeases` map carries the renewed
+   * lease for all of its claims, so a heartbeat doesn't rewrite (and
+   * broadcast) whole execution entries. Entries of monitors whose lease
+   * lapsed a full lease ago are dropped on the way.
+   *
+   * @returns {number} Number of leases renewed
+   */
+  renewLeases() {
+    const now = Date.now();
+    let renewed = 0;
+    this.executions.forEach((exec) => {
+      if (exec.claimedBy === this.clientId && !isTerminalExecutionStatus(exec.status)) renewed++;
+    });
+
+    this.ydoc.transact(() => {
+      const key = String(this.clientId);
+      if (renewed > 0) {
+        this.monitorLeases.set(key, createLease(this.leaseMs, now));
+      } else if (this.monitorLeases.has(key)) {
+        this.monitorLeases.delete(key);
+      }
+
+      this.monitorLeases.forEach((lease, clientId) => {
+        if (clientId !== key && lease.leaseExpiresAt + this.leaseMs <= now) {
+          this.monitorLeases.delete(clientId);
+        }
+      });
+    });
+
+    return renewed;
+  }
+
+  /**
+   * An execution with the latest lease its claimant renewed
+   *
+   * @param {ExecutionRequest} exec
+   * @returns {ExecutionRequest}
+   */
+  withCurrentLease(exec) {
+    const lease = exec?.claimedBy === null || exec?.claimedBy === undefined
+      ? null
+      : this.monitorLeases.get(String(exec.claimedBy));
+    if (!lease || !(lease.leaseExpiresAt > (exec.leaseExpiresAt ?? -Infinity))) return exec;
+    return { ...exec, ...lease };
+  }
+
+  /**
+   * Take over an execution whose claimant is gone (called by monitor)
+   *
+   * Only succeeds if the execution is still claimed by `previousClaimant`,
+   * so a claimant that reappeared in the meantime keeps it.
+   *
+   * @param {string} execId
+   * @param {number} previousClaimant - Client ID of the stale claimant
+   * @returns {boolean} true if taken over
+   */
+  takeOverExecution(execId, previousClaimant) {
+    const exec = this.executions.get(execId);
+    if (!exec || exec.claimedBy !== previousClaimant) return false;
+
+    this.executions.set(execId, {
+      ...exec,
+      claimedBy: this.clientId,
+      claimedAt: Date.now(),
+      previousClaimedBy: previousClaimant,
+      ...createLease(this.leaseMs),
     });
 
     return true;
@@ -162,6 +280,24 @@ export class CoordinationProtocol {
     });
   }
 
+  /**
+   * Mark execution as waiting for a runtime slot (called by monitor)
+   *
+   * @param {string} execId
+   * @param {number} queuePosition - 1-based position in the runtime/session queue
+   */
+  setQueued(execId, queuePosition) {
+    const exec = this.executions.get(execId);
+    if (!exec) return;
+
+    this.executions.set(execId, {
+      ...exec,
+      status: EXECUTION_STATUS.QUEUED,
+      queuePosition,
+      queuedAt: exec.queuedAt ?? Date.now(),
+    });
+  }
+
   /**
    * Mark execution as running (called by monitor)
    *
@@ -174,6 +310,7 @@ export class CoordinationProtocol {
     this.executions.set(execId, {
       ...exec,
       status: EXECUTION_STATUS.RUNNING,
+      queuePosition: null,
       startedAt: Date.now(),
     });
   }
@@ -217,6 +354,47 @@ export class CoordinationProtocol {
     });
   }
 
+  /**
+   * Cancel an execution (called by browser)
+   *
+   * @param {string} execId
+   */
+  cancelExecution(execId) {
+    const exec = this.executions.get(execId);
+    if (!exec || isTerminalExecutionStatus(exec.status)) return;
+
+    this.executions.set(execId, {
+      ...exec,
+      status: EXECUTION_STATUS.CANCELLED,
+      cancelledAt: Date.now(),
+      cancelledBy: this.clientId,
+    });
+  }
+
+  /**
+   * Record the final cancelled state (called by monitor)
+   *
+   * @param {string} execId
+   * @param {Object} [options]
+   * @param {string|null} [options.partialOutput] - Output streamed before the cancel
+   * @param {boolean} [options.interrupted] - Whether the runtime interrupt took effect
+   * @param {boolean} [options.restarted] - Whether the session had to be restarted
+   */
+  setCancelled(execId, { partialOutput = null, interrupted = false, restarted = false } = {}) {
+    const exec = this.executions.get(execId);
+    if (!exec) return;
+
+    const now = Date.now();
+    this.executions.set(execId, {
+      ...exec,
+      status: EXECUTION_STATUS.CANCELLED,
+      cancelledAt: exec.cancelledAt ?? now,
+      completedAt: now,
+      partialOutput,
+      cancellation: { interrupted, restarted },
+    });
+  }
+
   /**
    * Request stdin input (called by monitor)
    *
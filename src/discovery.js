@@ -0,0 +1,110 @@
+/**
+ * Document Discovery
+ *
+ * Finds the rooms a multi-document monitor should attach to, either by
+ * listing notebooks in a project directory or by asking a room-list endpoint.
+ *
+ * A discovery source is an async function returning room names
+ * (document paths relative to the project root).
+ *
+ * @module mrmd-monitor/discovery
+ */
+
+import fsPromises from 'node:fs/promises';
+import path from 'node:path';
+
+/** Directories never scanned for notebooks */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '_assets']);
+
+/**
+ * @typedef {Object} DirectoryDiscoveryOptions
+ * @property {string[]} [extensions=['.md']] - Notebook file extensions
+ * @property {number} [maxDepth=8] - Maximum directory depth to scan
+ */
+
+/**
+ * Create a discovery source that lists notebooks under a project directory
+ *
+ * Room names are POSIX-style paths relative to `projectRoot`
+ * (e.g. `analysis/notebook.md`). Hidden directories, `node_modules`
+ * and `_assets` are skipped.
+ *
+ * @param {string} projectRoot - Project directory to scan
+ * @param {DirectoryDiscoveryOptions} [options]
+ * @returns {function(): Promise<string[]>}
+ */
+export function createDirectoryDiscovery(projectRoot, options = {}) {
+  if (!projectRoot) {
+    throw new TypeError('createDirectoryDiscovery requires a project root');
+  }
+
+  const extensions = (options.extensions || ['.md']).map(ext => ext.toLowerCase());
+  const maxDepth = Number.isInteger(options.maxDepth) ? options.maxDepth : 8;
+  const root = path.resolve(projectRoot);
+
+  async function walk(dir, depth, rooms) {
+    let entries;
+    try {
+      entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (IGNORED_DIRECTORIES.has(entry.name) || depth >= maxDepth) continue;
+        await walk(fullPath, depth + 1, rooms);
+      } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+        rooms.push(path.relative(root, fullPath).split(path.sep).join('/'));
+      }
+    }
+  }
+
+  return async function discoverDirectory() {
+    const rooms = [];
+    await walk(root, 0, rooms);
+    return rooms.sort();
+  };
+}
+
+/**
+ * Create a discovery source that queries a room-list endpoint
+ *
+ * The endpoint must answer `GET` with JSON: either an array of room names,
+ * an array of `{ name }` / `{ path }` objects, or `{ rooms: [...] }`.
+ *
+ * @param {string} url - Room-list endpoint URL
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {function(): Promise<string[]>}
+ */
+export function createEndpointDiscovery(url, options = {}) {
+  if (!url) {
+    throw new TypeError('createEndpointDiscovery requires a URL');
+  }
+
+  return async function discoverEndpoint() {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json', ...(options.headers || {}) },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Room list request failed: ${response.status}`);
+    }
+
+    const body = await response.json();
+    const list = Array.isArray(body) ? body : body?.rooms;
+    if (!Array.isArray(list)) {
+      throw new Error('Room list response must be an array or { rooms: [...] }');
+    }
+
+    const rooms = list
+      .map(item => (typeof item === 'string' ? item : item?.name || item?.path))
+      .filter(name => typeof name === 'string' && name !== '');
+
+    return [...new Set(rooms)].sort();
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Display Outputs in Markdown
+ *
+ * Serializes an execution's rich outputs into the document, right after
+ * its output block, so the saved notebook keeps them:
+ *
+ *     ```output:exec-1
+ *     text output
+ *     ```
+ *     <!-- display:exec-1 -->
+ *     ![image/png](_assets/outputs/<sha256>.png)
+ *
+ *     ```display:text/html
+ *     <table>…</table>
+ *     ```
+ *     <!-- /display:exec-1 -->
+ *
+ * The comment markers don't render, and let a later run find and replace
+ * the region.
+ *
+ * @module mrmd-monitor/display
+ */
+
+import path from 'node:path';
+
+/** Info-string prefix of fenced display outputs (```display:<mimeType>) */
+export const DISPLAY_FENCE_PREFIX = 'display:';
+
+const REGION_START = /^<!-- display:(\S+) -->[ \t]*$/;
+
+const IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml']);
+
+/**
+ * @typedef {Object} DisplayRegion
+ * @property {string} execId - Execution ID in the markers
+ * @property {number} start - Index of the opening marker
+ * @property {number} end - Index just past the closing marker line
+ */
+
+/**
+ * @typedef {Object} RenderDisplayOptions
+ * @property {string} [docPath] - Document path relative to the project root, for relative asset links
+ */
+
+/**
+ * Find a display region starting exactly at `index`
+ *
+ * @param {string} text
+ * @param {number} index - Typically just past an output block's closing fence
+ * @returns {DisplayRegion|null}
+ */
+export function findDisplayRegion(text, index) {
+  const lineEnd = text.indexOf('\n', index);
+  const firstLine = text.slice(index, lineEnd === -1 ? text.length : lineEnd).replace(/\r$/, '');
+  const start = REGION_START.exec(firstLine);
+  if (!start) return null;
+
+  const closing = `<!-- /display:${start[1]} -->`;
+  const closeAt = text.indexOf(closing, index);
+  if (closeAt === -1) return null;
+
+  const closeEnd = text.indexOf('\n', closeAt);
+  return {
+    execId: start[1],
+    start: index,
+    end: closeEnd === -1 ? text.length : closeEnd + 1,
+  };
+}
+
+/**
+ * Wrap text in a fence longer than any backtick run it contains
+ *
+ * @param {string} info
+ * @param {string} body
+ * @returns {string}
+ */
+function fence(info, body) {
+  const longest = Math.max(2, ...(body.match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}${info}\n${body.replace(/\n$/, '')}\n${ticks}`;
+}
+
+/**
+ * Link target for an asset or runtime URL
+ *
+ * @param {Object} display
+ * @param {RenderDisplayOptions} options
+ * @returns {string|null}
+ */
+function linkTarget(display, options) {
+  if (display.url) return display.url;
+  if (!display.assetId) return null;
+  if (!options.docPath) return display.assetId;
+  return path.posix.relative(path.posix.dirname(options.docPath), display.assetId);
+}
+
+/**
+ * Markdown for one display output
+ *
+ * @param {Object} display - Inline `{mimeType, data}` or an asset reference
+ * @param {RenderDisplayOptions} options
+ * @returns {string|null} null if there is nothing to show
+ */
+function renderDisplay(display, options) {
+  const { mimeType } = display;
+  const target = linkTarget(display, options);
+
+  if (IMAGE_TYPES.has(mimeType)) {
+    if (target) return `![${mimeType}](${target})`;
+    if (typeof display.data !== 'string') return null;
+    const data = mimeType === 'image/svg+xml' ? Buffer.from(display.data).toString('base64') : display.data;
+    return `![${mimeType}](data:${mimeType};base64,${data.replace(/\s+/g, '')})`;
+  }
+
+  if (target) return `[${mimeType} output](${target})`;
+  if (display.data === undefined || display.data === null) return null;
+
+  if (mimeType === 'text/markdown' || mimeType === 'text/latex') {
+    return String(display.data).trim();
+  }
+
+  const body = typeof display.data === 'string' ? display.data : JSON.stringify(display.data, null, 2);
+  return fence(`${DISPLAY_FENCE_PREFIX}${mimeType}`, body);
+}
+
+/**
+ * Build the display region for an execution
+ *
+ * Images are expected to reference saved assets (or a runtime URL); inline
+ * images fall back to data URIs.
+ *
+ * @param {string} execId
+ * @param {Object[]} displays
+ * @param {RenderDisplayOptions} [options]
+ * @returns {string} The region, ending with a newline, or '' if there is nothing to show
+ */
+export function buildDisplayRegion(execId, displays, options = {}) {
+  const parts = displays
+    .map(display => (display ? renderDisplay(display, options) : null))
+    .filter(Boolean);
+  if (parts.length === 0) return '';
+
+  return `<!-- display:${execId} -->\n${parts.join('\n\n')}\n<!-- /display:${execId} -->\n`;
+}
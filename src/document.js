@@ -7,9 +7,75 @@
  */
 
 import * as Y from 'yjs';
+import { findDisplayRegion } from './display.js';
+
+/**
+ * @typedef {Object} OutputRange
+ * @property {Object} start - RelativePosition JSON, left-associated to the marker line's newline
+ * @property {Object} end - RelativePosition JSON, right-associated to the closing fence
+ */
+
+/**
+ * @typedef {Object} OutputBlock
+ * @property {number} markerStart - Index of the ```output:<execId> marker
+ * @property {number} contentStart - First index of the block content
+ * @property {number} contentEnd - Index of the closing fence (exclusive content end)
+ */
+
+/**
+ * Check whether a UTF-16 index falls inside a surrogate pair
+ *
+ * @param {string} text
+ * @param {number} index
+ * @returns {boolean}
+ */
+function splitsSurrogatePair(text, index) {
+  const code = text.charCodeAt(index);
+  return index > 0 && code >= 0xdc00 && code <= 0xdfff;
+}
+
+/**
+ * Smallest single edit turning `before` into `after`
+ *
+ * Keeps the longest common prefix and suffix without splitting surrogate
+ * pairs.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {{index: number, deleteCount: number, insert: string}|null} null if equal
+ */
+export function diffRange(before, after) {
+  if (before === after) return null;
+
+  const max = Math.min(before.length, after.length);
+  let prefix = 0;
+  while (prefix < max && before.charCodeAt(prefix) === after.charCodeAt(prefix)) prefix++;
+  if (splitsSurrogatePair(before, prefix) || splitsSurrogatePair(after, prefix)) prefix--;
+
+  let suffix = 0;
+  while (
+    suffix < max - prefix
+    && before.charCodeAt(before.length - 1 - suffix) === after.charCodeAt(after.length - 1 - suffix)
+  ) suffix++;
+  if (suffix > 0
+    && (splitsSurrogatePair(before, before.length - suffix) || splitsSurrogatePair(after, after.length - suffix))) {
+    suffix--;
+  }
+
+  return {
+    index: prefix,
+    deleteCount: before.length - prefix - suffix,
+    insert: after.slice(prefix, after.length - suffix),
+  };
+}
 
 /**
  * Writer for execution output to Y.Text
+ *
+ * Output blocks are located through Yjs relative positions anchored on both
+ * ends of the block content. Text search for the `output:<execId>` marker is
+ * only used as a fallback when a block has not been anchored (or its anchors
+ * no longer resolve to a valid block).
  */
 export class DocumentWriter {
   /**
@@ -22,41 +88,175 @@ export class DocumentWriter {
 
     /** @type {Y.Text} */
     this.ytext = ydoc.getText(textName);
+
+    /** @type {Map<string, OutputRange>} */
+    this._ranges = new Map();
   }
 
   /**
-   * Find output block by execId
+   * Get the index just past the marker line, if a marker starts at markerStart
    *
-   * Searches for ```output:<execId> marker in the document.
+   * @param {string} text
+   * @param {string} execId
+   * @param {number} markerStart
+   * @returns {number} Index after the marker line's newline, or -1
+   */
+  _markerLineEnd(text, execId, markerStart) {
+    const marker = '```output:' + execId;
+    if (markerStart < 0 || !text.startsWith(marker, markerStart)) return -1;
+
+    // The marker must be the whole line (so exec-1 doesn't match exec-12)
+    let pos = markerStart + marker.length;
+    while (text[pos] === ' ' || text[pos] === '\t' || text[pos] === '\r') pos++;
+    return text[pos] === '\n' ? pos + 1 : -1;
+  }
+
+  /**
+   * Find the closing fence: the first line starting with ``` at or after `from`
+   *
+   * @param {string} text
+   * @param {number} from - Start of a line
+   * @returns {number} Index of the closing fence, or text.length if unterminated
+   */
+  _findClosingFence(text, from) {
+    let pos = from;
+    while (pos < text.length) {
+      if (text.startsWith('```', pos)) return pos;
+      const newline = text.indexOf('\n', pos);
+      if (newline === -1) break;
+      pos = newline + 1;
+    }
+    return text.length;
+  }
+
+  /**
+   * Find output block by searching for its marker (fallback path)
    *
    * @param {string} execId
-   * @returns {{markerStart: number, contentStart: number, contentEnd: number}|null}
+   * @returns {OutputBlock|null}
    */
-  findOutputBlock(execId) {
+  _searchOutputBlock(execId) {
     const text = this.ytext.toString();
     const marker = '```output:' + execId;
-    const markerStart = text.indexOf(marker);
 
-    if (markerStart === -1) return null;
+    let markerStart = text.indexOf(marker);
+    while (markerStart !== -1) {
+      const contentStart = this._markerLineEnd(text, execId, markerStart);
+      if (contentStart !== -1) {
+        return {
+          markerStart,
+          contentStart,
+          contentEnd: this._findClosingFence(text, contentStart),
+        };
+      }
+      markerStart = text.indexOf(marker, markerStart + 1);
+    }
 
-    // Find the newline after marker
-    const newlineAfterMarker = text.indexOf('\n', markerStart);
-    if (newlineAfterMarker === -1) return null;
+    return null;
+  }
 
-    const contentStart = newlineAfterMarker + 1;
+  /**
+   * Resolve an anchored range back to absolute indices
+   *
+   * The range is only accepted if the marker line still sits directly before
+   * the content start and a fence (or end of text) sits at the content end.
+   *
+   * @param {string} execId
+   * @param {OutputRange} range
+   * @returns {OutputBlock|null}
+   */
+  resolveOutputRange(execId, range) {
+    const contentStart = this.getAbsolutePosition(range?.start);
+    const contentEnd = this.getAbsolutePosition(range?.end);
+    if (contentStart === null || contentEnd === null || contentEnd < contentStart) return null;
 
-    // Find the closing ``` - it's the first ``` after contentStart
-    // Output blocks don't contain nested code, so this is safe
-    const closingPos = text.indexOf('```', contentStart);
-    const contentEnd = closingPos === -1 ? text.length : closingPos;
+    const text = this.ytext.toString();
+    const lineStart = text.lastIndexOf('\n', contentStart - 2) + 1;
+    if (this._markerLineEnd(text, execId, lineStart) !== contentStart) return null;
+    if (contentEnd !== text.length && !text.startsWith('```', contentEnd)) return null;
 
     return {
-      markerStart,
+      markerStart: lineStart,
       contentStart,
       contentEnd,
     };
   }
 
+  /**
+   * Anchor an output block on relative positions for both ends
+   *
+   * Uses the browser-provided `outputPosition` when it resolves into the
+   * block (either at the content start, or, once output was written, at the
+   * closing fence), and falls back to text search otherwise. Later writes
+   * for this execId go through the anchors.
+   *
+   * @param {string} execId
+   * @param {Object} [outputPosition] - RelativePosition JSON stored by the browser
+   * @returns {OutputRange|null} The anchors, or null if the block was not found
+   */
+  anchorOutputBlock(execId, outputPosition = null) {
+    let block = null;
+    const index = this.getAbsolutePosition(outputPosition);
+
+    if (index !== null) {
+      const text = this.ytext.toString();
+      const lineStart = text.lastIndexOf('\n', index - 2) + 1;
+
+      if (this._markerLineEnd(text, execId, lineStart) === index) {
+        // Position sits at the content start (empty or fresh block)
+        block = { markerStart: lineStart, contentStart: index, contentEnd: this._findClosingFence(text, index) };
+      } else if (text.startsWith('```', index)) {
+        // Position was created on an empty block and now follows the closing fence
+        const marker = '```output:' + execId;
+        const markerStart = text.lastIndexOf(marker, index);
+        const contentStart = this._markerLineEnd(text, execId, markerStart);
+        if (contentStart !== -1 && contentStart <= index) {
+          block = { markerStart, contentStart, contentEnd: index };
+        }
+      }
+    }
+
+    if (!block) {
+      block = this._searchOutputBlock(execId);
+    }
+    if (!block) return null;
+
+    const range = {
+      start: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(this.ytext, block.contentStart, -1)),
+      end: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(this.ytext, block.contentEnd, 0)),
+    };
+    this._ranges.set(execId, range);
+    return range;
+  }
+
+  /**
+   * Forget the anchors for an output block
+   *
+   * @param {string} execId
+   */
+  releaseOutputBlock(execId) {
+    this._ranges.delete(execId);
+  }
+
+  /**
+   * Find output block by execId
+   *
+   * Uses the block's anchors when available, else searches for the
+   * ```output:<execId> marker in the document.
+   *
+   * @param {string} execId
+   * @returns {OutputBlock|null}
+   */
+  findOutputBlock(execId) {
+    const range = this._ranges.get(execId);
+    if (range) {
+      const block = this.resolveOutputRange(execId, range);
+      if (block) return block;
+    }
+
+    return this._searchOutputBlock(execId);
+  }
+
   /**
    * Append content to output block
    *
@@ -79,6 +279,12 @@ export class DocumentWriter {
   /**
    * Replace all content in output block
    *
+   * Only the part that differs from the current content is rewritten:
+   * the common prefix and suffix are kept, so a growing log becomes an
+   * append and a progress bar update becomes a tail replacement. This
+   * keeps updates small and leaves collaborators' cursors in unchanged
+   * output alone.
+   *
    * @param {string} execId
    * @param {string} content
    * @returns {boolean} true if successful
@@ -93,17 +299,60 @@ export class DocumentWriter {
     // Ensure content ends with newline so closing ``` stays on its own line
     const normalizedContent = content && !content.endsWith('\n') ? content + '\n' : content;
 
+    const existing = this.ytext.toString().slice(block.contentStart, block.contentEnd);
+    const edit = diffRange(existing, normalizedContent || '');
+    if (!edit) return true;
+
     // Use transaction for atomic delete+insert
     this.ydoc.transact(() => {
-      // Delete existing content
-      const existingLength = block.contentEnd - block.contentStart;
-      if (existingLength > 0) {
-        this.ytext.delete(block.contentStart, existingLength);
+      if (edit.deleteCount > 0) {
+        this.ytext.delete(block.contentStart + edit.index, edit.deleteCount);
+      }
+      if (edit.insert) {
+        this.ytext.insert(block.contentStart + edit.index, edit.insert);
       }
+    });
+
+    return true;
+  }
+
+  /**
+   * Replace the display region after an output block
+   *
+   * The region goes right after the block's closing fence. An existing
+   * region there is replaced, whichever execution wrote it, so a re-run
+   * doesn't leave the previous run's outputs behind. An empty `region`
+   * removes it.
+   *
+   * @param {string} execId
+   * @param {string} region - From buildDisplayRegion()
+   * @returns {boolean} true if successful
+   */
+  replaceDisplay(execId, region) {
+    const block = this.findOutputBlock(execId);
+    if (!block) {
+      console.warn(`[DocumentWriter] Output block not found for ${execId}`);
+      return false;
+    }
 
-      // Insert new content
-      if (normalizedContent) {
-        this.ytext.insert(block.contentStart, normalizedContent);
+    const text = this.ytext.toString();
+    if (block.contentEnd === text.length) return false;
+
+    const fenceEnd = text.indexOf('\n', block.contentEnd);
+    const regionStart = fenceEnd === -1 ? text.length : fenceEnd + 1;
+    const existing = findDisplayRegion(text, regionStart);
+    const edit = diffRange(existing ? text.slice(existing.start, existing.end) : '', region);
+    if (!edit) return true;
+
+    this.ydoc.transact(() => {
+      if (fenceEnd === -1) {
+        this.ytext.insert(text.length, '\n');
+      }
+      if (edit.deleteCount > 0) {
+        this.ytext.delete(regionStart + edit.index, edit.deleteCount);
+      }
+      if (edit.insert) {
+        this.ytext.insert(regionStart + edit.index, edit.insert);
       }
     });
 
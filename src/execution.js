@@ -16,15 +16,79 @@
  * @property {function(Object): void} [onError] - execution error
  * @property {function(): void} [onStart] - execution started
  * @property {function(): void} [onDone] - stream complete
+ * @property {function(string, Object): void} [onEvent] - any SSE event (event, data), before the specific callback
+ * @property {function(Object): void} [onReconnect] - reconnecting after a dropped stream ({attempt, delayMs, lastEventId, error})
  */
 
+/**
+ * @typedef {Object} ReconnectOptions
+ * @property {number} [reconnectAttempts=5] - Reconnect attempts after a dropped stream (0 disables)
+ * @property {number} [reconnectBaseMs=500] - First backoff delay, doubled per attempt
+ * @property {number} [reconnectMaxMs=10000] - Backoff ceiling
+ */
+
+/** Session used when an execution doesn't name one */
+export const DEFAULT_SESSION = 'default';
+
+/**
+ * @typedef {Object} SessionInfo
+ * @property {string} id - Session ID
+ * @property {string} [language] - Runtime language
+ * @property {number} [createdAt] - Timestamp
+ */
+
+/**
+ * Wait, unless the signal aborts first
+ *
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 /**
  * MRP execution handler
  */
 export class ExecutionHandler {
-  constructor() {
+  /**
+   * @param {ReconnectOptions} [options]
+   * @param {Object} [instrumentation]
+   * @param {import('./metrics.js').MonitorMetrics|null} [instrumentation.metrics] - Counts stream reconnects
+   * @param {string|null} [instrumentation.docPath] - `doc` label of the counted reconnects
+   */
+  constructor(options = {}, { metrics = null, docPath = null } = {}) {
+    /** @type {ReconnectOptions} */
+    this.options = {
+      reconnectAttempts: 5,
+      reconnectBaseMs: 500,
+      reconnectMaxMs: 10000,
+      ...options,
+    };
+
     /** @type {Map<string, AbortController>} */
     this._activeExecutions = new Map();
+
+    /** @type {import('./metrics.js').MonitorMetrics|null} */
+    this.metrics = metrics;
+
+    /** @type {string|null} */
+    this.docPath = docPath;
   }
 
   /**
@@ -34,31 +98,28 @@ export class ExecutionHandler {
    * @param {string} code - Code to execute
    * @param {Object} options
    * @param {string} [options.execId] - Execution ID for tracking
+   * @param {string} [options.session='default'] - MRP session to run in
    * @param {ExecutionCallbacks} [options.callbacks] - Event callbacks
    * @returns {Promise<Object>} Final result
    */
   async execute(runtimeUrl, code, options = {}) {
     const {
       execId,
+      session = DEFAULT_SESSION,
       callbacks = {},
     } = options;
 
-    // Set up abort controller
-    const abortController = new AbortController();
-    if (execId) {
-      this._activeExecutions.set(execId, abortController);
-    }
-
-    try {
+    return this._stream(execId, callbacks, async (signal) => {
       const response = await fetch(`${runtimeUrl}/execute/stream`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           code,
+          session: session || DEFAULT_SESSION,
           storeHistory: true,
           execId, // Pass execId so runtimes use the same ID for stdin coordination
         }),
-        signal: abortController.signal,
+        signal,
       });
 
       if (!response.ok) {
@@ -66,42 +127,135 @@ export class ExecutionHandler {
         throw new Error(`MRP request failed: ${response.status} ${error}`);
       }
 
-      callbacks.onStart?.();
+      return response;
+    }, execId ? this._resumer(runtimeUrl, execId, session) : null);
+  }
 
-      // Parse SSE stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+  /**
+   * Build a function that reopens an execution's stream after a drop
+   *
+   * @param {string} runtimeUrl
+   * @param {string} execId
+   * @param {string} session
+   * @returns {function(AbortSignal, string|null): Promise<Response|null>}
+   */
+  _resumer(runtimeUrl, execId, session) {
+    return async (signal, lastEventId) => {
+      const query = new URLSearchParams({ session: session || DEFAULT_SESSION });
+      const headers = { Accept: 'text/event-stream' };
+      if (lastEventId !== null) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
 
-      let currentEvent = null;
-      let buffer = '';
-      let finalResult = null;
+      const response = await fetch(`${runtimeUrl}/executions/${encodeURIComponent(execId)}/stream?${query}`, {
+        headers,
+        signal,
+      });
+      return response.ok ? response : null;
+    };
+  }
 
+  /**
+   * Re-attach to an execution that is already running on the runtime
+   *
+   * Used after a monitor restart. The runtime streams the events emitted
+   * from now on for `execId`. Resolves to null without calling any
+   * callbacks if the runtime is unreachable, doesn't know the execution,
+   * or doesn't support resuming streams.
+   *
+   * @param {string} runtimeUrl - MRP runtime base URL
+   * @param {string} execId - Execution ID
+   * @param {Object} [options]
+   * @param {string} [options.session='default'] - MRP session the execution runs in
+   * @param {ExecutionCallbacks} [options.callbacks] - Event callbacks
+   * @returns {Promise<Object|null>} Final result, or null if not resumable
+   */
+  async attach(runtimeUrl, execId, options = {}) {
+    const { session = DEFAULT_SESSION, callbacks = {} } = options;
+    const resume = this._resumer(runtimeUrl, execId, session);
+
+    return this._stream(execId, callbacks, async (signal) => {
+      try {
+        return await resume(signal, null);
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        return null;
+      }
+    }, resume);
+  }
+
+  /**
+   * Open an SSE response and dispatch its events
+   *
+   * If the connection drops mid-stream and `resume` is given, reconnects
+   * with exponential backoff, sending the last seen event ID. Events whose
+   * ID was already dispatched are dropped, so replayed chunks don't repeat.
+   *
+   * @param {string} [execId] - Execution ID for tracking
+   * @param {ExecutionCallbacks} callbacks
+   * @param {function(AbortSignal): Promise<Response|null>} open - Opens the stream; null skips streaming
+   * @param {function(AbortSignal, string|null): Promise<Response|null>|null} [resume] - Reopens a dropped stream
+   * @returns {Promise<Object|null>} Final result, or null if `open` returned null
+   */
+  async _stream(execId, callbacks, open, resume = null) {
+    // Set up abort controller
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    if (execId) {
+      this._activeExecutions.set(execId, abortController);
+    }
+
+    const state = {
+      lastEventId: null,
+      lastNumericId: null,
+      seenIds: new Set(),
+      finalResult: null,
+      dispatched: 0,
+    };
+
+    try {
+      let response = await open(signal);
+      if (!response) return null;
+
+      callbacks.onStart?.();
+
+      let attempt = 0;
       while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-
-        // Process complete lines
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-        for (const line of lines) {
-          if (line.startsWith('event: ')) {
-            currentEvent = line.slice(7).trim();
-          } else if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              finalResult = this._handleEvent(currentEvent, data, callbacks) || finalResult;
-            } catch (err) {
-              console.warn('[ExecutionHandler] Failed to parse SSE data:', err.message);
-            }
-          }
+        let failure = null;
+        const dispatchedBefore = state.dispatched;
+
+        try {
+          if (!response) throw new Error('Runtime did not accept the stream resume');
+          await this._readEvents(response, state, callbacks);
+          break;
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          failure = err;
+        }
+
+        // A connection that delivered new events earns a fresh set of attempts
+        if (state.dispatched > dispatchedBefore) attempt = 0;
+        if (!resume || attempt >= this.options.reconnectAttempts) throw failure;
+
+        attempt++;
+        const delayMs = Math.min(
+          this.options.reconnectBaseMs * 2 ** (attempt - 1),
+          this.options.reconnectMaxMs
+        );
+        this.metrics?.streamReconnects.inc({ doc: this.docPath });
+        callbacks.onReconnect?.({ attempt, delayMs, lastEventId: state.lastEventId, error: failure.message });
+        await abortableDelay(delayMs, signal);
+
+        try {
+          response = await resume(signal, state.lastEventId);
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          response = null;
         }
       }
 
       callbacks.onDone?.();
-      return finalResult || { success: true };
+      return state.finalResult || { success: true };
 
     } catch (err) {
       if (err.name === 'AbortError') {
@@ -117,6 +271,90 @@ export class ExecutionHandler {
     }
   }
 
+  /**
+   * Read SSE events from a response until it ends
+   *
+   * @param {Response} response
+   * @param {Object} state - Stream state shared across reconnects
+   * @param {ExecutionCallbacks} callbacks
+   */
+  async _readEvents(response, state, callbacks) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    let buffer = '';
+    let event = { name: null, id: null, data: [] };
+
+    const dispatch = () => {
+      const { name, id, data } = event;
+      event = { name: null, id: null, data: [] };
+      if (data.length === 0) return;
+
+      if (id !== null) {
+        if (this._isDuplicateEvent(state, id)) return;
+        state.lastEventId = id;
+      }
+
+      try {
+        const parsed = JSON.parse(data.join('\n'));
+        state.dispatched++;
+        state.finalResult = this._handleEvent(name, parsed, callbacks) || state.finalResult;
+      } catch (err) {
+        console.warn('[ExecutionHandler] Failed to parse SSE data:', err.message);
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Process complete lines
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+      for (const rawLine of lines) {
+        const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+        if (line === '') {
+          dispatch();
+        } else if (line.startsWith('event:')) {
+          event.name = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          event.data.push(line.slice(line[5] === ' ' ? 6 : 5));
+        } else if (line.startsWith('id:')) {
+          event.id = line.slice(3).trim();
+        }
+      }
+    }
+
+    // Dispatch a final event not followed by a blank line
+    dispatch();
+  }
+
+  /**
+   * Check (and record) whether an event ID was already dispatched
+   *
+   * Numeric IDs are treated as monotonic; other IDs are remembered.
+   *
+   * @param {Object} state
+   * @param {string} id
+   * @returns {boolean}
+   */
+  _isDuplicateEvent(state, id) {
+    if (/^\d+$/.test(id)) {
+      const numericId = Number(id);
+      if (state.lastNumericId !== null && numericId <= state.lastNumericId) return true;
+      state.lastNumericId = numericId;
+      return false;
+    }
+
+    if (state.seenIds.has(id)) return true;
+    state.seenIds.add(id);
+    return false;
+  }
+
   /**
    * Handle SSE event
    *
@@ -126,6 +364,8 @@ export class ExecutionHandler {
    * @returns {Object|null} Result if this is the result event
    */
   _handleEvent(event, data, callbacks) {
+    callbacks.onEvent?.(event, data);
+
     switch (event) {
       case 'start':
         // Execution started on server
@@ -181,13 +421,16 @@ export class ExecutionHandler {
    * @param {string} runtimeUrl - MRP runtime base URL
    * @param {string} execId - Execution ID
    * @param {string} text - Input text
+   * @param {Object} [options]
+   * @param {string} [options.session='default'] - MRP session the execution runs in
    * @returns {Promise<{accepted: boolean}>}
    */
-  async sendInput(runtimeUrl, execId, text) {
+  async sendInput(runtimeUrl, execId, text, options = {}) {
     const response = await fetch(`${runtimeUrl}/input`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
+        session: options.session || DEFAULT_SESSION,
         exec_id: execId,
         text,
       }),
@@ -200,18 +443,95 @@ export class ExecutionHandler {
    * Interrupt a running execution
    *
    * @param {string} runtimeUrl - MRP runtime base URL
+   * @param {Object} [options]
+   * @param {string} [options.session='default'] - MRP session to interrupt
    * @returns {Promise<{interrupted: boolean}>}
    */
-  async interrupt(runtimeUrl) {
+  async interrupt(runtimeUrl, options = {}) {
     const response = await fetch(`${runtimeUrl}/interrupt`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({}),
+      body: JSON.stringify({ session: options.session || DEFAULT_SESSION }),
     });
 
     return response.json();
   }
 
+  /**
+   * Make a JSON request to an MRP session endpoint
+   *
+   * @param {string} url
+   * @param {Object} [init] - fetch init
+   * @returns {Promise<Object|null>} Parsed JSON body, or null if empty
+   */
+  async _sessionRequest(url, init = {}) {
+    const response = await fetch(url, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', ...(init.headers || {}) },
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`MRP session request failed: ${response.status} ${error}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Create a session on the runtime
+   *
+   * @param {string} runtimeUrl - MRP runtime base URL
+   * @param {Object} [options]
+   * @param {string} [options.id] - Session ID (runtime generates one if omitted)
+   * @returns {Promise<SessionInfo>}
+   */
+  async createSession(runtimeUrl, options = {}) {
+    return this._sessionRequest(`${runtimeUrl}/sessions`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  /**
+   * List sessions on the runtime
+   *
+   * @param {string} runtimeUrl - MRP runtime base URL
+   * @returns {Promise<SessionInfo[]>}
+   */
+  async listSessions(runtimeUrl) {
+    const body = await this._sessionRequest(`${runtimeUrl}/sessions`);
+    return Array.isArray(body) ? body : (body?.sessions || []);
+  }
+
+  /**
+   * Reset a session, discarding its variables
+   *
+   * @param {string} runtimeUrl - MRP runtime base URL
+   * @param {string} [sessionId='default']
+   * @returns {Promise<Object|null>}
+   */
+  async resetSession(runtimeUrl, sessionId = DEFAULT_SESSION) {
+    return this._sessionRequest(`${runtimeUrl}/sessions/${encodeURIComponent(sessionId)}/reset`, {
+      method: 'POST',
+      body: JSON.stringify({}),
+    });
+  }
+
+  /**
+   * Destroy a session on the runtime
+   *
+   * @param {string} runtimeUrl - MRP runtime base URL
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  async destroySession(runtimeUrl, sessionId) {
+    return this._sessionRequest(`${runtimeUrl}/sessions/${encodeURIComponent(sessionId)}`, {
+      method: 'DELETE',
+    });
+  }
+
   /**
    * Cancel execution by execId (local abort)
    *
@@ -0,0 +1,263 @@
+/**
+ * HTTP Status API
+ *
+ * Optional local HTTP server exposing a monitor's state to supervisors and
+ * dashboards, plus a few control endpoints. Serves either a single
+ * RuntimeMonitor or a MonitorManager. All responses are JSON; every route
+ * accepts `?doc=` to narrow it to one document.
+ *
+ * - `GET /health`, `GET /ready` - liveness, and whether every document is synced
+ * - `GET /documents`, `/executions`, `/table-jobs`, `/errors` - state snapshots
+ * - `POST /executions/:id/cancel`, `POST /table-jobs/:id/retry` - control
+ * - `GET /metrics` - Prometheus metrics, when a metric set is given
+ *
+ * @module mrmd-monitor/http
+ */
+
+import http from 'node:http';
+
+/**
+ * @typedef {Object} StatusServerOptions
+ * @property {number} [port=0] - Port to listen on (0 picks a free one)
+ * @property {string} [host='127.0.0.1'] - Interface to bind; the API has no authentication
+ * @property {import('./metrics.js').MonitorMetrics|null} [metrics=null] - Metric set served at `/metrics`
+ * @property {Function} [log] - Logger function
+ */
+
+/** HTTP status for each control outcome */
+const OUTCOME_STATUS = {
+  cancelled: 202,
+  retried: 202,
+  finished: 409,
+  active: 409,
+  disabled: 409,
+  'not-found': 404,
+};
+
+/**
+ * Monitors behind a RuntimeMonitor or MonitorManager
+ *
+ * @param {import('./monitor.js').RuntimeMonitor|import('./manager.js').MonitorManager} target
+ * @returns {import('./monitor.js').RuntimeMonitor[]}
+ */
+function monitorsOf(target) {
+  return target.monitors instanceof Map ? [...target.monitors.values()] : [target];
+}
+
+/**
+ * Local HTTP status and control server
+ */
+export class StatusServer {
+  /**
+   * @param {import('./monitor.js').RuntimeMonitor|import('./manager.js').MonitorManager} target
+   * @param {StatusServerOptions} [options]
+   */
+  constructor(target, options = {}) {
+    /** @type {import('./monitor.js').RuntimeMonitor|import('./manager.js').MonitorManager} */
+    this.target = target;
+
+    /** @type {StatusServerOptions} */
+    this.options = {
+      port: 0,
+      host: '127.0.0.1',
+      metrics: null,
+      log: console.log,
+      ...options,
+    };
+
+    /** @type {http.Server|null} */
+    this.server = null;
+
+    /** @type {number} */
+    this._startedAt = Date.now();
+  }
+
+  /**
+   * Log helper
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} [data]
+   */
+  _log(level, message, data = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component: 'http',
+      message,
+      ...data,
+    };
+    this.options.log(JSON.stringify(entry));
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<{host: string, port: number}>} Bound address
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this._handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        const { address, port } = this.server.address();
+        this._log('info', 'HTTP API listening', { url: `http://${address}:${port}` });
+        resolve({ host: address, port });
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    const server = this.server;
+    this.server = null;
+    if (!server) return Promise.resolve();
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+
+    let segments;
+    try {
+      segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      this._send(res, 400, { error: 'Malformed path' });
+      return;
+    }
+
+    try {
+      const route = this._route(req.method, segments, query);
+      if (!route) {
+        this._send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+      } else {
+        this._send(res, route.status ?? 200, route.body, route.contentType);
+      }
+    } catch (err) {
+      this._log('error', 'HTTP request failed', { method: req.method, path: url.pathname, error: err.message });
+      this._send(res, 500, { error: err.message });
+    }
+  }
+
+  /**
+   * Resolve a request to a response
+   *
+   * @param {string} method
+   * @param {string[]} segments - Decoded path segments
+   * @param {Object<string, string>} query
+   * @returns {{status?: number, body: *, contentType?: string}|null} null if no route matches
+   */
+  _route(method, segments, query) {
+    const [resource, id, action] = segments;
+    const monitors = monitorsOf(this.target)
+      .filter(monitor => !query.doc || monitor.docPath === query.doc);
+
+    if (method === 'GET' && segments.length === 1) {
+      switch (resource) {
+        case 'health':
+          return { body: { status: 'ok', pid: process.pid, uptimeMs: Date.now() - this._startedAt } };
+        case 'ready': {
+          const pending = monitors.filter(monitor => !monitor.isConnected).map(monitor => monitor.docPath);
+          let ready;
+          if (query.doc) ready = monitors.length > 0 && pending.length === 0;
+          else ready = 'isReady' in this.target ? this.target.isReady : this.target.isConnected;
+          return { status: ready ? 200 : 503, body: { ready, documents: monitors.length, pending } };
+        }
+        case 'documents':
+          return { body: monitors.map(monitor => monitor.getStatus()) };
+        case 'executions':
+          return {
+            body: monitors
+              .flatMap(monitor => monitor.getExecutions())
+              .filter(exec => !query.status || exec.status === query.status),
+          };
+        case 'table-jobs':
+          return { body: monitors.flatMap(monitor => monitor.getTableJobs()) };
+        case 'metrics':
+          if (!this.options.metrics) return null;
+          return {
+            body: this.options.metrics.registry.render(),
+            contentType: 'text/plain; version=0.0.4; charset=utf-8',
+          };
+        case 'errors': {
+          const limit = Number.parseInt(query.limit, 10);
+          const errors = this.target.getRecentErrors()
+            .filter(entry => !query.doc || entry.doc === query.doc);
+          return { body: Number.isInteger(limit) && limit > 0 ? errors.slice(-limit) : errors };
+        }
+        default:
+          return null;
+      }
+    }
+
+    if (method === 'POST' && segments.length === 3) {
+      if (resource === 'executions' && action === 'cancel') {
+        return this._control(monitors, monitor => monitor.cancelExecution(id), { execId: id });
+      }
+      if (resource === 'table-jobs' && action === 'retry') {
+        return this._control(monitors, monitor => monitor.retryTableJob(id), { jobId: id });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a control action in the first document that knows the entry
+   *
+   * @param {import('./monitor.js').RuntimeMonitor[]} monitors
+   * @param {function(import('./monitor.js').RuntimeMonitor): string} action - Returns an outcome
+   * @param {Object} ids - Echoed in the response
+   * @returns {{status: number, body: Object}}
+   */
+  _control(monitors, action, ids) {
+    for (const monitor of monitors) {
+      const outcome = action(monitor);
+      if (outcome !== 'not-found') {
+        return { status: OUTCOME_STATUS[outcome] ?? 200, body: { ...ids, doc: monitor.docPath, outcome } };
+      }
+    }
+    return { status: 404, body: { ...ids, doc: null, outcome: 'not-found' } };
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {*} body - Sent as JSON unless `contentType` is given
+   * @param {string} [contentType]
+   */
+  _send(res, status, body, contentType) {
+    const payload = contentType ? String(body) : JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': contentType || 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+      'Cache-Control': 'no-store',
+    });
+    res.end(payload);
+  }
+}
+
+/**
+ * Create and start a status server
+ *
+ * @param {import('./monitor.js').RuntimeMonitor|import('./manager.js').MonitorManager} target
+ * @param {StatusServerOptions} [options]
+ * @returns {Promise<StatusServer>}
+ */
+export async function createStatusServer(target, options = {}) {
+  const server = new StatusServer(target, options);
+  await server.listen();
+  return server;
+}
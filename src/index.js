@@ -8,18 +8,58 @@
  */
 
 export { RuntimeMonitor, createMonitor } from './monitor.js';
-export { ExecutionHandler } from './execution.js';
+export { MonitorManager, createMonitorManager } from './manager.js';
+export { StatusServer, createStatusServer } from './http.js';
+export {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  createMonitorMetrics,
+  DEFAULT_SECONDS_BUCKETS,
+  DEFAULT_BYTES_BUCKETS,
+} from './metrics.js';
+export { createDirectoryDiscovery, createEndpointDiscovery } from './discovery.js';
+export { ExecutionHandler, DEFAULT_SESSION } from './execution.js';
+export { ExecutionScheduler } from './scheduler.js';
 export { DocumentWriter } from './document.js';
-export { CoordinationProtocol, EXECUTION_STATUS } from './coordination.js';
+export { parseCodeCells, findOutputAfter } from './cells.js';
+export {
+  AssetStore,
+  createAssetStore,
+  findAssetReferences,
+  scanProjectAssetReferences,
+  OUTPUT_ASSET_DIR,
+  DEFAULT_ASSET_THRESHOLD,
+} from './assets.js';
+export { DEFAULT_RETENTION, isRetentionEnabled, selectPrunableEntries, pruneMap } from './retention.js';
+export {
+  ExecutionJournal,
+  JournalRecorder,
+  createJournalEvent,
+  hashCode,
+  readJournal,
+  summarizeJournal,
+} from './journal.js';
+export { buildDisplayRegion, findDisplayRegion, DISPLAY_FENCE_PREFIX } from './display.js';
+export { CoordinationProtocol, EXECUTION_STATUS, isTerminalExecutionStatus } from './coordination.js';
+export { DEFAULT_LEASE_MS, createLease, isLeaseExpired, canTakeOver, getLiveMonitors } from './lease.js';
 export { TerminalBuffer, processTerminalOutput } from './terminal.js';
 export {
   TABLE_JOB_STATUS,
+  TABLE_JOB_PHASE,
   isTerminalTableJobStatus,
   TableJobsBridge,
   createTableJobsBridge,
   createDefaultExec,
   executeMaterializationContract,
   readDelimitedTable,
+  createDelimitedParser,
+  inferValueType,
+  readArrowTable,
+  readParquetTable,
+  computeMaterializationFingerprint,
+  fingerprintSidecarPath,
   createLocalFileSourceProvider,
   createDefaultTableRuntime,
   runTableJob,
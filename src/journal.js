@@ -0,0 +1,332 @@
+/**
+ * Execution Journal
+ *
+ * Append-only JSONL record of execution state transitions, kept outside
+ * the shared document so history survives the Y.Map entry changing or
+ * being pruned. Read back by `mrmd-monitor history`.
+ *
+ * @module mrmd-monitor/journal
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+
+/**
+ * @typedef {Object} JournalEvent
+ * @property {string} ts - ISO timestamp of the transition
+ * @property {string} event - requested | claimed | ready | queued | running | stdin | completed | error | cancelled
+ * @property {string|null} doc - Document path
+ * @property {string} execId
+ * @property {string|null} cellId
+ * @property {string} language
+ * @property {string} runtimeUrl
+ * @property {string} session
+ * @property {string} codeHash - SHA-256 of the code (hex)
+ * @property {string} [code] - Only on `requested`
+ * @property {number|null} monitor - Client ID of the claiming monitor
+ * @property {Object<string, number>} [durations] - waitMs (request to claim), queuedMs (request to start), runMs (start to end), totalMs (request to end)
+ * @property {Object} [error] - `{type, message}` on error
+ * @property {*} [result] - Result on completion
+ */
+
+/**
+ * @typedef {Object} JournalQuery
+ * @property {string} [doc] - Document path
+ * @property {string} [cellId]
+ * @property {string} [execId]
+ * @property {number} [since] - Earliest timestamp (ms)
+ * @property {number} [until] - Latest timestamp (ms)
+ */
+
+/**
+ * @typedef {Object} ExecutionSummary
+ * @property {string} execId
+ * @property {string|null} doc
+ * @property {string|null} cellId
+ * @property {string} language
+ * @property {string} runtimeUrl
+ * @property {string} session
+ * @property {string} codeHash
+ * @property {string|null} code
+ * @property {string} status - Last recorded event
+ * @property {string} requestedAt - ISO timestamp of the first event
+ * @property {string} updatedAt - ISO timestamp of the last event
+ * @property {number|null} totalMs
+ * @property {Object|null} error
+ */
+
+/** Statuses journaled when an entry moves to them (`requested` is written on first sight) */
+const STATUS_EVENTS = new Set(['claimed', 'ready', 'queued', 'running', 'completed', 'error', 'cancelled']);
+
+/** Entry field holding the time of each event, when the entry records it */
+const EVENT_TIME_FIELDS = {
+  requested: 'requestedAt',
+  claimed: 'claimedAt',
+  running: 'startedAt',
+  completed: 'completedAt',
+  error: 'completedAt',
+  cancelled: 'cancelledAt',
+};
+
+/**
+ * Hash code for the journal
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code ?? '')).digest('hex');
+}
+
+/**
+ * Time between two timestamps, or undefined if either is missing
+ *
+ * @param {number} [from]
+ * @param {number} [to]
+ * @returns {number|undefined}
+ */
+function elapsed(from, to) {
+  return Number.isFinite(from) && Number.isFinite(to) ? Math.max(0, to - from) : undefined;
+}
+
+/**
+ * Build the journal event for an execution entry
+ *
+ * @param {string} event
+ * @param {string} execId
+ * @param {import('./coordination.js').ExecutionRequest} exec
+ * @param {Object} [context]
+ * @param {string} [context.doc]
+ * @param {number} [context.now=Date.now()]
+ * @returns {JournalEvent}
+ */
+export function createJournalEvent(event, execId, exec, { doc = null, now = Date.now() } = {}) {
+  const entry = {
+    ts: new Date(exec[EVENT_TIME_FIELDS[event]] || now).toISOString(),
+    event,
+    doc,
+    execId,
+    cellId: exec.cellId ?? null,
+    language: exec.language,
+    runtimeUrl: exec.runtimeUrl,
+    session: exec.session || 'default',
+    codeHash: hashCode(exec.code),
+    monitor: exec.claimedBy ?? null,
+  };
+
+  if (event === 'requested') {
+    entry.code = exec.code;
+  }
+
+  const end = exec.completedAt ?? exec.cancelledAt ?? now;
+  const durations = {
+    claimed: { waitMs: elapsed(exec.requestedAt, exec.claimedAt) },
+    running: { queuedMs: elapsed(exec.requestedAt, exec.startedAt) },
+  }[event] || (['completed', 'error', 'cancelled'].includes(event)
+    ? { runMs: elapsed(exec.startedAt, end), totalMs: elapsed(exec.requestedAt, end) }
+    : null);
+  if (durations) {
+    entry.durations = Object.fromEntries(Object.entries(durations).filter(([, ms]) => ms !== undefined));
+  }
+
+  if (event === 'error' && exec.error) {
+    entry.error = { type: exec.error.type ?? null, message: exec.error.message ?? null };
+  }
+  if (event === 'completed' && exec.result !== undefined) {
+    entry.result = exec.result;
+  }
+
+  return entry;
+}
+
+/**
+ * Append-only execution journal
+ *
+ * Lines are appended synchronously: transitions are rare, ordering is
+ * preserved, and several monitors can share one file.
+ */
+export class ExecutionJournal {
+  /**
+   * @param {string} filePath - JSONL file
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new TypeError('ExecutionJournal requires a file path');
+    }
+
+    /** @type {string} */
+    this.path = path.resolve(filePath);
+
+    /** @type {Error|null} Last write failure */
+    this.lastError = null;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+  }
+
+  /**
+   * Append an event
+   *
+   * @param {JournalEvent} event
+   * @returns {boolean} false if the write failed (see `lastError`)
+   */
+  append(event) {
+    try {
+      fs.appendFileSync(this.path, JSON.stringify(event) + '\n');
+      this.lastError = null;
+      return true;
+    } catch (err) {
+      this.lastError = err;
+      return false;
+    }
+  }
+}
+
+/**
+ * Tracks entries of one executions map and journals their transitions
+ *
+ * Only executions claimed by `clientId` are journaled, so several monitors
+ * on a document don't record the same transition twice. The `requested`
+ * event is written when the claim is first seen.
+ */
+export class JournalRecorder {
+  /**
+   * @param {ExecutionJournal} journal
+   * @param {Object} options
+   * @param {number} options.clientId - This monitor's client ID
+   * @param {string} [options.doc] - Document path
+   */
+  constructor(journal, { clientId, doc = null }) {
+    /** @type {ExecutionJournal} */
+    this.journal = journal;
+
+    /** @type {number} */
+    this.clientId = clientId;
+
+    /** @type {string|null} */
+    this.doc = doc;
+
+    /** @type {Map<string, {status: string, stdinAt: number|null}>} Last journaled state per execution */
+    this._seen = new Map();
+  }
+
+  /**
+   * Record whatever changed since the entry was last seen
+   *
+   * @param {string} execId
+   * @param {import('./coordination.js').ExecutionRequest|undefined} exec
+   * @returns {JournalEvent[]} Events written
+   */
+  observe(execId, exec) {
+    if (!exec || exec.claimedBy !== this.clientId) {
+      this._seen.delete(execId);
+      return [];
+    }
+
+    const seen = this._seen.get(execId);
+    const events = [];
+    const context = { doc: this.doc };
+
+    if (!seen) {
+      events.push(createJournalEvent('requested', execId, exec, context));
+      if (exec.status !== 'requested') {
+        events.push(createJournalEvent('claimed', execId, exec, context));
+      }
+    }
+
+    const lastStatus = seen?.status ?? 'claimed';
+    if (exec.status !== lastStatus && STATUS_EVENTS.has(exec.status)) {
+      events.push(createJournalEvent(exec.status, execId, exec, context));
+    }
+
+    const stdinAt = exec.stdinRequest?.requestedAt ?? null;
+    if (stdinAt && stdinAt !== seen?.stdinAt) {
+      const event = createJournalEvent('stdin', execId, exec, context);
+      event.prompt = exec.stdinRequest.prompt ?? '';
+      events.push(event);
+    }
+
+    // Finished entries stay tracked until removed, so later writes to them
+    // (e.g. a cancel's final state) aren't mistaken for a new execution
+    this._seen.set(execId, { status: exec.status, stdinAt });
+
+    return events.filter(event => this.journal.append(event));
+  }
+}
+
+/**
+ * Read journal events matching a query
+ *
+ * Unparseable lines (e.g. a write cut short) are skipped.
+ *
+ * @param {string} filePath
+ * @param {JournalQuery} [query]
+ * @returns {Promise<JournalEvent[]>}
+ */
+export async function readJournal(filePath, query = {}) {
+  const events = [];
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    const time = Date.parse(event.ts);
+    if (query.doc && event.doc !== query.doc) continue;
+    if (query.cellId && event.cellId !== query.cellId) continue;
+    if (query.execId && event.execId !== query.execId) continue;
+    if (Number.isFinite(query.since) && time < query.since) continue;
+    if (Number.isFinite(query.until) && time > query.until) continue;
+    events.push(event);
+  }
+
+  return events;
+}
+
+/**
+ * Collapse journal events into one summary per execution
+ *
+ * @param {JournalEvent[]} events
+ * @returns {ExecutionSummary[]} In order of first appearance
+ */
+export function summarizeJournal(events) {
+  const summaries = new Map();
+
+  for (const event of events) {
+    let summary = summaries.get(event.execId);
+    if (!summary) {
+      summary = {
+        execId: event.execId,
+        doc: event.doc,
+        cellId: event.cellId,
+        language: event.language,
+        runtimeUrl: event.runtimeUrl,
+        session: event.session,
+        codeHash: event.codeHash,
+        code: null,
+        status: event.event,
+        requestedAt: event.ts,
+        updatedAt: event.ts,
+        totalMs: null,
+        error: null,
+      };
+      summaries.set(event.execId, summary);
+    }
+
+    if (event.code !== undefined) summary.code = event.code;
+    if (event.event !== 'stdin') summary.status = event.event;
+    summary.updatedAt = event.ts;
+    if (event.durations?.totalMs !== undefined) summary.totalMs = event.durations.totalMs;
+    if (event.error) summary.error = event.error;
+  }
+
+  return [...summaries.values()];
+}
@@ -0,0 +1,90 @@
+/**
+ * Claim Leases
+ *
+ * Helpers shared by execution and table-job claims. A claim carries a
+ * `leaseExpiresAt` timestamp that the owning monitor renews with a
+ * heartbeat; once it lapses and the owner has left Awareness, another
+ * monitor may take the claim over.
+ *
+ * Concurrent claims of the same entry are plain Y.Map writes, which Yjs
+ * settles deterministically once peers converge. Every monitor re-checks
+ * `claimedBy` after convergence and stands down when it lost.
+ *
+ * @module mrmd-monitor/lease
+ */
+
+/** Default lease duration in milliseconds */
+export const DEFAULT_LEASE_MS = 30000;
+
+/**
+ * Build the lease fields for a fresh or renewed claim
+ *
+ * @param {number} leaseMs - Lease duration
+ * @param {number} [now=Date.now()]
+ * @returns {{leaseExpiresAt: number, leaseRenewedAt: number}}
+ */
+export function createLease(leaseMs, now = Date.now()) {
+  return {
+    leaseExpiresAt: now + leaseMs,
+    leaseRenewedAt: now,
+  };
+}
+
+/**
+ * Check whether an entry's lease has lapsed
+ *
+ * Entries claimed before leases existed have no `leaseExpiresAt` and are
+ * never considered expired by this check.
+ *
+ * @param {Object} entry - Execution or table-job entry
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+export function isLeaseExpired(entry, now = Date.now()) {
+  return Number.isFinite(entry?.leaseExpiresAt) && entry.leaseExpiresAt <= now;
+}
+
+/**
+ * Get the client IDs of monitors present in Awareness
+ *
+ * @param {import('y-protocols/awareness').Awareness|null} awareness
+ * @returns {Set<number>|null} null when no Awareness is available
+ */
+export function getLiveMonitors(awareness) {
+  if (!awareness) return null;
+
+  const monitors = new Set();
+  awareness.getStates().forEach((state, clientId) => {
+    if (state?.user?.type === 'monitor') {
+      monitors.add(clientId);
+    }
+  });
+  return monitors;
+}
+
+/**
+ * Decide whether `clientId` may take over another monitor's claim
+ *
+ * A claim can be taken over when its owner is no longer a live monitor and
+ * its lease (if any) has expired. Without Awareness, an expired lease is
+ * enough.
+ *
+ * @param {Object} entry - Execution or table-job entry
+ * @param {Object} context
+ * @param {number} context.clientId - The would-be new owner
+ * @param {Set<number>|null} [context.liveMonitors] - From getLiveMonitors()
+ * @param {number} [context.now=Date.now()]
+ * @returns {boolean}
+ */
+export function canTakeOver(entry, { clientId, liveMonitors = null, now = Date.now() }) {
+  const owner = entry?.claimedBy;
+  if (owner === null || owner === undefined || owner === clientId) return false;
+
+  const ownerAlive = liveMonitors ? liveMonitors.has(owner) : false;
+  if (Number.isFinite(entry.leaseExpiresAt)) {
+    return isLeaseExpired(entry, now) && !ownerAlive;
+  }
+
+  // Legacy claim without a lease: only Awareness can tell us the owner is gone
+  return liveMonitors !== null && !ownerAlive;
+}
@@ -0,0 +1,306 @@
+/**
+ * Monitor Manager
+ *
+ * Runs one RuntimeMonitor per document so a single process can serve
+ * every notebook in a project. Rooms are discovered periodically and
+ * attached/detached on the fly.
+ *
+ * @module mrmd-monitor/manager
+ */
+
+import { RuntimeMonitor } from './monitor.js';
+import { createAssetStore, scanProjectAssetReferences } from './assets.js';
+
+/**
+ * @typedef {Object} ManagerOptions
+ * @property {function(): Promise<string[]>} discover - Discovery source returning room names
+ * @property {number} [discoverIntervalMs=10000] - How often to re-run discovery (0 disables polling)
+ * @property {number} [assetGcIntervalMs=0] - How often to delete unreferenced output assets (0 disables; needs monitorOptions.projectRoot)
+ * @property {number} [errorHistory=50] - Recent error log entries kept for getRecentErrors()
+ * @property {Function} [log] - Logger function
+ * @property {import('./monitor.js').MonitorOptions} [monitorOptions] - Options passed to every RuntimeMonitor
+ * @property {function(string, string, import('./monitor.js').MonitorOptions): RuntimeMonitor} [createMonitor] - Builds a document's monitor (syncUrl, docPath, options)
+ */
+
+/**
+ * Multi-document monitor
+ *
+ * Owns a RuntimeMonitor (and therefore a coordination protocol, writer
+ * and table bridge) for every discovered document.
+ */
+export class MonitorManager {
+  /**
+   * @param {string} syncUrl - WebSocket URL for mrmd-sync
+   * @param {ManagerOptions} options
+   */
+  constructor(syncUrl, options = {}) {
+    if (typeof options.discover !== 'function') {
+      throw new TypeError('MonitorManager requires a discover function');
+    }
+
+    /** @type {string} */
+    this.syncUrl = syncUrl;
+
+    /** @type {ManagerOptions} */
+    this.options = {
+      discoverIntervalMs: 10000,
+      assetGcIntervalMs: 0,
+      errorHistory: 50,
+      log: console.log,
+      monitorOptions: {},
+      createMonitor: (syncUrl, docPath, monitorOptions) => new RuntimeMonitor(syncUrl, docPath, monitorOptions),
+      ...options,
+    };
+
+    /** @type {Map<string, RuntimeMonitor>} */
+    this.monitors = new Map();
+
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this._timer = null;
+
+    /** @type {Promise<void>|null} */
+    this._refreshing = null;
+
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this._assetGcTimer = null;
+
+    /** @type {boolean} Whether discovery has succeeded at least once */
+    this._discovered = false;
+
+    /** @type {Object[]} Most recent error log entries, oldest first */
+    this._recentErrors = [];
+  }
+
+  /**
+   * Log helper
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} [data]
+   */
+  _log(level, message, data = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component: 'manager',
+      message,
+      ...data,
+    };
+    if (level === 'error') {
+      this._recentErrors.push(entry);
+      if (this._recentErrors.length > this.options.errorHistory) this._recentErrors.shift();
+    }
+    this.options.log(JSON.stringify(entry));
+  }
+
+  /**
+   * Run discovery once and start polling
+   *
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.refresh();
+
+    const interval = this.options.discoverIntervalMs;
+    if (!this._timer && Number.isFinite(interval) && interval > 0) {
+      this._timer = setInterval(() => {
+        this.refresh();
+      }, interval);
+    }
+
+    const gcInterval = this.options.assetGcIntervalMs;
+    if (!this._assetGcTimer && this.options.monitorOptions.projectRoot && Number.isFinite(gcInterval) && gcInterval > 0) {
+      this._assetGcTimer = setInterval(() => {
+        this.collectAssetGarbage().catch((err) => {
+          this._log('error', 'Asset garbage collection failed', { error: err.message });
+        });
+      }, gcInterval);
+    }
+  }
+
+  /**
+   * Re-run discovery and reconcile attached documents
+   *
+   * Concurrent calls share the same in-flight refresh.
+   *
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this._reconcile().finally(() => {
+        this._refreshing = null;
+      });
+    }
+    return this._refreshing;
+  }
+
+  async _reconcile() {
+    let rooms;
+    try {
+      rooms = await this.options.discover();
+    } catch (err) {
+      this._log('error', 'Document discovery failed', { error: err.message });
+      return;
+    }
+
+    this._discovered = true;
+    const wanted = new Set(rooms);
+
+    for (const docPath of wanted) {
+      if (!this.monitors.has(docPath)) {
+        this.attach(docPath);
+      }
+    }
+
+    for (const docPath of [...this.monitors.keys()]) {
+      if (!wanted.has(docPath)) {
+        this.detach(docPath);
+      }
+    }
+  }
+
+  /**
+   * Attach a monitor to a document
+   *
+   * Returns immediately; the monitor connects in the background.
+   *
+   * @param {string} docPath - Document path/room name
+   * @returns {RuntimeMonitor}
+   */
+  attach(docPath) {
+    const existing = this.monitors.get(docPath);
+    if (existing) return existing;
+
+    this._log('info', 'Attaching document', { doc: docPath });
+
+    const monitor = this.options.createMonitor(this.syncUrl, docPath, {
+      log: this.options.log,
+      ...this.options.monitorOptions,
+    });
+    this.monitors.set(docPath, monitor);
+
+    monitor.connect().catch((err) => {
+      this._log('error', 'Failed to connect document', { doc: docPath, error: err.message });
+    });
+
+    return monitor;
+  }
+
+  /**
+   * Detach and disconnect a document's monitor
+   *
+   * @param {string} docPath
+   * @returns {boolean} true if a monitor was attached
+   */
+  detach(docPath) {
+    const monitor = this.monitors.get(docPath);
+    if (!monitor) return false;
+
+    this._log('info', 'Detaching document', { doc: docPath });
+    monitor.disconnect();
+    this.monitors.delete(docPath);
+    return true;
+  }
+
+  /**
+   * Delete output assets no document references
+   *
+   * References come from every attached document (display data and text)
+   * and from the notebooks on disk under the project root. Skipped while a
+   * document is still syncing, since its references aren't known yet.
+   *
+   * @returns {Promise<{removed: string[], kept: number}|null>} null if skipped
+   */
+  async collectAssetGarbage() {
+    const { projectRoot } = this.options.monitorOptions;
+    if (!projectRoot) return null;
+
+    const monitors = [...this.monitors.values()];
+    if (monitors.some(monitor => !monitor.isConnected)) {
+      this._log('debug', 'Skipping asset garbage collection while documents sync');
+      return null;
+    }
+
+    const referenced = await scanProjectAssetReferences(projectRoot);
+    for (const monitor of monitors) {
+      for (const hash of monitor.getAssetReferences()) referenced.add(hash);
+    }
+
+    const result = await createAssetStore(projectRoot).collectGarbage(referenced);
+    if (result.removed.length > 0) {
+      this._log('info', 'Removed unreferenced output assets', { removed: result.removed.length, kept: result.kept });
+    }
+    return result;
+  }
+
+  /**
+   * Stop polling and disconnect every document
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+
+    if (this._assetGcTimer) {
+      clearInterval(this._assetGcTimer);
+      this._assetGcTimer = null;
+    }
+
+    for (const docPath of [...this.monitors.keys()]) {
+      this.detach(docPath);
+    }
+  }
+
+  /**
+   * Attached document paths
+   *
+   * @returns {string[]}
+   */
+  get documents() {
+    return [...this.monitors.keys()];
+  }
+
+  /**
+   * Whether discovery has run and every attached document is synced
+   *
+   * @returns {boolean}
+   */
+  get isReady() {
+    return this._discovered && [...this.monitors.values()].every(monitor => monitor.isConnected);
+  }
+
+  /**
+   * Most recent error log entries of the manager and every document
+   *
+   * @returns {Object[]} Oldest first, at most `errorHistory`
+   */
+  getRecentErrors() {
+    const errors = [...this._recentErrors];
+    for (const monitor of this.monitors.values()) errors.push(...monitor.getRecentErrors());
+    return errors
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .slice(-this.options.errorHistory);
+  }
+
+  /**
+   * Per-document status snapshot
+   *
+   * @returns {Object[]}
+   */
+  getStatus() {
+    return [...this.monitors.values()].map(monitor => monitor.getStatus());
+  }
+}
+
+/**
+ * Create and start a multi-document monitor
+ *
+ * @param {string} syncUrl - WebSocket URL for mrmd-sync
+ * @param {ManagerOptions} options
+ * @returns {Promise<MonitorManager>}
+ */
+export async function createMonitorManager(syncUrl, options) {
+  const manager = new MonitorManager(syncUrl, options);
+  await manager.start();
+  return manager;
+}
@@ -0,0 +1,346 @@
+/**
+ * Metrics
+ *
+ * Minimal Prometheus counters and histograms, rendered in the text
+ * exposition format by the HTTP API's `/metrics` route. One MonitorMetrics
+ * set is shared by every monitor in a process.
+ *
+ * @module mrmd-monitor/metrics
+ */
+
+/** Default buckets for latencies and durations, in seconds */
+export const DEFAULT_SECONDS_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900];
+
+/** Default buckets for output sizes, in bytes */
+export const DEFAULT_BYTES_BUCKETS = [64, 256, 1024, 4096, 16384, 65536, 262144, 1048576];
+
+/**
+ * @typedef {Object} MonitorMetrics
+ * @property {MetricsRegistry} registry
+ * @property {Counter} executions - Finished executions by `doc`, `status` and `language`
+ * @property {Counter} tableJobs - Finished table jobs by `doc`, `job_type` and `outcome`
+ * @property {Counter} streamReconnects - Reconnect attempts after a dropped runtime stream, by `doc`
+ * @property {Counter} syncDisconnects - Lost connections to the sync server, by `doc`
+ * @property {Gauge} queuedExecutions - Executions waiting for a runtime slot, by `doc`
+ * @property {Histogram} claimToStart - Seconds from claim to start, by `doc` and `language`
+ * @property {Histogram} executionDuration - Seconds from start to end, by `doc`, `status` and `language`
+ * @property {Histogram} outputFlushBytes - Output block size written per flush, by `doc`
+ * @property {Histogram} outputFlushInterval - Seconds between flushes of one execution, by `doc`
+ * @property {Histogram} materializationDuration - Seconds per materialization subprocess, by `doc` and `outcome`
+ */
+
+/**
+ * Escape a label value for the exposition format
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set, e.g. `{status="completed",language="python"}`
+ *
+ * @param {string[]} names
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Base for labelled metrics
+ */
+class Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   */
+  constructor(name, help, labelNames = []) {
+    /** @type {string} */
+    this.name = name;
+
+    /** @type {string} */
+    this.help = help;
+
+    /** @type {string[]} */
+    this.labelNames = labelNames;
+
+    /** @type {Map<string, {labels: Array<*>, value: *}>} Series by label values */
+    this._series = new Map();
+  }
+
+  /**
+   * Series for a label set, created on first use
+   *
+   * @param {Object<string, *>} labels
+   * @param {function(): *} init - Initial value
+   * @returns {{labels: Array<*>, value: *}}
+   */
+  _get(labels, init) {
+    const values = this.labelNames.map(name => labels[name] ?? '');
+    const key = JSON.stringify(values);
+    let series = this._series.get(key);
+    if (!series) {
+      series = { labels: values, value: init() };
+      this._series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * @param {string} type
+   * @returns {string[]} HELP and TYPE lines
+   */
+  _header(type) {
+    return [`# HELP ${this.name} ${this.help.replace(/\n/g, ' ')}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+/**
+ * Monotonic counter
+ */
+export class Counter extends Metric {
+  /**
+   * @param {Object<string, *>} [labels]
+   * @param {number} [value=1]
+   */
+  inc(labels = {}, value = 1) {
+    this._get(labels, () => 0).value += value;
+  }
+
+  /**
+   * @param {Object<string, *>} [labels]
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this._get(labels, () => 0).value;
+  }
+
+  /**
+   * @returns {string}
+   */
+  render() {
+    const lines = this._header('counter');
+    if (this._series.size === 0 && this.labelNames.length === 0) {
+      lines.push(`${this.name} 0`);
+    }
+    for (const { labels, value } of this._series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Value that goes up and down
+ */
+export class Gauge extends Metric {
+  /**
+   * @param {Object<string, *>} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this._get(labels, () => 0).value = value;
+  }
+
+  /**
+   * @param {Object<string, *>} [labels]
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this._get(labels, () => 0).value;
+  }
+
+  /**
+   * @returns {string}
+   */
+  render() {
+    const lines = this._header('gauge');
+    if (this._series.size === 0 && this.labelNames.length === 0) {
+      lines.push(`${this.name} 0`);
+    }
+    for (const { labels, value } of this._series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Histogram with fixed, cumulative buckets
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets=DEFAULT_SECONDS_BUCKETS] - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames = [], buckets = DEFAULT_SECONDS_BUCKETS) {
+    super(name, help, labelNames);
+
+    /** @type {number[]} */
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object<string, *>} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    if (!Number.isFinite(value)) return;
+    const series = this._get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.value.counts[i]++;
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  /**
+   * @returns {string}
+   */
+  render() {
+    const lines = this._header('histogram');
+    const names = [...this.labelNames, 'le'];
+    for (const { labels, value } of this._series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(names, [...labels, bound])} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(names, [...labels, '+Inf'])} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, labels)} ${value.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Set of metrics rendered together
+ */
+export class MetricsRegistry {
+  constructor() {
+    /** @type {Map<string, Counter|Gauge|Histogram>} */
+    this.metrics = new Map();
+  }
+
+  /**
+   * @param {Counter|Gauge|Histogram} metric
+   * @returns {Counter|Gauge|Histogram}
+   */
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames = []) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets]
+   * @returns {Histogram}
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_SECONDS_BUCKETS) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Text exposition format (`text/plain; version=0.0.4`)
+   *
+   * @returns {string}
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+/**
+ * Create the monitor's metric set
+ *
+ * @param {MetricsRegistry} [registry] - Registry to add the metrics to
+ * @returns {MonitorMetrics}
+ */
+export function createMonitorMetrics(registry = new MetricsRegistry()) {
+  return {
+    registry,
+    executions: registry.counter(
+      'mrmd_monitor_executions_total',
+      'Executions finished by this monitor',
+      ['doc', 'status', 'language']
+    ),
+    tableJobs: registry.counter(
+      'mrmd_monitor_table_jobs_total',
+      'Linked-table jobs finished by this monitor',
+      ['doc', 'job_type', 'outcome']
+    ),
+    streamReconnects: registry.counter(
+      'mrmd_monitor_stream_reconnects_total',
+      'Reconnect attempts after a runtime SSE stream dropped',
+      ['doc']
+    ),
+    syncDisconnects: registry.counter(
+      'mrmd_monitor_sync_disconnects_total',
+      'Connections to the sync server that dropped',
+      ['doc']
+    ),
+    queuedExecutions: registry.gauge(
+      'mrmd_monitor_queued_executions',
+      'Executions waiting for a runtime slot',
+      ['doc']
+    ),
+    claimToStart: registry.histogram(
+      'mrmd_monitor_claim_to_start_seconds',
+      'Time from claiming an execution to starting it on the runtime',
+      ['doc', 'language']
+    ),
+    executionDuration: registry.histogram(
+      'mrmd_monitor_execution_duration_seconds',
+      'Time from starting an execution to its final state',
+      ['doc', 'status', 'language']
+    ),
+    outputFlushBytes: registry.histogram(
+      'mrmd_monitor_output_flush_bytes',
+      'Size of the output block written per throttled flush',
+      ['doc'],
+      DEFAULT_BYTES_BUCKETS
+    ),
+    outputFlushInterval: registry.histogram(
+      'mrmd_monitor_output_flush_interval_seconds',
+      'Time between output flushes of one execution',
+      ['doc']
+    ),
+    materializationDuration: registry.histogram(
+      'mrmd_monitor_materialization_duration_seconds',
+      'Duration of linked-table materialization subprocesses',
+      ['doc', 'outcome']
+    ),
+  };
+}
@@ -7,13 +7,24 @@
  * @module mrmd-monitor/monitor
  */
 
+import fs from 'node:fs';
+import path from 'node:path';
 import * as Y from 'yjs';
+import * as encoding from 'lib0/encoding';
 import { WebsocketProvider } from 'y-websocket';
-import { CoordinationProtocol, EXECUTION_STATUS } from './coordination.js';
+import { CoordinationProtocol, EXECUTION_STATUS, isTerminalExecutionStatus } from './coordination.js';
+import { parseCodeCells, findOutputAfter } from './cells.js';
+import { DEFAULT_LEASE_MS, canTakeOver, getLiveMonitors } from './lease.js';
 import { DocumentWriter } from './document.js';
 import { ExecutionHandler } from './execution.js';
+import { ExecutionScheduler } from './scheduler.js';
 import { TerminalBuffer } from './terminal.js';
+import { createAssetStore, findAssetReferences, DEFAULT_ASSET_THRESHOLD } from './assets.js';
+import { buildDisplayRegion } from './display.js';
+import { DEFAULT_RETENTION, isRetentionEnabled, pruneMap } from './retention.js';
+import { ExecutionJournal, JournalRecorder, hashCode } from './journal.js';
 import { createTableJobsBridge } from './tables/index.js';
+import { isTerminalTableJobStatus } from './tables/status.js';
 
 /**
  * @typedef {Object} MonitorOptions
@@ -21,13 +32,69 @@ import { createTableJobsBridge } from './tables/index.js';
  * @property {string} [color='#10b981'] - Monitor color for Awareness
  * @property {Function} [log] - Logger function
  * @property {number} [outputFlushMs=100] - Throttle interval for Yjs output writes
+ * @property {boolean} [ansiOutput=false] - Keep colors in output blocks as compact ANSI sequences instead of plain text
+ * @property {number|null} [scrollbackLines=10000] - Max lines kept in an output block (null for unlimited)
+ * @property {number} [scrollbackHeadLines] - Lines kept from the start of truncated output (default: 10% of scrollbackLines, at most 100)
+ * @property {string|null} [outputLogDir=null] - Directory to write each execution's full raw output to (`<execId>.log`)
+ * @property {number|null} [assetThresholdBytes=65536] - Display payloads this large go to the project's asset store (needs projectRoot; null keeps everything inline)
+ * @property {boolean} [displayInDocument=false] - Also write display outputs into the document after the output block
+ * @property {number} [recoveryDelayMs=2000] - Delay before recovering executions orphaned by a previous monitor
+ * @property {number} [leaseMs=30000] - Claim lease duration; claims are renewed every leaseMs / 3
+ * @property {number} [cancelGraceMs=5000] - How long a runtime interrupt may take before the session is restarted
+ * @property {number} [executionConcurrency=1] - Concurrent executions per runtime + session
+ * @property {Object<string, number>} [runtimeConcurrency] - Per-runtime-URL concurrency overrides
+ * @property {number} [timeoutMs] - Default total time limit per execution (none by default)
+ * @property {number} [idleTimeoutMs] - Default limit on time without runtime events (none by default)
+ * @property {Object<string, {timeoutMs?: number, idleTimeoutMs?: number}>} [runtimeTimeouts] - Per-runtime-URL defaults
+ * @property {import('./execution.js').ReconnectOptions} [reconnect] - Backoff for re-attaching dropped runtime streams
+ * @property {import('./retention.js').RetentionPolicy|null} [retention=null] - Pruning of finished executions and table jobs (off by default)
+ * @property {string|null} [journalPath=null] - JSONL file to append execution state transitions to
+ * @property {number} [errorHistory=50] - Recent error log entries kept for getRecentErrors()
+ * @property {boolean} [claimRequests=true] - Claim other peers' execution requests and orphaned executions (off for headless runs, which only run their own cells)
+ * @property {import('./metrics.js').MonitorMetrics|null} [metrics=null] - Metric set to record into (see createMonitorMetrics)
  * @property {boolean} [enableTableJobs=true] - Whether to run the linked-table bridge
+ * @property {number} [tableTimeoutMs] - Default time limit per linked-table job; a job's own `timeoutMs` wins (none by default)
+ * @property {boolean} [reuseTableCaches=true] - Skip materializations whose spec, transform and sources match the cache's fingerprint
  * @property {string} [projectRoot] - Project root used for linked-table asset paths
  * @property {string} [cwd] - Working directory for linked-table subprocesses
  * @property {object} [fs] - Optional filesystem adapter for linked-table jobs
  * @property {Function} [exec] - Optional materialization executor override for linked-table jobs
  */
 
+/**
+ * @typedef {Object} RunCellsOptions
+ * @property {Object<string, string>} runtimes - MRP runtime URL per cell language; other cells are skipped
+ * @property {string} [session='default'] - MRP session to run in
+ * @property {number[]} [cells] - Only run the code cells with these indexes
+ * @property {boolean} [stopOnError=true] - Stop at the first cell that doesn't complete
+ * @property {number} [timeoutMs] - Total time limit per cell
+ * @property {number} [idleTimeoutMs] - Time limit per cell without runtime events
+ */
+
+/**
+ * @typedef {Object} CellRun
+ * @property {number} index - Code cell index
+ * @property {string} language
+ * @property {string|null} execId
+ * @property {string} status - Final execution status, or 'skipped'
+ * @property {Object|null} error
+ */
+
+/**
+ * Resolve whether a promise settles within a time limit
+ *
+ * @param {Promise<*>} promise
+ * @param {number} ms
+ * @returns {Promise<boolean>}
+ */
+function settlesWithin(promise, ms) {
+  let timer = null;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Runtime Monitor
  *
@@ -52,7 +119,29 @@ export class RuntimeMonitor {
       color: '#10b981',
       log: console.log,
       outputFlushMs: 100,
+      ansiOutput: false,
+      scrollbackLines: 10000,
+      scrollbackHeadLines: undefined,
+      outputLogDir: null,
+      assetThresholdBytes: DEFAULT_ASSET_THRESHOLD,
+      displayInDocument: false,
+      recoveryDelayMs: 2000,
+      leaseMs: DEFAULT_LEASE_MS,
+      cancelGraceMs: 5000,
+      executionConcurrency: 1,
+      runtimeConcurrency: {},
+      timeoutMs: null,
+      idleTimeoutMs: null,
+      runtimeTimeouts: {},
+      reconnect: {},
+      retention: null,
+      journalPath: null,
+      errorHistory: 50,
+      claimRequests: true,
+      metrics: null,
       enableTableJobs: true,
+      tableTimeoutMs: null,
+      reuseTableCaches: true,
       ...options,
     };
 
@@ -69,11 +158,25 @@ export class RuntimeMonitor {
     this.writer = null;
 
     /** @type {ExecutionHandler} */
-    this.executor = new ExecutionHandler();
+    this.executor = new ExecutionHandler(this.options.reconnect, { metrics: this.options.metrics, docPath: this.docPath });
+
+    /** @type {ExecutionScheduler} */
+    this.scheduler = new ExecutionScheduler({
+      concurrency: this.options.executionConcurrency,
+      concurrencyByRuntime: this.options.runtimeConcurrency,
+      onQueueChange: (queueKey, waiting) => this._handleQueueChange(queueKey, waiting),
+    });
 
     /** @type {import('./tables/index.js').TableJobsBridge|null} */
     this.tableJobsBridge = null;
 
+    /** @type {import('./assets.js').AssetStore|null} Saved display outputs (needs projectRoot) */
+    this.assets = this.options.projectRoot
+      ? createAssetStore(this.options.projectRoot, {
+        thresholdBytes: this.options.assetThresholdBytes ?? Infinity,
+      })
+      : null;
+
     /** @type {boolean} */
     this._connected = false;
 
@@ -83,8 +186,47 @@ export class RuntimeMonitor {
     /** @type {Function|null} */
     this._unsubscribe = null;
 
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    this._recoveryTimer = null;
+
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this._heartbeatTimer = null;
+
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this._retentionTimer = null;
+
+    /** @type {Promise<Object|null>|null} In-flight pruneFinished() */
+    this._pruning = null;
+
+    /** @type {ExecutionJournal|null} */
+    this.journal = this.options.journalPath ? new ExecutionJournal(this.options.journalPath) : null;
+
+    /** @type {JournalRecorder|null} Set while watching */
+    this._journalRecorder = null;
+
+    /** @type {boolean} Whether the current run of journal write failures was logged */
+    this._journalFailing = false;
+
     /** @type {Set<string>} */
     this._processingExecutions = new Set();
+
+    /** @type {Map<string, Object>} Streaming state of executions we are running */
+    this._runs = new Map();
+
+    /** @type {Set<string>} Executions waiting for their output block to sync */
+    this._awaitingOutputBlock = new Set();
+
+    /** @type {Map<string, number>} respondedAt of the last stdin response sent per execution */
+    this._sentStdinResponses = new Map();
+
+    /** @type {{started: number, completed: number, failed: number}} */
+    this._counters = { started: 0, completed: 0, failed: 0 };
+
+    /** @type {Set<function(Object|null): void>} Pending runCells() waits, released on disconnect */
+    this._executionWaiters = new Set();
+
+    /** @type {Object[]} Most recent error log entries, oldest first */
+    this._recentErrors = [];
   }
 
   /**
@@ -98,9 +240,14 @@ export class RuntimeMonitor {
       timestamp: new Date().toISOString(),
       level,
       component: 'monitor',
+      doc: this.docPath,
       message,
       ...data,
     };
+    if (level === 'error') {
+      this._recentErrors.push(entry);
+      if (this._recentErrors.length > this.options.errorHistory) this._recentErrors.shift();
+    }
     this.options.log(JSON.stringify(entry));
   }
 
@@ -133,6 +280,7 @@ export class RuntimeMonitor {
           this._log('info', 'Connected to sync server');
         } else if (!this._connected && wasConnected) {
           this._log('warn', 'Disconnected from sync server');
+          this.options.metrics?.syncDisconnects.inc({ doc: this.docPath });
         }
       });
 
@@ -142,17 +290,7 @@ export class RuntimeMonitor {
         if (isSynced && !this._synced) {
           this._synced = true;
           this._log('info', 'Document synced');
-
-          // Initialize coordination and writer
-          this.coordination = new CoordinationProtocol(this.ydoc, this.ydoc.clientID);
-          this.writer = new DocumentWriter(this.ydoc);
-
-          // Start linked-table bridge before watchers begin consuming jobs
-          this._startTableJobsBridge();
-
-          // Start watching for execution requests
-          this._startWatching();
-
+          this._startSession();
           resolve();
         }
       });
@@ -165,6 +303,22 @@ export class RuntimeMonitor {
     });
   }
 
+  /**
+   * Set up coordination, the writer and the watchers on the synced document
+   */
+  _startSession() {
+    this.coordination = new CoordinationProtocol(this.ydoc, this.ydoc.clientID, {
+      leaseMs: this.options.leaseMs,
+    });
+    this.writer = new DocumentWriter(this.ydoc);
+
+    // Start linked-table bridge before watchers begin consuming jobs
+    this._startTableJobsBridge();
+
+    // Start watching for execution requests
+    this._startWatching();
+  }
+
   /**
    * Start the linked-table `tableJobs` bridge.
    */
@@ -180,12 +334,18 @@ export class RuntimeMonitor {
     this.tableJobsBridge = createTableJobsBridge({
       ydoc: this.ydoc,
       clientId: this.ydoc.clientID,
+      awareness: this.provider?.awareness || null,
+      leaseMs: this.options.leaseMs,
       textName: 'content',
       projectRoot: this.options.projectRoot,
       documentPath: this.docPath,
+      docPath: this.docPath,
       cwd: this.options.cwd,
       fs: this.options.fs,
       exec: this.options.exec,
+      jobTimeoutMs: this.options.tableTimeoutMs,
+      reuseCache: this.options.reuseTableCaches,
+      metrics: this.options.metrics,
       logger: {
         debug: (message, data = {}) => this._log('debug', String(message), data),
         info: (message, data = {}) => this._log('info', String(message), data),
@@ -201,22 +361,36 @@ export class RuntimeMonitor {
   _startWatching() {
     this._log('info', 'Starting execution watcher');
 
+    this._journalRecorder = this.journal
+      ? new JournalRecorder(this.journal, { clientId: this.ydoc.clientID, doc: this.docPath })
+      : null;
+
     this._unsubscribe = this.coordination.observe((execId, exec, action) => {
+      this._recordTransition(execId, exec);
       if (!exec) return;
 
+      // Another monitor won a concurrent claim (or took over our lapsed lease)
+      if (this._processingExecutions.has(execId) && exec.claimedBy !== this.ydoc.clientID) {
+        this._handleLostClaim(execId, exec);
+        return;
+      }
+
       // Handle cancellations
       if (exec.status === EXECUTION_STATUS.CANCELLED && exec.claimedBy === this.ydoc.clientID) {
-        this._handleCancellation(execId, exec);
+        this._handleCancellation(execId, exec).catch((err) => {
+          this._log('error', 'Failed to cancel execution', { execId, error: err.message });
+        });
         return;
       }
 
       // Handle new requests
-      if (exec.status === EXECUTION_STATUS.REQUESTED) {
+      if (exec.status === EXECUTION_STATUS.REQUESTED && this.options.claimRequests) {
         this._handleRequest(execId, exec);
       }
 
-      // Handle ready (output block created)
-      if (exec.status === EXECUTION_STATUS.READY && exec.claimedBy === this.ydoc.clientID) {
+      // Handle ready (output block created); queued ones we don't track were taken over
+      if ((exec.status === EXECUTION_STATUS.READY || exec.status === EXECUTION_STATUS.QUEUED)
+        && exec.claimedBy === this.ydoc.clientID) {
         this._handleReady(execId, exec);
       }
 
@@ -228,15 +402,207 @@ export class RuntimeMonitor {
 
     // Also check for any existing requests we might have missed
     this._checkExistingRequests();
+
+    // Give Awareness a moment to deliver the other peers before judging claims stale
+    if (this.options.claimRequests) {
+      this._recoveryTimer = setTimeout(() => {
+        this._recoveryTimer = null;
+        if (this.coordination) this._recoverOrphanedExecutions();
+      }, Math.max(0, this.options.recoveryDelayMs));
+    }
+
+    // Keep our leases alive and pick up claims whose owner went away
+    const heartbeatMs = Math.max(1000, Math.floor(this.options.leaseMs / 3));
+    this._heartbeatTimer = setInterval(() => this._heartbeat(), heartbeatMs);
+    this._heartbeatTimer.unref?.();
+
+    // Prune finished executions and table jobs per the retention policy
+    if (isRetentionEnabled(this.options.retention)) {
+      const { intervalMs } = { ...DEFAULT_RETENTION, ...this.options.retention };
+      this._retentionTimer = setInterval(() => this.pruneFinished(), Math.max(1000, intervalMs));
+      this._retentionTimer.unref?.();
+    }
+  }
+
+  /**
+   * Apply the retention policy to `executions` and `tableJobs` once
+   *
+   * Only the live monitor with the lowest client ID prunes, so entries are
+   * archived once even with several monitors on the document. Entries this
+   * monitor is still processing are kept. Archive failures are logged and
+   * leave the maps untouched.
+   *
+   * @returns {Promise<{executions: string[], tableJobs: string[]}|null>} Pruned IDs, or null if skipped
+   */
+  pruneFinished() {
+    const policy = { ...DEFAULT_RETENTION, ...this.options.retention };
+    if (!this.coordination || !isRetentionEnabled(policy) || this._pruning) {
+      return this._pruning || Promise.resolve(null);
+    }
+
+    const liveMonitors = getLiveMonitors(this.provider?.awareness || null);
+    if (liveMonitors && Math.min(this.ydoc.clientID, ...liveMonitors) !== this.ydoc.clientID) {
+      return Promise.resolve(null);
+    }
+
+    const prune = async () => {
+      const options = { doc: this.docPath };
+      const executions = await pruneMap(this.ydoc.getMap('executions'), 'executions', policy, {
+        ...options,
+        exclude: this._processingExecutions,
+      });
+      const tableJobs = await pruneMap(this.ydoc.getMap('tableJobs'), 'tableJobs', policy, options);
+
+      const total = executions.pruned.length + tableJobs.pruned.length;
+      if (total > 0) {
+        this._log('info', 'Pruned finished entries', {
+          executions: executions.pruned.length,
+          tableJobs: tableJobs.pruned.length,
+          archived: executions.archived + tableJobs.archived,
+        });
+      }
+      return { executions: executions.pruned, tableJobs: tableJobs.pruned };
+    };
+
+    this._pruning = prune()
+      .catch((err) => {
+        this._log('error', 'Failed to prune finished entries', { error: err.message });
+        return null;
+      })
+      .finally(() => {
+        this._pruning = null;
+      });
+    return this._pruning;
+  }
+
+  /**
+   * Journal the state transitions of an execution we own
+   *
+   * Write failures are logged once until a write succeeds again.
+   *
+   * @param {string} execId
+   * @param {Object|undefined} exec
+   */
+  _recordTransition(execId, exec) {
+    if (!this._journalRecorder) return;
+
+    this._journalRecorder.observe(execId, exec);
+    const error = this.journal.lastError;
+    if (error && !this._journalFailing) {
+      this._log('warn', 'Failed to write execution journal', { path: this.journal.path, error: error.message });
+    }
+    this._journalFailing = Boolean(error);
+  }
+
+  /**
+   * Renew our claim leases and take over lapsed ones
+   */
+  _heartbeat() {
+    if (!this.coordination) return;
+    this.coordination.renewLeases();
+    if (this.options.claimRequests) this._recoverOrphanedExecutions();
+  }
+
+  /**
+   * Stand down from an execution another monitor now owns
+   *
+   * @param {string} execId
+   * @param {Object} exec
+   */
+  _handleLostClaim(execId, exec) {
+    this._log('warn', 'Lost claim to another monitor', { execId, claimedBy: exec.claimedBy });
+    this._processingExecutions.delete(execId);
+    if (this.scheduler.remove(execId)) {
+      this.writer.releaseOutputBlock(execId);
+    }
+    this.executor.cancel(execId);
+  }
+
+  /**
+   * Recover executions orphaned by a monitor that is no longer connected
+   *
+   * Executions left `claimed`, `ready`, `queued` or `running` by a monitor that has
+   * left Awareness and whose lease lapsed (typically our own previous
+   * process) are taken over. Claimed/ready/queued ones continue through the
+   * normal flow; running ones are re-attached to the runtime when it can resume the
+   * stream, and otherwise marked as errored with the output gathered so far
+   * kept.
+   */
+  _recoverOrphanedExecutions() {
+    const statuses = [
+      EXECUTION_STATUS.CLAIMED,
+      EXECUTION_STATUS.READY,
+      EXECUTION_STATUS.QUEUED,
+      EXECUTION_STATUS.RUNNING,
+    ];
+    const liveMonitors = getLiveMonitors(this.provider?.awareness);
+    const now = Date.now();
+
+    for (const status of statuses) {
+      for (const exec of this.coordination.getExecutionsByStatus(status)) {
+        if (!canTakeOver(this.coordination.withCurrentLease(exec), { clientId: this.ydoc.clientID, liveMonitors, now })) continue;
+        if (!this.coordination.takeOverExecution(exec.id, exec.claimedBy)) continue;
+
+        this._log('info', 'Took over orphaned execution', {
+          execId: exec.id,
+          status,
+          previousClaimedBy: exec.claimedBy,
+        });
+        this._processingExecutions.add(exec.id);
+
+        // Claimed/ready/queued executions now claimed by us are picked up by the watcher
+        if (status === EXECUTION_STATUS.RUNNING) {
+          this._resumeExecution(exec.id, this.coordination.getExecution(exec.id));
+        }
+      }
+    }
+  }
+
+  /**
+   * Re-attach to a running execution after a monitor restart
+   *
+   * @param {string} execId
+   * @param {Object} exec
+   */
+  async _resumeExecution(execId, exec) {
+    const anchored = this.writer.anchorOutputBlock(execId, exec.outputPosition);
+    const initialOutput = anchored ? (this.writer.getOutputContent(execId) || '') : '';
+
+    let resumed = false;
+    if (anchored) {
+      this._log('info', 'Re-attaching to running execution', { execId, runtimeUrl: exec.runtimeUrl });
+      await this._runExecution(execId, (callbacks) => this.executor.attach(exec.runtimeUrl, execId, {
+        session: exec.session,
+        callbacks: {
+          ...callbacks,
+          onStart: () => {
+            resumed = true;
+          },
+        },
+      }), { initialOutput });
+
+      if (resumed) return;
+    }
+
+    this._log('warn', 'Could not resume execution after monitor restart', { execId, anchored: !!anchored });
+    this.writer.releaseOutputBlock(execId);
+    this._processingExecutions.delete(execId);
+    this.coordination.setError(execId, {
+      type: 'MonitorRestarted',
+      message: 'The monitor restarted while this execution was running and the runtime could not resume it. Output received before the restart was kept.',
+    });
+    this._recordFinished(execId);
   }
 
   /**
    * Check for existing requests on startup
    */
   _checkExistingRequests() {
-    const requested = this.coordination.getExecutionsByStatus(EXECUTION_STATUS.REQUESTED);
-    for (const exec of requested) {
-      this._handleRequest(exec.id, exec);
+    if (this.options.claimRequests) {
+      const requested = this.coordination.getExecutionsByStatus(EXECUTION_STATUS.REQUESTED);
+      for (const exec of requested) {
+        this._handleRequest(exec.id, exec);
+      }
     }
 
     // Also check for any we claimed but didn't start (e.g., after restart)
@@ -251,15 +617,148 @@ export class RuntimeMonitor {
   /**
    * Handle cancellation
    *
+   * Interrupts the execution on the runtime (escalating to a session
+   * restart if needed), then writes the final cancelled state.
+   *
    * @param {string} execId
    * @param {Object} exec
    */
-  _handleCancellation(execId, exec) {
+  async _handleCancellation(execId, exec) {
     if (!this._processingExecutions.has(execId)) return;
+    this._processingExecutions.delete(execId);
 
     this._log('info', 'Execution cancelled by user', { execId });
-    this.executor.cancel(execId);
-    this._processingExecutions.delete(execId);
+
+    const run = this._runs.get(execId);
+    if (!run && this.scheduler.remove(execId)) {
+      this._log('info', 'Removed cancelled execution from queue', { execId });
+      this.writer.releaseOutputBlock(execId);
+    }
+
+    const outcome = run
+      ? await this._stopExecution(execId)
+      : { interrupted: false, restarted: false };
+
+    // Disconnected while the runtime was being stopped
+    if (!this.coordination) return;
+
+    this.coordination.setCancelled(execId, {
+      partialOutput: run ? run.output : null,
+      ...outcome,
+    });
+    this._recordFinished(execId);
+  }
+
+  /**
+   * Resolve the time limits for an execution
+   *
+   * The execution's own fields win over per-runtime defaults, which win
+   * over the monitor-wide defaults.
+   *
+   * @param {Object} exec
+   * @returns {{timeoutMs: number|null, idleTimeoutMs: number|null}}
+   */
+  _resolveTimeouts(exec) {
+    const runtime = this.options.runtimeTimeouts?.[exec.runtimeUrl] || {};
+    const pick = (...values) => values.find(value => Number.isFinite(value) && value > 0) ?? null;
+
+    return {
+      timeoutMs: pick(exec.timeoutMs, runtime.timeoutMs, this.options.timeoutMs),
+      idleTimeoutMs: pick(exec.idleTimeoutMs, runtime.idleTimeoutMs, this.options.idleTimeoutMs),
+    };
+  }
+
+  /**
+   * Stop an execution that exceeded a time limit and mark it errored
+   *
+   * @param {string} execId
+   * @param {'total'|'idle'} kind - Which limit fired
+   * @param {number} limitMs
+   */
+  async _handleTimeout(execId, kind, limitMs) {
+    const run = this._runs.get(execId);
+    if (!run || run.stopped) return;
+
+    const seconds = Math.round(limitMs / 100) / 10;
+    this._log('warn', 'Execution timed out', { execId, kind, limitMs });
+
+    const outcome = await this._stopExecution(execId);
+
+    // Disconnected while the runtime was being stopped
+    if (!this.coordination) return;
+
+    this._counters.failed++;
+    this.coordination.setError(execId, {
+      type: 'Timeout',
+      message: kind === 'idle'
+        ? `No output from the runtime for ${seconds}s`
+        : `Execution exceeded its ${seconds}s time limit`,
+      timeoutKind: kind,
+      timeoutMs: limitMs,
+      ...outcome,
+    });
+    this._recordFinished(execId);
+  }
+
+  /**
+   * Stop a running execution on the runtime
+   *
+   * Sends an interrupt, waits up to `cancelGraceMs` for the stream to end,
+   * and otherwise restarts the session and aborts the local stream. Results
+   * and errors arriving from the stream afterwards are not written.
+   *
+   * @param {string} execId
+   * @returns {Promise<{interrupted: boolean, restarted: boolean}>}
+   */
+  _stopExecution(execId) {
+    const run = this._runs.get(execId);
+    if (!run) return Promise.resolve({ interrupted: false, restarted: false });
+
+    if (!run.stopping) {
+      run.stopped = true;
+      run.stopping = this._interruptRun(run);
+    }
+    return run.stopping;
+  }
+
+  /**
+   * @param {Object} run - Entry from this._runs
+   * @returns {Promise<{interrupted: boolean, restarted: boolean}>}
+   */
+  async _interruptRun(run) {
+    const { execId, exec } = run;
+    let interrupted = false;
+    let restarted = false;
+
+    try {
+      const response = await this.executor.interrupt(exec.runtimeUrl, { session: exec.session });
+      interrupted = response?.interrupted !== false;
+      this._log('info', 'Interrupt sent to runtime', { execId, interrupted });
+    } catch (err) {
+      this._log('warn', 'Failed to interrupt runtime', { execId, error: err.message });
+    }
+
+    const graceMs = Math.max(0, this.options.cancelGraceMs);
+    const finished = await settlesWithin(run.done, graceMs);
+
+    if (!finished) {
+      this._log('warn', 'Interrupt did not stop execution, restarting session', {
+        execId,
+        session: exec.session || 'default',
+        graceMs,
+      });
+      try {
+        await this.executor.resetSession(exec.runtimeUrl, exec.session || undefined);
+        restarted = true;
+      } catch (err) {
+        this._log('error', 'Failed to restart session', { execId, error: err.message });
+      }
+      this.executor.cancel(execId);
+      await run.done;
+    }
+
+    // run.done settles after _runExecution wrote the last output and released the block
+    return { interrupted: interrupted && finished, restarted };
   }
 
   /**
@@ -279,6 +778,13 @@ export class RuntimeMonitor {
     if (claimed) {
       this._log('info', 'Claimed execution', { execId });
       this._processingExecutions.add(execId);
+      // Later requests on this session wait until its output block is ready
+      this.scheduler.hold({
+        id: execId,
+        runtimeUrl: exec.runtimeUrl,
+        session: exec.session,
+        requestedAt: exec.requestedAt,
+      });
     } else {
       this._log('debug', 'Could not claim execution (already claimed)', { execId });
     }
@@ -291,32 +797,40 @@ export class RuntimeMonitor {
    * @param {Object} exec
    */
   async _handleReady(execId, exec) {
-    // Don't start twice
-    if (this.executor.isActive(execId)) return;
+    // Don't start twice (lease renewals and other updates re-fire the watcher)
+    if (this.executor.isActive(execId) || this._awaitingOutputBlock.has(execId) || this.scheduler.has(execId)) return;
 
     // Wait for output block to be synced to our ydoc
     // The browser created the output block, but Yjs sync may not have propagated it yet
     let attempts = 0;
     const maxAttempts = 50; // 5 seconds max
-    while (!this.writer.hasOutputBlock(execId) && attempts < maxAttempts) {
-      // Re-fetch execution to ensure it hasn't been cancelled while we're waiting
-      const currentExec = this.coordination.executions.get(execId);
-      if (currentExec && currentExec.status === EXECUTION_STATUS.CANCELLED) {
-        this._log('info', 'Execution cancelled while waiting for output block sync', { execId });
-        this._processingExecutions.delete(execId);
-        return;
+    this._awaitingOutputBlock.add(execId);
+    try {
+      while (!this.writer.hasOutputBlock(execId) && attempts < maxAttempts) {
+        // Re-fetch execution to ensure it hasn't been cancelled while we're waiting
+        const currentExec = this.coordination.executions.get(execId);
+        if (currentExec && currentExec.status === EXECUTION_STATUS.CANCELLED) {
+          this._log('info', 'Execution cancelled while waiting for output block sync', { execId });
+          this._processingExecutions.delete(execId);
+          this.scheduler.remove(execId);
+          return;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        attempts++;
       }
-      
-      await new Promise(resolve => setTimeout(resolve, 100));
-      attempts++;
+    } finally {
+      this._awaitingOutputBlock.delete(execId);
     }
 
     if (!this.writer.hasOutputBlock(execId)) {
       this._log('error', 'Output block not synced after timeout', { execId, attempts });
+      this.scheduler.remove(execId);
       this.coordination.setError(execId, {
         type: 'SyncError',
         message: 'Output block not synced to monitor. Try again.',
       });
+      this._recordFinished(execId);
       this._processingExecutions.delete(execId);
       return;
     }
@@ -325,112 +839,433 @@ export class RuntimeMonitor {
       this._log('debug', 'Waited for output block sync', { execId, attempts, ms: attempts * 100 });
     }
 
-    this._log('info', 'Starting execution', { execId, language: exec.language });
+    // Anchor both ends of the block so writes survive concurrent edits
+    const latestExec = this.coordination.getExecution(execId) || exec;
+    if (!this.writer.anchorOutputBlock(execId, latestExec.outputPosition)) {
+      this._log('warn', 'Could not anchor output block, falling back to text search', { execId });
+    }
+
+    // Wait for a slot on this runtime + session, in request order
+    const position = this.scheduler.enqueue({
+      id: execId,
+      runtimeUrl: latestExec.runtimeUrl,
+      session: latestExec.session,
+      requestedAt: latestExec.requestedAt,
+      run: () => this._startExecution(execId),
+    });
+
+    if (position > 0) {
+      this._log('info', 'Execution queued', { execId, position, session: latestExec.session || 'default' });
+    }
+  }
+
+  /**
+   * Start a scheduled execution on its runtime
+   *
+   * @param {string} execId
+   * @returns {Promise<void>} Resolves when the execution ends
+   */
+  async _startExecution(execId) {
+    const exec = this.coordination?.getExecution(execId);
+    if (!exec || exec.claimedBy !== this.ydoc.clientID || exec.status === EXECUTION_STATUS.CANCELLED) {
+      this.writer?.releaseOutputBlock(execId);
+      return;
+    }
+
+    this._log('info', 'Starting execution', { execId, language: exec.language, session: exec.session || 'default' });
 
     // Mark as running
     this.coordination.setRunning(execId);
+    this._counters.started++;
+    if (exec.claimedAt) {
+      this.options.metrics?.claimToStart.observe({ doc: this.docPath, language: exec.language }, (Date.now() - exec.claimedAt) / 1000);
+    }
+
+    await this._runExecution(execId, (callbacks) => this.executor.execute(exec.runtimeUrl, exec.code, {
+      execId,
+      session: exec.session,
+      callbacks,
+    }));
+  }
+
+  /**
+   * Mirror queue positions into the executions map
+   *
+   * @param {string} queueKey
+   * @param {import('./scheduler.js').ScheduledExecution[]} waiting - In queue order
+   */
+  _handleQueueChange(queueKey, waiting) {
+    this.options.metrics?.queuedExecutions.set({ doc: this.docPath }, this.scheduler.queuedCount);
+    if (!this.coordination) return;
+
+    waiting.forEach((item, index) => {
+      const exec = this.coordination.getExecution(item.id);
+      if (!exec || exec.claimedBy !== this.ydoc.clientID) return;
+      if (exec.status === EXECUTION_STATUS.QUEUED && exec.queuePosition === index + 1) return;
+      this.coordination.setQueued(item.id, index + 1);
+    });
+  }
 
+  /**
+   * Stream an execution's events into its output block and Y.Map entry
+   *
+   * @param {string} execId
+   * @param {function(import('./execution.js').ExecutionCallbacks): Promise<Object|null>} start - Starts the runtime stream
+   * @param {Object} [options]
+   * @param {string} [options.initialOutput] - Output already in the block (when re-attaching)
+   * @returns {Promise<Object|null>} Whatever `start` resolved to, or null on failure
+   */
+  async _runExecution(execId, start, { initialOutput = '' } = {}) {
+    let finishRun = null;
+    const run = {
+      execId,
+      exec: this.coordination.getExecution(execId),
+      output: '',
+      stopped: false,
+      stopping: null,
+      // Set by the first terminal write, so a failure isn't recorded twice
+      finished: false,
+      // Settles once the run has wound down (final output written, block released)
+      done: new Promise((resolve) => {
+        finishRun = resolve;
+      }),
+      flush: () => {},
+    };
+    this._runs.set(execId, run);
+
+    // Watchdog: total time limit (from startedAt) and idle limit (between events)
+    const { timeoutMs, idleTimeoutMs } = this._resolveTimeouts(run.exec || {});
+    let deadlineTimer = null;
+    let idleTimer = null;
+
+    const timeOut = (kind, limitMs) => {
+      this._handleTimeout(execId, kind, limitMs).catch((err) => {
+        this._log('error', 'Failed to stop timed-out execution', { execId, error: err.message });
+      });
+    };
+
+    const armIdleTimer = () => {
+      clearTimeout(idleTimer);
+      if (!idleTimeoutMs || run.stopped) return;
+      idleTimer = setTimeout(() => timeOut('idle', idleTimeoutMs), idleTimeoutMs);
+    };
+
+    if (timeoutMs) {
+      const elapsed = Date.now() - (run.exec?.startedAt || Date.now());
+      deadlineTimer = setTimeout(() => timeOut('total', timeoutMs), Math.max(0, timeoutMs - elapsed));
+    }
+    armIdleTimer();
+
+    let rawLog = null;
+    let flushTimer = null;
+    let outputDirty = false;
     try {
+      // Full raw output goes to disk when configured; the block keeps the scrollback
+      rawLog = this._openOutputLog(execId, { append: Boolean(initialOutput) });
+
       // Use TerminalBuffer to process output (handles \r, ANSI, progress bars)
-      const buffer = new TerminalBuffer();
+      const buffer = new TerminalBuffer({
+        maxLines: this.options.scrollbackLines,
+        headLines: this.options.scrollbackHeadLines,
+        formatTruncated: rawLog
+          ? n => `… ${n} lines truncated (full log: ${rawLog.path}) …`
+          : undefined,
+      });
+      if (initialOutput) {
+        buffer.write(initialOutput);
+      }
+      const render = () => (this.options.ansiOutput ? buffer.toAnsi() : buffer.toString());
+      run.output = render();
 
-      // Throttle Yjs writes to avoid CRDT churn on high-frequency output
+      // Throttle Yjs writes to avoid CRDT churn on high-frequency output;
+      // the buffer is only rendered when a write actually happens
       const outputFlushMs = Number.isFinite(this.options.outputFlushMs)
         ? Math.max(0, this.options.outputFlushMs)
         : 100;
-      let latestOutput = '';
-      let flushTimer = null;
+      let lastFlushAt = null;
 
       const flushOutputNow = () => {
         if (flushTimer) {
           clearTimeout(flushTimer);
           flushTimer = null;
         }
-        this.writer.replaceOutput(execId, latestOutput);
+        if (outputDirty) {
+          outputDirty = false;
+          run.output = render();
+        }
+        this.writer.replaceOutput(execId, run.output);
+
+        const metrics = this.options.metrics;
+        if (metrics) {
+          const now = Date.now();
+          metrics.outputFlushBytes.observe({ doc: this.docPath }, Buffer.byteLength(run.output));
+          if (lastFlushAt !== null) metrics.outputFlushInterval.observe({ doc: this.docPath }, (now - lastFlushAt) / 1000);
+          lastFlushAt = now;
+        }
+      };
+      run.flush = flushOutputNow;
+
+      // Display outputs serialized after the output block (displayInDocument);
+      // a re-attached run starts from what the execution already collected
+      const documentDisplays = this.options.displayInDocument
+        ? (run.exec?.displayData || []).map(display => this._documentDisplay(execId, display, display))
+        : null;
+      const writeDisplays = () => {
+        if (!documentDisplays || run.stopped) return;
+        this.writer.replaceDisplay(execId, buildDisplayRegion(execId, documentDisplays, { docPath: this.docPath }));
       };
 
       const scheduleFlush = () => {
+        outputDirty = true;
         if (outputFlushMs === 0) {
           flushOutputNow();
           return;
         }
         if (flushTimer) return;
-        flushTimer = setTimeout(() => {
-          flushTimer = null;
-          this.writer.replaceOutput(execId, latestOutput);
-        }, outputFlushMs);
+        flushTimer = setTimeout(flushOutputNow, outputFlushMs);
       };
 
-      await this.executor.execute(exec.runtimeUrl, exec.code, {
-        execId,
-        callbacks: {
-          onStdout: (chunk, accumulated) => {
-            // Process through terminal buffer for proper cursor/ANSI handling
-            buffer.write(chunk);
-            latestOutput = buffer.toString();
-            scheduleFlush();
-          },
+      const pending = start({
+        onEvent: () => armIdleTimer(),
+
+        onReconnect: ({ attempt, delayMs, lastEventId, error }) => {
+          this._log('warn', 'Runtime stream dropped, reconnecting', {
+            execId,
+            attempt,
+            delayMs,
+            lastEventId,
+            error,
+          });
+        },
 
-          onStderr: (chunk, accumulated) => {
-            // Process stderr through buffer too
-            buffer.write(chunk);
-            latestOutput = buffer.toString();
-            scheduleFlush();
-          },
+        onStdout: (chunk, accumulated) => {
+          // Process through terminal buffer for proper cursor/ANSI handling
+          buffer.write(chunk);
+          rawLog?.write(chunk);
+          scheduleFlush();
+        },
 
-          onStdinRequest: (request) => {
-            // Ensure prompt/output is visible immediately before asking for input
-            flushOutputNow();
-            this._log('info', 'Stdin request received from runtime', {
-              execId,
-              prompt: request.prompt,
-              password: request.password
-            });
-            this.coordination.requestStdin(execId, {
-              prompt: request.prompt,
-              password: request.password,
-            });
-            this._log('info', 'Stdin request stored in Y.Map', { execId });
-          },
+        onStderr: (chunk, accumulated) => {
+          // Process stderr through buffer too
+          buffer.write(chunk);
+          rawLog?.write(chunk);
+          scheduleFlush();
+        },
 
-          onDisplay: (display) => {
-            this._log('debug', 'Display data', { execId, mimeType: display.mimeType });
-            this.coordination.addDisplayData(execId, display);
-          },
+        onStdinRequest: (request) => {
+          // Waiting on the user isn't idleness; the next event re-arms the timer
+          clearTimeout(idleTimer);
 
-          onResult: (result) => {
-            flushOutputNow();
-            this._log('info', 'Execution completed', { execId, success: result.success });
-            this.coordination.setCompleted(execId, {
-              result: result.result,
-              displayData: result.displayData,
-            });
-          },
+          // Ensure prompt/output is visible immediately before asking for input
+          flushOutputNow();
+          this._log('info', 'Stdin request received from runtime', {
+            execId,
+            prompt: request.prompt,
+            password: request.password
+          });
+          this.coordination.requestStdin(execId, {
+            prompt: request.prompt,
+            password: request.password,
+          });
+          this._log('info', 'Stdin request stored in Y.Map', { execId });
+        },
 
-          onError: (error) => {
-            flushOutputNow();
-            this._log('error', 'Execution error', { execId, error: error.message });
-            this.coordination.setError(execId, error);
-          },
+        onDisplay: (display) => {
+          this._log('debug', 'Display data', { execId, mimeType: display.mimeType });
+          const stored = this._storeDisplay(execId, display);
+          this.coordination.addDisplayData(execId, stored);
+          if (documentDisplays) {
+            documentDisplays.push(this._documentDisplay(execId, display, stored));
+            writeDisplays();
+          }
         },
-      });
 
-      if (flushTimer) {
-        clearTimeout(flushTimer);
-      }
+        onResult: (result) => {
+          flushOutputNow();
+          if (run.stopped) return;
+          this._log('info', 'Execution completed', { execId, success: result.success });
+          this._counters.completed++;
+          const displayData = result.displayData?.map(display => this._storeDisplay(execId, display));
+          if (documentDisplays && displayData) {
+            documentDisplays.splice(0, documentDisplays.length,
+              ...result.displayData.map((display, i) => this._documentDisplay(execId, display, displayData[i])));
+          }
+          writeDisplays();
+          run.finished = true;
+          this.coordination.setCompleted(execId, {
+            result: result.result,
+            displayData,
+          });
+          this._recordFinished(execId);
+        },
+
+        onError: (error) => {
+          flushOutputNow();
+          writeDisplays();
+          if (run.stopped || run.finished) return;
+          run.finished = true;
+          this._log('error', 'Execution error', { execId, error: error.message });
+          this._counters.failed++;
+          this.coordination.setError(execId, error);
+          this._recordFinished(execId);
+        },
+      });
+      return await pending;
 
     } catch (err) {
       this._log('error', 'Execution failed', { execId, error: err.message });
-      this.coordination.setError(execId, {
-        type: 'MonitorError',
-        message: err.message,
-      });
+      if (!run.stopped && !run.finished) {
+        run.finished = true;
+        this.coordination.setError(execId, {
+          type: 'MonitorError',
+          message: err.message,
+        });
+        this._recordFinished(execId);
+      }
+      return null;
 
     } finally {
+      clearTimeout(deadlineTimer);
+      clearTimeout(idleTimer);
+      clearTimeout(flushTimer);
+      // Write what the throttle held back while the block is still anchored and ours
+      if (outputDirty && (run.stopped || this._processingExecutions.has(execId))) {
+        run.flush();
+      }
+      rawLog?.close();
+      this._runs.delete(execId);
+      this.writer.releaseOutputBlock(execId);
       this._processingExecutions.delete(execId);
+      this._sentStdinResponses.delete(execId);
+      finishRun();
     }
   }
 
+  /**
+   * Count a finished execution and its run time in the metrics
+   *
+   * @param {string} execId
+   */
+  _recordFinished(execId) {
+    const metrics = this.options.metrics;
+    const exec = this.coordination?.getExecution(execId);
+    if (!metrics || !exec) return;
+
+    const labels = { doc: this.docPath, status: exec.status, language: exec.language };
+    metrics.executions.inc(labels);
+    if (exec.startedAt) {
+      metrics.executionDuration.observe(labels, ((exec.completedAt ?? Date.now()) - exec.startedAt) / 1000);
+    }
+  }
+
+  /**
+   * Move a large display payload to the asset store
+   *
+   * Store failures are logged and the payload stays inline.
+   *
+   * @param {string} execId
+   * @param {Object} display
+   * @returns {Object} The display or its asset reference
+   */
+  _storeDisplay(execId, display) {
+    if (!this.assets) return display;
+
+    try {
+      const stored = this.assets.store(display);
+      if (stored !== display) {
+        this._log('debug', 'Display data stored as asset', { execId, assetId: stored.assetId, size: stored.size });
+      }
+      return stored;
+    } catch (err) {
+      this._log('warn', 'Failed to store display data as asset', { execId, error: err.message });
+      return display;
+    }
+  }
+
+  /**
+   * Display output as written into the document
+   *
+   * Images are saved as assets whatever their size, so the document links
+   * to a file instead of embedding base64. Without a project root they stay
+   * inline and render as data URIs.
+   *
+   * @param {string} execId
+   * @param {Object} display - As received from the runtime
+   * @param {Object} stored - As kept in the execution entry
+   * @returns {Object}
+   */
+  _documentDisplay(execId, display, stored) {
+    if (!this.assets || stored !== display || !/^image\//.test(display?.mimeType || '')) {
+      return stored;
+    }
+
+    try {
+      return this.assets.store(display, { thresholdBytes: 0 });
+    } catch (err) {
+      this._log('warn', 'Failed to store display image as asset', { execId, error: err.message });
+      return display;
+    }
+  }
+
+  /**
+   * Hashes of the output assets this document references
+   *
+   * Covers display data in the executions map and asset paths in the text.
+   *
+   * @returns {Set<string>}
+   */
+  getAssetReferences() {
+    const hashes = new Set();
+    findAssetReferences(this.ydoc.getText('content').toString(), hashes);
+    for (const exec of this.ydoc.getMap('executions').values()) {
+      for (const display of exec?.displayData || []) {
+        if (display?.assetId) findAssetReferences(display.assetId, hashes);
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * Open the raw output log for an execution, if `outputLogDir` is set
+   *
+   * Write failures are logged once and then ignored; they never fail the
+   * execution.
+   *
+   * @param {string} execId
+   * @param {Object} [options]
+   * @param {boolean} [options.append=false] - Keep existing content (re-attached execution)
+   * @returns {{path: string, write: function(string): void, close: function(): void}|null}
+   */
+  _openOutputLog(execId, { append = false } = {}) {
+    if (!this.options.outputLogDir) return null;
+
+    const logPath = path.join(this.options.outputLogDir, `${execId.replace(/[^\w.-]/g, '_')}.log`);
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      this._log('warn', 'Could not write raw output log', { execId, path: logPath, error: err.message });
+    };
+
+    let stream;
+    try {
+      fs.mkdirSync(this.options.outputLogDir, { recursive: true });
+      stream = fs.createWriteStream(logPath, { flags: append ? 'a' : 'w' });
+    } catch (err) {
+      fail(err);
+      return null;
+    }
+    stream.on('error', fail);
+
+    return {
+      path: logPath,
+      write: (chunk) => {
+        if (!failed) stream.write(chunk);
+      },
+      close: () => stream.end(),
+    };
+  }
+
   /**
    * Handle stdin response from browser
    *
@@ -440,6 +1275,10 @@ export class RuntimeMonitor {
   async _handleStdinResponse(execId, exec) {
     if (!exec.stdinResponse) return;
 
+    // The same response stays in the map until cleared; only send it once
+    if (this._sentStdinResponses.get(execId) === exec.stdinResponse.respondedAt) return;
+    this._sentStdinResponses.set(execId, exec.stdinResponse.respondedAt);
+
     this._log('info', 'Stdin response received, sending to runtime', {
       execId,
       text: exec.stdinResponse.text
@@ -449,7 +1288,8 @@ export class RuntimeMonitor {
       const result = await this.executor.sendInput(
         exec.runtimeUrl,
         execId,
-        exec.stdinResponse.text
+        exec.stdinResponse.text,
+        { session: exec.session }
       );
 
       this._log('info', 'Stdin sent to runtime', { execId, result });
@@ -462,20 +1302,236 @@ export class RuntimeMonitor {
     }
   }
 
+  /**
+   * Run the document's code cells in order, without a browser
+   *
+   * The monitor creates each cell's execution already claimed, writes the
+   * `output:<execId>` block after the cell itself (replacing the cell's
+   * previous output block) and waits for the execution to finish before
+   * starting the next cell.
+   *
+   * @param {RunCellsOptions} options
+   * @returns {Promise<CellRun[]>}
+   */
+  async runCells(options) {
+    if (!this.coordination || !this.writer) {
+      throw new Error('Monitor is not connected');
+    }
+
+    const { runtimes = {}, cells: only = null, stopOnError = true } = options || {};
+    const ytext = this.writer.ytext;
+
+    // Anchor each cell's end so earlier outputs don't shift later cells
+    const cells = parseCodeCells(ytext.toString())
+      .filter(cell => runtimes[cell.language] && (!only || only.includes(cell.index)))
+      .map(cell => ({
+        ...cell,
+        anchor: Y.createRelativePositionFromTypeIndex(ytext, cell.end, -1),
+      }));
+
+    this._log('info', 'Running cells', { cells: cells.length });
+
+    const results = [];
+    for (const cell of cells) {
+      const result = await this._runCell(cell, { ...options, runtimeUrl: runtimes[cell.language] });
+      results.push(result);
+
+      this._log(result.status === EXECUTION_STATUS.COMPLETED ? 'info' : 'warn', 'Cell finished', {
+        cell: cell.index,
+        execId: result.execId,
+        status: result.status,
+      });
+
+      if (stopOnError && result.status !== EXECUTION_STATUS.COMPLETED) break;
+      if (!this.coordination) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Run a journaled execution again
+   *
+   * Finds the cell that still holds the same code (by language and code
+   * hash) and runs it like runCells(), on the runtime and session it used.
+   *
+   * @param {import('./journal.js').ExecutionSummary} past - From summarizeJournal()
+   * @returns {Promise<CellRun>}
+   */
+  async rerunExecution(past) {
+    if (!this.writer) {
+      throw new Error('Monitor is not connected');
+    }
+
+    const cell = parseCodeCells(this.writer.ytext.toString())
+      .find(candidate => candidate.language === past.language && hashCode(candidate.code) === past.codeHash);
+    if (!cell) {
+      throw new Error(`No ${past.language} cell with the code of ${past.execId} in ${this.docPath}`);
+    }
+
+    const [result] = await this.runCells({
+      runtimes: { [past.language]: past.runtimeUrl },
+      session: past.session,
+      cells: [cell.index],
+    });
+    return result;
+  }
+
+  /**
+   * Create a cell's execution and output block, then wait for it to finish
+   *
+   * @param {import('./cells.js').CodeCell & {anchor: Y.RelativePosition}} cell
+   * @param {RunCellsOptions & {runtimeUrl: string}} options
+   * @returns {Promise<CellRun>}
+   */
+  async _runCell(cell, options) {
+    const ytext = this.writer.ytext;
+    const end = Y.createAbsolutePositionFromRelativePosition(cell.anchor, this.ydoc)?.index;
+    if (end === undefined || end === null) {
+      return { index: cell.index, language: cell.language, execId: null, status: 'skipped', error: null };
+    }
+
+    const text = ytext.toString();
+    const previous = findOutputAfter(text, end);
+    const prefix = end > 0 && text[end - 1] !== '\n' ? '\n' : '';
+    let execId = null;
+
+    // One transaction, so the watcher first sees the execution as ready and ours
+    this.ydoc.transact(() => {
+      execId = this.coordination.requestExecution({
+        code: cell.code,
+        language: cell.language,
+        runtimeUrl: options.runtimeUrl,
+        session: options.session,
+        timeoutMs: options.timeoutMs,
+        idleTimeoutMs: options.idleTimeoutMs,
+      });
+      this.coordination.claimExecution(execId);
+      this._processingExecutions.add(execId);
+
+      if (previous) {
+        ytext.delete(previous.start, previous.end - previous.start);
+      }
+      ytext.insert(end, `${prefix}\`\`\`output:${execId}\n\`\`\`\n`);
+
+      this.coordination.setOutputBlockReady(execId, this.writer.createOutputPosition(execId));
+    });
+
+    const exec = await this._waitForExecution(execId);
+    return {
+      index: cell.index,
+      language: cell.language,
+      execId,
+      status: exec?.status ?? EXECUTION_STATUS.ERROR,
+      error: exec ? exec.error ?? null : { type: 'MonitorStopped', message: 'Monitor disconnected before the cell finished' },
+    };
+  }
+
+  /**
+   * Wait for an execution to reach a terminal status
+   *
+   * @param {string} execId
+   * @returns {Promise<Object|null>} Final execution entry, or null if the monitor disconnected
+   */
+  _waitForExecution(execId) {
+    return new Promise((resolve) => {
+      let unsubscribe = null;
+
+      const finish = (exec) => {
+        unsubscribe?.();
+        this._executionWaiters.delete(finish);
+        resolve(exec);
+      };
+
+      const check = () => {
+        const exec = this.coordination?.getExecution(execId);
+        if (!exec || isTerminalExecutionStatus(exec.status)) finish(exec || null);
+      };
+
+      this._executionWaiters.add(finish);
+      unsubscribe = this.coordination.observe((id) => {
+        if (id === execId) check();
+      });
+      check();
+    });
+  }
+
+  /**
+   * Wait until the sync server has applied our local updates
+   *
+   * Updates are sent as they happen and the server handles messages in
+   * order, so its answer to a sync step 1 sent now (the provider's `sync`
+   * event) arrives after it applied them.
+   *
+   * @param {number} [timeoutMs=5000]
+   * @returns {Promise<boolean>} false if not connected or the server didn't answer in time
+   */
+  flushUpdates(timeoutMs = 5000) {
+    const provider = this.provider;
+    const ws = provider?.ws;
+    if (!provider?.wsconnected || !ws || ws.readyState !== ws.OPEN) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const finish = (flushed) => {
+        clearTimeout(timer);
+        provider.off('sync', onSync);
+        resolve(flushed);
+      };
+      const onSync = (isSynced) => {
+        if (isSynced) finish(true);
+      };
+      const timer = setTimeout(() => finish(false), timeoutMs);
+      provider.on('sync', onSync);
+
+      // The answer's sync step 2 marks the provider synced again
+      provider.synced = false;
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, 0); // y-websocket sync message
+      encoding.writeVarUint(encoder, 0); // sync step 1
+      encoding.writeVarUint8Array(encoder, Y.encodeStateVector(this.ydoc));
+      ws.send(encoding.toUint8Array(encoder));
+    });
+  }
+
   /**
    * Disconnect from sync server
    */
   disconnect() {
     this._log('info', 'Disconnecting');
 
-    // Cancel active executions
+    // Drop queued executions and cancel active ones
+    this.scheduler.clear();
+    this.options.metrics?.queuedExecutions.set({ doc: this.docPath }, 0);
     this.executor.cancelAll();
 
+    // Release runCells() waits; their executions won't finish here
+    for (const finish of [...this._executionWaiters]) {
+      finish(null);
+    }
+
     // Stop watching
+    if (this._recoveryTimer) {
+      clearTimeout(this._recoveryTimer);
+      this._recoveryTimer = null;
+    }
+
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+
+    if (this._retentionTimer) {
+      clearInterval(this._retentionTimer);
+      this._retentionTimer = null;
+    }
+
     if (this._unsubscribe) {
       this._unsubscribe();
       this._unsubscribe = null;
     }
+    this._journalRecorder = null;
 
     // Clean up coordination
     if (this.coordination) {
@@ -515,6 +1571,118 @@ export class RuntimeMonitor {
   get activeExecutions() {
     return this.executor.activeCount;
   }
+
+  /**
+   * Unfinished executions claimed by this monitor
+   *
+   * @returns {Object[]} In request order
+   */
+  getExecutions() {
+    if (!this.coordination) return [];
+
+    const now = Date.now();
+    const executions = [];
+    this.coordination.executions.forEach((exec, execId) => {
+      if (exec.claimedBy !== this.ydoc.clientID || isTerminalExecutionStatus(exec.status)) return;
+      executions.push({
+        execId,
+        doc: this.docPath,
+        status: exec.status,
+        cellId: exec.cellId ?? null,
+        language: exec.language,
+        runtimeUrl: exec.runtimeUrl,
+        session: exec.session || 'default',
+        queuePosition: exec.status === EXECUTION_STATUS.QUEUED ? exec.queuePosition ?? null : null,
+        requestedAt: exec.requestedAt ?? null,
+        startedAt: exec.startedAt ?? null,
+        runningMs: exec.startedAt ? now - exec.startedAt : null,
+        awaitingInput: Boolean(exec.stdinRequest),
+      });
+    });
+    return executions.sort((a, b) => (a.requestedAt ?? 0) - (b.requestedAt ?? 0));
+  }
+
+  /**
+   * Unfinished table jobs claimed by this monitor
+   *
+   * @returns {Object[]}
+   */
+  getTableJobs() {
+    if (!this.tableJobsBridge) return [];
+
+    const now = Date.now();
+    const jobs = [];
+    this.tableJobsBridge.jobs.forEach((job, jobId) => {
+      if (job.claimedBy !== this.ydoc.clientID || isTerminalTableJobStatus(job.status)) return;
+      jobs.push({
+        jobId,
+        doc: this.docPath,
+        tableId: job.tableId,
+        jobType: job.jobType,
+        status: job.status,
+        phase: job.progress?.phase ?? null,
+        claimedAt: job.claimedAt ?? null,
+        startedAt: job.startedAt ?? null,
+        runningMs: job.startedAt ? now - job.startedAt : null,
+      });
+    });
+    return jobs;
+  }
+
+  /**
+   * Most recent error log entries
+   *
+   * @returns {Object[]} Oldest first
+   */
+  getRecentErrors() {
+    return [...this._recentErrors];
+  }
+
+  /**
+   * Cancel an execution in this document, as a browser would
+   *
+   * The claiming monitor (this one or another) interrupts the runtime when
+   * it sees the cancel.
+   *
+   * @param {string} execId
+   * @returns {'cancelled'|'finished'|'not-found'}
+   */
+  cancelExecution(execId) {
+    const exec = this.coordination?.getExecution(execId);
+    if (!exec) return 'not-found';
+    if (isTerminalExecutionStatus(exec.status)) return 'finished';
+
+    this._log('info', 'Cancel requested', { execId });
+    this.coordination.cancelExecution(execId);
+    return 'cancelled';
+  }
+
+  /**
+   * Request a finished table job again
+   *
+   * @param {string} jobId
+   * @returns {'retried'|'active'|'not-found'|'disabled'}
+   */
+  retryTableJob(jobId) {
+    if (!this.tableJobsBridge) return this._synced ? 'disabled' : 'not-found';
+    return this.tableJobsBridge.retryJob(jobId);
+  }
+
+  /**
+   * Status snapshot labelled with this monitor's document
+   *
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      doc: this.docPath,
+      connected: this.isConnected,
+      activeExecutions: this.activeExecutions,
+      claimedExecutions: this._processingExecutions.size,
+      queuedExecutions: this.scheduler.queuedCount,
+      executions: { ...this._counters },
+    };
+  }
 }
 
 /**
@@ -0,0 +1,149 @@
+/**
+ * Retention
+ *
+ * Prunes finished entries from `Y.Map('executions')` and `Y.Map('tableJobs')`
+ * so code, results and display data don't pile up in the shared document.
+ * Pruned entries can be appended to a JSONL archive first.
+ *
+ * @module mrmd-monitor/retention
+ */
+
+import fsPromises from 'node:fs/promises';
+import path from 'node:path';
+
+import { isTerminalExecutionStatus } from './coordination.js';
+import { isTerminalTableJobStatus } from './tables/status.js';
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {number|null} [keepPerCell=null] - Finished entries kept per cell (executions) or table (table jobs); null keeps all
+ * @property {number|null} [maxAgeMs=null] - Drop finished entries older than this; null keeps them regardless of age
+ * @property {string|null} [archivePath=null] - JSONL file pruned entries are appended to before removal
+ * @property {number} [intervalMs=60000] - How often the monitor applies the policy
+ */
+
+/**
+ * @typedef {Object} PruneResult
+ * @property {string[]} pruned - Removed entry IDs
+ * @property {number} archived - Entries written to the archive
+ */
+
+/** Default policy: nothing is pruned until a limit is set */
+export const DEFAULT_RETENTION = Object.freeze({
+  keepPerCell: null,
+  maxAgeMs: null,
+  archivePath: null,
+  intervalMs: 60000,
+});
+
+/**
+ * How each map's entries are grouped and dated
+ *
+ * Executions without a `cellId` (e.g. headless runs) are grouped by
+ * language and code.
+ */
+const MAP_KINDS = {
+  executions: {
+    isTerminal: isTerminalExecutionStatus,
+    group: exec => (exec.cellId ? `cell:${exec.cellId}` : `code:${exec.language}:${exec.code}`),
+    finishedAt: exec => exec.completedAt ?? exec.cancelledAt ?? exec.requestedAt ?? 0,
+  },
+  tableJobs: {
+    isTerminal: isTerminalTableJobStatus,
+    group: job => `table:${job.tableId}`,
+    finishedAt: job => job.completedAt ?? job.requestedAt ?? job.createdAt ?? 0,
+  },
+};
+
+/**
+ * Whether a policy prunes anything at all
+ *
+ * @param {RetentionPolicy|null} policy
+ * @returns {boolean}
+ */
+export function isRetentionEnabled(policy) {
+  return Number.isInteger(policy?.keepPerCell) || Number.isFinite(policy?.maxAgeMs);
+}
+
+/**
+ * Pick the finished entries a policy drops
+ *
+ * An entry is dropped when it is older than `maxAgeMs`, or when its group
+ * already has `keepPerCell` newer finished entries. Unfinished entries are
+ * never dropped.
+ *
+ * @param {Array<[string, Object]>} entries - [id, entry] pairs
+ * @param {'executions'|'tableJobs'} kind
+ * @param {RetentionPolicy} policy
+ * @param {number} [now=Date.now()]
+ * @returns {string[]} IDs to prune
+ */
+export function selectPrunableEntries(entries, kind, policy, now = Date.now()) {
+  const { isTerminal, group, finishedAt } = MAP_KINDS[kind];
+  const groups = new Map();
+
+  for (const [id, entry] of entries) {
+    if (!entry || !isTerminal(entry.status)) continue;
+    const key = group(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ id, finishedAt: finishedAt(entry) });
+  }
+
+  const prunable = [];
+  for (const members of groups.values()) {
+    members.sort((a, b) => b.finishedAt - a.finishedAt);
+    members.forEach((member, rank) => {
+      const tooMany = Number.isInteger(policy.keepPerCell) && rank >= policy.keepPerCell;
+      const tooOld = Number.isFinite(policy.maxAgeMs) && now - member.finishedAt > policy.maxAgeMs;
+      if (tooMany || tooOld) prunable.push(member.id);
+    });
+  }
+  return prunable;
+}
+
+/**
+ * Apply a retention policy to one coordination map
+ *
+ * Entries are archived before they are deleted; if the archive write
+ * fails nothing is deleted. Entries that changed while the archive was
+ * written are left for the next pass.
+ *
+ * @param {import('yjs').Map} ymap - `executions` or `tableJobs`
+ * @param {'executions'|'tableJobs'} kind
+ * @param {RetentionPolicy} policy
+ * @param {Object} [options]
+ * @param {Set<string>} [options.exclude] - IDs still in use locally
+ * @param {string} [options.doc] - Document path recorded in the archive
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<PruneResult>}
+ */
+export async function pruneMap(ymap, kind, policy, { exclude = new Set(), doc = null, now = Date.now() } = {}) {
+  const ids = selectPrunableEntries([...ymap.entries()], kind, policy, now)
+    .filter(id => !exclude.has(id));
+  if (ids.length === 0) return { pruned: [], archived: 0 };
+
+  const snapshot = new Map(ids.map(id => [id, ymap.get(id)]));
+
+  if (policy.archivePath) {
+    const archivedAt = new Date(now).toISOString();
+    const lines = ids
+      .map(id => JSON.stringify({ archivedAt, doc, map: kind, id, entry: snapshot.get(id) }))
+      .join('\n');
+    await fsPromises.mkdir(path.dirname(path.resolve(policy.archivePath)), { recursive: true });
+    await fsPromises.appendFile(policy.archivePath, lines + '\n');
+  }
+
+  const pruned = [];
+  const ydoc = ymap.doc;
+  const remove = () => {
+    for (const id of ids) {
+      if (ymap.get(id) !== snapshot.get(id)) continue;
+      ymap.delete(id);
+      pruned.push(id);
+    }
+  };
+  if (ydoc) ydoc.transact(remove);
+  else remove();
+
+  return { pruned, archived: policy.archivePath ? ids.length : 0 };
+}
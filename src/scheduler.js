@@ -0,0 +1,313 @@
+/**
+ * Execution Scheduler
+ *
+ * Queues executions per runtime URL + session and runs them in request
+ * order with a concurrency limit, so "run all cells" doesn't fire N
+ * overlapping requests at one kernel. Executions that are claimed but not
+ * ready yet can be held (see hold()), so a later request that becomes ready
+ * first doesn't overtake them.
+ *
+ * @module mrmd-monitor/scheduler
+ */
+
+/**
+ * @typedef {Object} ScheduledExecution
+ * @property {string} id - Execution ID
+ * @property {string} runtimeUrl - MRP runtime URL
+ * @property {string} [session] - MRP session ID
+ * @property {number} [requestedAt] - Request timestamp (queue order)
+ * @property {function(): Promise<*>} run - Starts the execution; resolves when it ends
+ */
+
+/**
+ * @typedef {Object} SchedulerOptions
+ * @property {number} [concurrency=1] - Default concurrent executions per runtime + session
+ * @property {Object<string, number>} [concurrencyByRuntime] - Per-runtime-URL overrides
+ * @property {function(string, ScheduledExecution[]): void} [onQueueChange] - Called with (queueKey, waiting items in order)
+ * @property {number} [holdMs=5000] - How long a held execution may keep later ones waiting
+ */
+
+/**
+ * Per-runtime/session execution queue
+ */
+export class ExecutionScheduler {
+  /**
+   * @param {SchedulerOptions} [options]
+   */
+  constructor(options = {}) {
+    /** @type {SchedulerOptions} */
+    this.options = {
+      concurrency: 1,
+      concurrencyByRuntime: {},
+      onQueueChange: null,
+      holdMs: 5000,
+      ...options,
+    };
+
+    /** @type {Map<string, ScheduledExecution[]>} Waiting items per queue key */
+    this._waiting = new Map();
+
+    /** @type {Map<string, Set<string>>} Running execution IDs per queue key */
+    this._running = new Map();
+
+    /** @type {Map<string, Map<string, {requestedAt: number, until: number}>>} Held execution IDs per queue key */
+    this._held = new Map();
+
+    /** @type {ReturnType<typeof setTimeout>|null} Re-checks queues when the next hold lapses */
+    this._holdTimer = null;
+  }
+
+  /**
+   * Queue key for a runtime + session
+   *
+   * @param {string} runtimeUrl
+   * @param {string} [session]
+   * @returns {string}
+   */
+  static key(runtimeUrl, session) {
+    return `${runtimeUrl}#${session || 'default'}`;
+  }
+
+  /**
+   * Concurrency limit for a runtime
+   *
+   * @param {string} runtimeUrl
+   * @returns {number}
+   */
+  limitFor(runtimeUrl) {
+    const limit = this.options.concurrencyByRuntime?.[runtimeUrl] ?? this.options.concurrency;
+    return Number.isFinite(limit) && limit >= 1 ? Math.floor(limit) : 1;
+  }
+
+  /**
+   * Keep later requests for the same runtime + session waiting until this
+   * execution is enqueued or removed, at most `holdMs`
+   *
+   * For executions that are claimed but whose output block isn't ready yet.
+   *
+   * @param {{id: string, runtimeUrl: string, session?: string, requestedAt?: number}} item
+   */
+  hold(item) {
+    if (this.has(item.id)) return;
+
+    const key = ExecutionScheduler.key(item.runtimeUrl, item.session);
+    const held = this._held.get(key) || new Map();
+    held.set(item.id, {
+      requestedAt: item.requestedAt ?? Date.now(),
+      until: Date.now() + Math.max(0, this.options.holdMs),
+    });
+    this._held.set(key, held);
+    this._scheduleHoldCheck();
+  }
+
+  /**
+   * Queue an execution; starts it right away if a slot is free
+   *
+   * @param {ScheduledExecution} item
+   * @returns {number} 0 if started, else 1-based queue position
+   */
+  enqueue(item) {
+    if (this.has(item.id)) return this.getPosition(item.id) ?? 0;
+
+    const key = ExecutionScheduler.key(item.runtimeUrl, item.session);
+    this._release(key, item.id);
+    const waiting = this._waiting.get(key) || [];
+
+    // Keep request order even when items become ready out of order
+    const requestedAt = item.requestedAt ?? Date.now();
+    let index = waiting.length;
+    while (index > 0 && (waiting[index - 1].requestedAt ?? 0) > requestedAt) index--;
+    waiting.splice(index, 0, { ...item, requestedAt });
+    this._waiting.set(key, waiting);
+
+    this._pump(key);
+    return this.getPosition(item.id) ?? 0;
+  }
+
+  /**
+   * Remove a waiting or held execution (e.g. cancelled before it started)
+   *
+   * @param {string} id
+   * @returns {boolean} true if it was waiting
+   */
+  remove(id) {
+    for (const [key, held] of this._held) {
+      if (held.has(id)) {
+        this._release(key, id);
+        this._pump(key);
+      }
+    }
+
+    for (const [key, waiting] of this._waiting) {
+      const index = waiting.findIndex(item => item.id === id);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+        this._notify(key);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether an execution is waiting or running
+   *
+   * @param {string} id
+   * @returns {boolean}
+   */
+  has(id) {
+    for (const running of this._running.values()) {
+      if (running.has(id)) return true;
+    }
+    return this.getPosition(id) !== null;
+  }
+
+  /**
+   * 1-based position of a waiting execution
+   *
+   * @param {string} id
+   * @returns {number|null} null if not waiting
+   */
+  getPosition(id) {
+    for (const waiting of this._waiting.values()) {
+      const index = waiting.findIndex(item => item.id === id);
+      if (index !== -1) return index + 1;
+    }
+    return null;
+  }
+
+  /**
+   * Snapshot of every waiting execution
+   *
+   * @returns {{id: string, runtimeUrl: string, session: string, position: number}[]}
+   */
+  getQueued() {
+    const queued = [];
+    for (const waiting of this._waiting.values()) {
+      waiting.forEach((item, index) => {
+        queued.push({
+          id: item.id,
+          runtimeUrl: item.runtimeUrl,
+          session: item.session || 'default',
+          position: index + 1,
+        });
+      });
+    }
+    return queued;
+  }
+
+  /** @returns {number} */
+  get queuedCount() {
+    let count = 0;
+    for (const waiting of this._waiting.values()) count += waiting.length;
+    return count;
+  }
+
+  /** @returns {number} */
+  get runningCount() {
+    let count = 0;
+    for (const running of this._running.values()) count += running.size;
+    return count;
+  }
+
+  /**
+   * Drop every waiting and held execution (running ones are left to finish)
+   */
+  clear() {
+    this._waiting.clear();
+    this._held.clear();
+    clearTimeout(this._holdTimer);
+    this._holdTimer = null;
+  }
+
+  /**
+   * Whether a held execution requested before `item` is still pending
+   *
+   * @param {string} key
+   * @param {ScheduledExecution} item
+   * @returns {boolean}
+   */
+  _isHeldBack(key, item) {
+    const now = Date.now();
+    for (const hold of this._held.get(key)?.values() || []) {
+      if (hold.until > now && hold.requestedAt < item.requestedAt) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} id
+   */
+  _release(key, id) {
+    const held = this._held.get(key);
+    if (!held?.delete(id)) return;
+    if (held.size === 0) this._held.delete(key);
+  }
+
+  /**
+   * Pump every queue again when the earliest hold lapses
+   */
+  _scheduleHoldCheck() {
+    clearTimeout(this._holdTimer);
+    this._holdTimer = null;
+
+    let next = Infinity;
+    for (const held of this._held.values()) {
+      for (const hold of held.values()) next = Math.min(next, hold.until);
+    }
+    if (next === Infinity) return;
+
+    this._holdTimer = setTimeout(() => {
+      this._holdTimer = null;
+      const now = Date.now();
+      for (const [key, held] of [...this._held]) {
+        for (const [id, hold] of [...held]) {
+          if (hold.until <= now) this._release(key, id);
+        }
+        this._pump(key);
+      }
+      this._scheduleHoldCheck();
+    }, Math.max(0, next - Date.now()));
+    this._holdTimer.unref?.();
+  }
+
+  /**
+   * Start waiting items while slots are free
+   *
+   * @param {string} key
+   */
+  _pump(key) {
+    const waiting = this._waiting.get(key) || [];
+    const running = this._running.get(key) || new Set();
+
+    let changed = false;
+    while (waiting.length > 0
+      && running.size < this.limitFor(waiting[0].runtimeUrl)
+      && !this._isHeldBack(key, waiting[0])) {
+      const item = waiting.shift();
+      running.add(item.id);
+      this._running.set(key, running);
+      changed = true;
+
+      Promise.resolve()
+        .then(() => item.run())
+        .catch(() => {})
+        .finally(() => {
+          running.delete(item.id);
+          if (running.size === 0 && this._running.get(key) === running) this._running.delete(key);
+          this._pump(key);
+        });
+    }
+
+    if (waiting.length === 0) this._waiting.delete(key);
+    if (changed || waiting.length > 0) this._notify(key);
+  }
+
+  /**
+   * @param {string} key
+   */
+  _notify(key) {
+    this.options.onQueueChange?.(key, [...(this._waiting.get(key) || [])]);
+  }
+}
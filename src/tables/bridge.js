@@ -5,9 +5,11 @@
  * and rewrites the markdown snapshot back into the shared document.
  */
 
+import { DEFAULT_LEASE_MS, canTakeOver, createLease, getLiveMonitors } from '../lease.js';
+import { createProgressTracker } from './progress.js';
 import { rewriteLinkedTableBlock } from './snapshot-rewriter.js';
 import { runTableJob } from './runner.js';
-import { TABLE_JOB_STATUS, isTerminalTableJobStatus } from './status.js';
+import { TABLE_JOB_PHASE, TABLE_JOB_STATUS, isTerminalTableJobStatus } from './status.js';
 
 function defaultLogger() {
   return {
@@ -38,6 +40,25 @@ function summarizeError(error) {
   };
 }
 
+function abortError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Settle with `promise`, or reject with the abort reason as soon as `signal` fires
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
 export class TableJobsBridge {
   constructor(options = {}) {
     if (!options.ydoc) {
@@ -47,9 +68,16 @@ export class TableJobsBridge {
     this.ydoc = options.ydoc;
     this.clientId = options.clientId || this.ydoc.clientID;
     this.jobs = this.ydoc.getMap('tableJobs');
+    this.awareness = options.awareness || null;
+    this.leaseMs = options.leaseMs ?? DEFAULT_LEASE_MS;
     this.textName = options.textName || 'content';
     this.runtime = options.runtime || null;
     this.logger = options.logger || defaultLogger();
+    this.metrics = options.metrics || null;
+    this.docPath = options.docPath ?? options.documentPath ?? null;
+    this.jobTimeoutMs = options.jobTimeoutMs ?? null;
+    this.progressFlushMs = options.progressFlushMs;
+    this.progressLogLines = options.progressLogLines;
     this.runnerOptions = {
       runtime: this.runtime,
       projectRoot: options.projectRoot,
@@ -64,9 +92,14 @@ export class TableJobsBridge {
       engineOptions: options.engineOptions,
       getRuntimeContext: options.getRuntimeContext,
       now: options.now,
+      metrics: this.metrics,
+      docPath: this.docPath,
+      killGraceMs: options.killGraceMs,
+      reuseCache: options.reuseCache,
     };
     this._observer = null;
-    this._activeJobs = new Set();
+    this._heartbeatTimer = null;
+    this._activeJobs = new Map();
     this._started = false;
 
     if (options.autoStart !== false) {
@@ -86,6 +119,11 @@ export class TableJobsBridge {
 
     this.jobs.observe(this._observer);
     this._checkExistingJobs();
+
+    // Renew our leases and take over jobs whose owner went away
+    const heartbeatMs = Math.max(1000, Math.floor(this.leaseMs / 3));
+    this._heartbeatTimer = setInterval(() => this._heartbeat(), heartbeatMs);
+    this._heartbeatTimer.unref?.();
     return this;
   }
 
@@ -93,10 +131,50 @@ export class TableJobsBridge {
     this.jobs.forEach((_job, jobId) => this._considerJob(jobId));
   }
 
+  _heartbeat() {
+    this.renewLeases();
+    this._checkExistingJobs();
+  }
+
+  renewLeases() {
+    const now = Date.now();
+    let renewed = 0;
+
+    this.ydoc.transact(() => {
+      this.jobs.forEach((job, jobId) => {
+        if (job.claimedBy !== this.clientId || isTerminalTableJobStatus(job.status)) return;
+        this.jobs.set(jobId, {
+          ...job,
+          ...createLease(this.leaseMs, now),
+          // Keep elapsed time moving while the subprocess is quiet
+          ...(job.progress ? { progress: { ...job.progress, elapsedMs: now - job.progress.startedAt, updatedAt: now } } : {}),
+        });
+        renewed++;
+      });
+    });
+
+    return renewed;
+  }
+
   _considerJob(jobId) {
     const job = this.jobs.get(jobId);
+
+    // Cancelled, removed or claimed away while running: stop the subprocess now
+    const controller = this._activeJobs.get(jobId);
+    if (controller && (!job || job.status === TABLE_JOB_STATUS.CANCELLED || job.claimedBy !== this.clientId)) {
+      controller.abort(abortError('cancelled', 'Linked-table job was cancelled'));
+      return;
+    }
+
     if (!job || isTerminalTableJobStatus(job.status)) return;
 
+    if (canTakeOver(job, { clientId: this.clientId, liveMonitors: getLiveMonitors(this.awareness) })) {
+      if (this.takeOverJob(jobId, job.claimedBy)) {
+        queueMicrotask(() => this._runJob(jobId));
+      }
+      return;
+    }
+
     if (job.status === TABLE_JOB_STATUS.REQUESTED) {
       const claimed = this.claimJob(jobId);
       if (claimed) {
@@ -121,37 +199,133 @@ export class TableJobsBridge {
       status: TABLE_JOB_STATUS.CLAIMED,
       claimedBy: this.clientId,
       claimedAt: Date.now(),
+      ...createLease(this.leaseMs),
     });
     this.logger.info?.('[mrmd-monitor/tables] claimed table job', { jobId, tableId: job.tableId, jobType: job.jobType });
     return true;
   }
 
+  takeOverJob(jobId, previousClaimant) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.claimedBy !== previousClaimant || isTerminalTableJobStatus(job.status)) return false;
+
+    // Table jobs are idempotent, so the new owner simply runs them again
+    this.jobs.set(jobId, {
+      ...job,
+      status: TABLE_JOB_STATUS.CLAIMED,
+      claimedBy: this.clientId,
+      claimedAt: Date.now(),
+      previousClaimedBy: previousClaimant,
+      ...createLease(this.leaseMs),
+    });
+    this.logger.info?.('[mrmd-monitor/tables] took over table job', { jobId, tableId: job.tableId, previousClaimedBy: previousClaimant });
+    return true;
+  }
+
+  retryJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return 'not-found';
+    // Also while a cancelled or timed-out subprocess is still stopping
+    if (!isTerminalTableJobStatus(job.status) || this._activeJobs.has(jobId)) return 'active';
+
+    // Back to a fresh request; whichever monitor claims it first runs it
+    this.jobs.set(jobId, {
+      ...job,
+      status: TABLE_JOB_STATUS.REQUESTED,
+      claimedBy: null,
+      claimedAt: null,
+      startedAt: null,
+      writingAt: null,
+      completedAt: null,
+      leaseExpiresAt: null,
+      leaseRenewedAt: null,
+      previousClaimedBy: null,
+      error: null,
+      result: null,
+      progress: null,
+      retriedAt: Date.now(),
+      retryCount: (job.retryCount || 0) + 1,
+    });
+    this.logger.info?.('[mrmd-monitor/tables] retrying table job', { jobId, tableId: job.tableId, previousStatus: job.status });
+    return 'retried';
+  }
+
+  _publishProgress(jobId, progress) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.claimedBy !== this.clientId || isTerminalTableJobStatus(job.status)) return;
+    this.jobs.set(jobId, { ...job, progress });
+  }
+
+  _resolveTimeout(job) {
+    const pick = (...values) => values.find(value => Number.isFinite(value) && value > 0) ?? null;
+    return pick(job?.timeoutMs, this.jobTimeoutMs);
+  }
+
   async _runJob(jobId) {
     if (this._activeJobs.has(jobId)) return;
 
     let job = this.jobs.get(jobId);
     if (!job || job.claimedBy !== this.clientId || isTerminalTableJobStatus(job.status)) return;
 
-    this._activeJobs.add(jobId);
+    const controller = new AbortController();
+    this._activeJobs.set(jobId, controller);
+    let timeoutMs = null;
+    let timeoutTimer = null;
+    const startedAt = Date.now();
+    const progress = createProgressTracker({
+      startedAt,
+      flushMs: this.progressFlushMs,
+      logLines: this.progressLogLines,
+      flush: snapshot => this._publishProgress(jobId, snapshot),
+    });
 
     try {
       this.jobs.set(jobId, {
         ...job,
         status: TABLE_JOB_STATUS.RUNNING,
-        startedAt: Date.now(),
+        startedAt,
+        progress: null,
       });
 
       job = this.jobs.get(jobId);
-      const result = await runTableJob(job, this.runnerOptions);
+      timeoutMs = this._resolveTimeout(job);
+      if (timeoutMs) {
+        const seconds = Math.round(timeoutMs / 100) / 10;
+        timeoutTimer = setTimeout(() => {
+          controller.abort(abortError('timeout', `Linked-table job exceeded its ${seconds}s time limit`));
+        }, timeoutMs);
+        timeoutTimer.unref?.();
+      }
+
+      const running = runTableJob(job, {
+        ...this.runnerOptions,
+        signal: controller.signal,
+        onProgress: update => progress.update(update),
+      });
+      // The default exec settles once its subprocess has exited and the partial
+      // cache is gone, so a retry can't overlap it. Only a custom exec, which
+      // may ignore the signal, is let go as soon as the job is aborted.
+      const result = await (this.runnerOptions.exec ? untilAborted(running, controller.signal) : running);
+      controller.signal.throwIfAborted();
+      clearTimeout(timeoutTimer);
 
       const latest = this.jobs.get(jobId);
       if (!latest || latest.status === TABLE_JOB_STATUS.CANCELLED) {
+        this._recordOutcome(job, 'cancelled');
         this.logger.info?.('[mrmd-monitor/tables] table job cancelled before write', { jobId, tableId: job.tableId });
         return;
       }
 
+      if (latest.claimedBy !== this.clientId) {
+        this._recordOutcome(job, 'lost');
+        this.logger.warn?.('[mrmd-monitor/tables] lost table job claim before write', { jobId, tableId: job.tableId, claimedBy: latest.claimedBy });
+        return;
+      }
+
+      progress.update({ phase: TABLE_JOB_PHASE.WRITING });
+      progress.stop();
       this.jobs.set(jobId, {
-        ...latest,
+        ...this.jobs.get(jobId),
         status: TABLE_JOB_STATUS.WRITING,
         writingAt: Date.now(),
       });
@@ -170,6 +344,7 @@ export class TableJobsBridge {
         ...finalJob,
         status: TABLE_JOB_STATUS.COMPLETED,
         completedAt: Date.now(),
+        progress: progress.snapshot(),
         result: {
           tableId: job.tableId,
           updatedSpec: cloneValue(result.updatedSpec),
@@ -184,30 +359,74 @@ export class TableJobsBridge {
         },
       });
 
+      this._recordOutcome(job, 'completed');
       this.logger.info?.('[mrmd-monitor/tables] completed table job', {
         jobId,
         tableId: job.tableId,
         rowCount: result.snapshot?.rowCount ?? result.materialized?.rowCount ?? null,
+        cacheHit: result.artifacts?.cacheHit ?? false,
       });
-    } catch (error) {
-      const latest = this.jobs.get(jobId) || job;
+    } catch (caught) {
+      // The runtime may wrap the exec's rejection; the abort reason says why
+      const error = controller.signal.aborted ? controller.signal.reason : caught;
+
+      // Bridge shut down: leave the job for the lease to hand over
+      if (error?.code === 'destroyed') return;
+
+      const latest = this.jobs.get(jobId);
+      if (!latest || latest.status === TABLE_JOB_STATUS.CANCELLED) {
+        this._recordOutcome(job, 'cancelled');
+        this.logger.info?.('[mrmd-monitor/tables] table job cancelled', { jobId, tableId: job.tableId });
+        return;
+      }
+      if (latest.claimedBy !== this.clientId) return;
+
+      const timedOut = error?.code === 'timeout';
+      progress.stop();
       this.jobs.set(jobId, {
         ...latest,
         status: TABLE_JOB_STATUS.ERROR,
         completedAt: Date.now(),
-        error: summarizeError(error),
+        // Final elapsed time and log tail, e.g. the R error
+        progress: progress.snapshot(),
+        error: {
+          ...summarizeError(error),
+          ...(timedOut ? { timeoutMs } : {}),
+        },
       });
-      this.logger.error?.('[mrmd-monitor/tables] table job failed', { jobId, tableId: job?.tableId, error: error?.message || String(error) });
+      this._recordOutcome(latest, 'error');
+      if (timedOut) {
+        this.logger.warn?.('[mrmd-monitor/tables] table job timed out', { jobId, tableId: job.tableId, timeoutMs });
+      } else {
+        this.logger.error?.('[mrmd-monitor/tables] table job failed', { jobId, tableId: job?.tableId, error: error?.message || String(error) });
+      }
     } finally {
-      this._activeJobs.delete(jobId);
+      clearTimeout(timeoutTimer);
+      progress.stop();
+      if (this._activeJobs.get(jobId) === controller) {
+        this._activeJobs.delete(jobId);
+        // Retried while the subprocess was still stopping
+        if (this._started) this._considerJob(jobId);
+      }
     }
   }
 
+  _recordOutcome(job, outcome) {
+    this.metrics?.tableJobs.inc({ doc: this.docPath, job_type: job?.jobType || 'unknown', outcome });
+  }
+
   destroy() {
     if (this._observer) {
       this.jobs.unobserve(this._observer);
       this._observer = null;
     }
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+    for (const controller of this._activeJobs.values()) {
+      controller.abort(abortError('destroyed', 'Linked-table bridge was destroyed'));
+    }
     this._activeJobs.clear();
     this._started = false;
   }
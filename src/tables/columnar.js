@@ -0,0 +1,519 @@
+/**
+ * Columnar cache readers for linked-table materialization.
+ *
+ * Reads Arrow IPC / Feather v2 and Parquet caches back into rows with
+ * per-column type metadata. `apache-arrow` and `hyparquet` are loaded on
+ * first use so monitors without columnar caches don't pay for them.
+ *
+ * Values are made JSON/Yjs-safe: 64-bit integers become numbers when
+ * they fit (strings otherwise), dates become `YYYY-MM-DD`, timestamps ISO
+ * strings, decimals numbers and binary base64.
+ */
+
+import fsPromises from 'node:fs/promises';
+import zlib from 'node:zlib';
+
+const DEFAULT_NODE_FS = fsPromises;
+
+const LZ4_FRAME_MAGIC = 0x184d2204;
+const LZ4_BLOCK_MAX_SIZES = { 4: 64 * 1024, 5: 256 * 1024, 6: 1024 * 1024, 7: 4 * 1024 * 1024 };
+
+let arrowModule = null;
+let parquetModule = null;
+
+function cacheReadError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function readBytes(filePath, options = {}) {
+  const fsLike = options.fs || DEFAULT_NODE_FS;
+  const readFile = typeof fsLike.readFile === 'function'
+    ? fsLike.readFile.bind(fsLike)
+    : fsLike.promises?.readFile?.bind(fsLike.promises);
+  if (!readFile) {
+    throw new Error('No `readFile` implementation available for columnar table reading');
+  }
+
+  const data = await readFile(filePath);
+  return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+// ---------------------------------------------------------------------------
+// Decompression
+// ---------------------------------------------------------------------------
+
+function ensureCapacity(output, size) {
+  if (output.length >= size) return output;
+  const grown = new Uint8Array(Math.max(size, output.length * 2));
+  grown.set(output);
+  return grown;
+}
+
+/**
+ * Decode one LZ4 block into `output` at `outPos`.
+ *
+ * `output` must have room for the whole block; matches may reach back
+ * into earlier blocks written to the same buffer (linked block mode).
+ * Returns the new write position.
+ */
+export function decodeLz4Block(input, output, outPos = 0) {
+  let i = 0;
+
+  while (i < input.length) {
+    const token = input[i++];
+
+    let literalLength = token >> 4;
+    if (literalLength === 15) {
+      let byte;
+      do {
+        byte = input[i++];
+        literalLength += byte;
+      } while (byte === 255 && i < input.length);
+    }
+    if (i + literalLength > input.length || outPos + literalLength > output.length) {
+      throw new Error('Corrupt LZ4 block: literals overrun');
+    }
+    output.set(input.subarray(i, i + literalLength), outPos);
+    i += literalLength;
+    outPos += literalLength;
+
+    // The last sequence carries literals only
+    if (i >= input.length) break;
+
+    const offset = input[i] | (input[i + 1] << 8);
+    i += 2;
+
+    let matchLength = token & 15;
+    if (matchLength === 15) {
+      let byte;
+      do {
+        byte = input[i++];
+        matchLength += byte;
+      } while (byte === 255 && i < input.length);
+    }
+    matchLength += 4;
+
+    let from = outPos - offset;
+    if (offset === 0 || from < 0 || outPos + matchLength > output.length) {
+      throw new Error('Corrupt LZ4 block: bad match');
+    }
+    // Byte by byte: matches may overlap their own output
+    for (let end = outPos + matchLength; outPos < end;) {
+      output[outPos++] = output[from++];
+    }
+  }
+
+  return outPos;
+}
+
+/**
+ * Decode LZ4 frame format (one or more concatenated frames).
+ */
+export function decodeLz4Frame(input) {
+  const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+  let output = new Uint8Array(0);
+  let outPos = 0;
+  let i = 0;
+
+  while (i + 4 <= input.length) {
+    const magic = view.getUint32(i, true);
+    i += 4;
+
+    // Skippable frames carry user metadata
+    if ((magic & 0xfffffff0) === 0x184d2a50) {
+      i += 4 + view.getUint32(i, true);
+      continue;
+    }
+    if (magic !== LZ4_FRAME_MAGIC) {
+      throw new Error('Not an LZ4 frame');
+    }
+
+    const flags = input[i];
+    const blockDescriptor = input[i + 1];
+    i += 2;
+    if ((flags >> 6) !== 1) {
+      throw new Error(`Unsupported LZ4 frame version ${flags >> 6}`);
+    }
+    const hasBlockChecksum = Boolean(flags & 0x10);
+    const hasContentSize = Boolean(flags & 0x08);
+    const hasContentChecksum = Boolean(flags & 0x04);
+    const hasDictionary = Boolean(flags & 0x01);
+    const blockMaxSize = LZ4_BLOCK_MAX_SIZES[(blockDescriptor >> 4) & 7];
+    if (!blockMaxSize) {
+      throw new Error('Invalid LZ4 frame block size');
+    }
+    if (hasDictionary) {
+      throw new Error('LZ4 frames with a dictionary are not supported');
+    }
+
+    if (hasContentSize) {
+      const contentSize = Number(view.getBigUint64(i, true));
+      output = ensureCapacity(output, outPos + contentSize);
+      i += 8;
+    }
+    i += 1; // header checksum
+
+    while (true) {
+      const blockSize = view.getUint32(i, true);
+      i += 4;
+      if (blockSize === 0) break;
+
+      const stored = Boolean(blockSize & 0x80000000);
+      const size = blockSize & 0x7fffffff;
+      const block = input.subarray(i, i + size);
+      i += size + (hasBlockChecksum ? 4 : 0);
+
+      output = ensureCapacity(output, outPos + (stored ? size : blockMaxSize));
+      if (stored) {
+        output.set(block, outPos);
+        outPos += size;
+      } else {
+        outPos = decodeLz4Block(block, output, outPos);
+      }
+    }
+
+    if (hasContentChecksum) i += 4;
+  }
+
+  return output.subarray(0, outPos);
+}
+
+// Parquet's deprecated LZ4 codec: Hadoop framing, or a plain LZ4 frame
+function decodeHadoopLz4(input, outputSize) {
+  const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+  if (input.length >= 4 && view.getUint32(0, true) === LZ4_FRAME_MAGIC) {
+    return decodeLz4Frame(input);
+  }
+
+  const output = new Uint8Array(outputSize);
+  let outPos = 0;
+  let i = 0;
+  while (i + 8 <= input.length) {
+    const chunkSize = view.getUint32(i, false);
+    const compressedSize = view.getUint32(i + 4, false);
+    i += 8;
+    const end = outPos + chunkSize;
+    outPos = decodeLz4Block(input.subarray(i, i + compressedSize), output.subarray(0, end), outPos);
+    i += compressedSize;
+  }
+  return output.subarray(0, outPos);
+}
+
+function zstdDecompress(input) {
+  if (typeof zlib.zstdDecompressSync !== 'function') {
+    throw cacheReadError(
+      'unsupported-cache-compression',
+      `ZSTD-compressed caches need Node.js with zlib zstd support (running ${process.version}); write the cache with lz4, snappy or no compression`
+    );
+  }
+  return new Uint8Array(zlib.zstdDecompressSync(input));
+}
+
+const PARQUET_COMPRESSORS = {
+  GZIP: input => new Uint8Array(zlib.gunzipSync(input)),
+  BROTLI: input => new Uint8Array(zlib.brotliDecompressSync(input)),
+  ZSTD: zstdDecompress,
+  LZ4: decodeHadoopLz4,
+  LZ4_RAW: (input, outputSize) => {
+    const output = new Uint8Array(outputSize);
+    return output.subarray(0, decodeLz4Block(input, output));
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------------------
+
+function normalizeInteger(value) {
+  if (typeof value !== 'bigint') return value;
+  return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(value)
+    : value.toString();
+}
+
+function toIsoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function toJsonValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'bigint') return normalizeInteger(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Uint8Array) return Buffer.from(value).toString('base64');
+  if (ArrayBuffer.isView(value)) return Array.from(value, toJsonValue);
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (typeof value === 'object') {
+    const plain = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    if (plain !== value) return toJsonValue(plain);
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = toJsonValue(value[key]);
+    return out;
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Arrow IPC / Feather
+// ---------------------------------------------------------------------------
+
+async function loadArrow() {
+  if (!arrowModule) {
+    arrowModule = await import('apache-arrow');
+    registerArrowCodecs(arrowModule);
+  }
+  return arrowModule;
+}
+
+function registerArrowCodecs(arrow) {
+  const { compressionRegistry, CompressionType } = arrow;
+  if (!compressionRegistry || !CompressionType) return;
+
+  if (!compressionRegistry.get(CompressionType.LZ4_FRAME)) {
+    compressionRegistry.set(CompressionType.LZ4_FRAME, { decode: decodeLz4Frame });
+  }
+  if (!compressionRegistry.get(CompressionType.ZSTD)) {
+    compressionRegistry.set(CompressionType.ZSTD, { decode: zstdDecompress });
+  }
+}
+
+function describeArrowType(arrow, type) {
+  const { Type } = arrow;
+  switch (type.typeId) {
+    case Type.Int:
+      return 'integer';
+    case Type.Float:
+      return 'number';
+    case Type.Decimal:
+      return 'decimal';
+    case Type.Bool:
+      return 'boolean';
+    case Type.Utf8:
+    case Type.LargeUtf8:
+    case Type.Utf8View:
+      return 'string';
+    case Type.Date:
+      return 'date';
+    case Type.Timestamp:
+      return 'timestamp';
+    case Type.Time:
+      return 'time';
+    case Type.Duration:
+    case Type.Interval:
+      return 'duration';
+    case Type.Binary:
+    case Type.LargeBinary:
+    case Type.BinaryView:
+    case Type.FixedSizeBinary:
+      return 'binary';
+    case Type.List:
+    case Type.LargeList:
+    case Type.FixedSizeList:
+      return 'list';
+    case Type.Struct:
+      return 'struct';
+    case Type.Map:
+      return 'map';
+    case Type.Null:
+      return 'null';
+    case Type.Dictionary:
+      // R factors and pandas categoricals: typed by their values
+      return describeArrowType(arrow, type.dictionary);
+    default:
+      return 'unknown';
+  }
+}
+
+function arrowValueConverter(arrow, field, kind) {
+  const valueType = field.type.typeId === arrow.Type.Dictionary ? field.type.dictionary : field.type;
+
+  if (kind === 'date') return value => (value === null ? null : toIsoDate(value));
+  if (kind === 'timestamp') return value => (value === null ? null : new Date(value).toISOString());
+  if (kind === 'decimal') {
+    return value => (value === null ? null : arrow.util.bigNumToNumber(value, valueType.scale));
+  }
+  return toJsonValue;
+}
+
+export async function readArrowTable(filePath, options = {}) {
+  const bytes = await readBytes(filePath, options);
+  const arrow = await loadArrow();
+
+  let table;
+  try {
+    table = arrow.tableFromIPC(bytes);
+  } catch (error) {
+    // Feather v1 predates the IPC format and starts with "FEA1"
+    const isFeatherV1 = bytes.length >= 4 && String.fromCharCode(...bytes.subarray(0, 4)) === 'FEA1';
+    throw cacheReadError(
+      error.code || 'cache-read-failed',
+      isFeatherV1
+        ? 'Feather v1 caches are not supported; write Feather v2 (arrow::write_feather default)'
+        : `Could not read Arrow cache: ${error.message}`
+    );
+  }
+
+  const fields = table.schema.fields;
+  const columnTypes = fields.map(field => ({
+    name: field.name,
+    type: describeArrowType(arrow, field.type),
+    nullable: field.nullable,
+    sourceType: String(field.type),
+  }));
+  const columns = fields.map((field, index) => ({
+    name: field.name,
+    vector: table.getChildAt(index),
+    convert: arrowValueConverter(arrow, field, columnTypes[index].type),
+  }));
+
+  const rowCount = table.numRows;
+  const readCount = Number.isInteger(options.maxRows) ? Math.min(options.maxRows, rowCount) : rowCount;
+  const rows = [];
+  for (let rowIndex = 0; rowIndex < readCount; rowIndex++) {
+    const row = {};
+    for (const column of columns) {
+      row[column.name] = column.convert(column.vector.get(rowIndex) ?? null);
+    }
+    rows.push(row);
+  }
+
+  return {
+    columnNames: columns.map(column => column.name),
+    columnTypes,
+    rows,
+    rowCount,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Parquet
+// ---------------------------------------------------------------------------
+
+async function loadParquet() {
+  if (!parquetModule) {
+    parquetModule = await import('hyparquet');
+  }
+  return parquetModule;
+}
+
+function describeParquetType(element, children = []) {
+  const logical = element.logical_type?.type;
+  const converted = element.converted_type;
+
+  if (children.length > 0) {
+    if (logical === 'LIST' || converted === 'LIST') return 'list';
+    if (logical === 'MAP' || converted === 'MAP' || converted === 'MAP_KEY_VALUE') return 'map';
+    return 'struct';
+  }
+  if (logical === 'DECIMAL' || converted === 'DECIMAL') return 'decimal';
+  if (logical === 'DATE' || converted === 'DATE') return 'date';
+  if (logical === 'TIMESTAMP' || converted === 'TIMESTAMP_MILLIS' || converted === 'TIMESTAMP_MICROS') return 'timestamp';
+  if (logical === 'TIME' || converted === 'TIME_MILLIS' || converted === 'TIME_MICROS') return 'time';
+  if (logical === 'STRING' || logical === 'ENUM' || logical === 'JSON' || logical === 'UUID'
+    || converted === 'UTF8' || converted === 'ENUM' || converted === 'JSON') {
+    return 'string';
+  }
+  if (logical === 'INTEGER' || /^U?INT_/.test(converted || '')) return 'integer';
+
+  switch (element.type) {
+    case 'BOOLEAN':
+      return 'boolean';
+    case 'INT32':
+    case 'INT64':
+      return 'integer';
+    case 'INT96':
+      return 'timestamp';
+    case 'FLOAT':
+    case 'DOUBLE':
+      return 'number';
+    case 'BYTE_ARRAY':
+    case 'FIXED_LEN_BYTE_ARRAY':
+      return 'binary';
+    default:
+      return 'unknown';
+  }
+}
+
+function describeParquetSourceType(element) {
+  const logical = element.logical_type;
+  if (logical?.type === 'TIMESTAMP') return `${element.type}<TIMESTAMP ${logical.unit}${logical.isAdjustedToUTC ? ', UTC' : ''}>`;
+  if (logical?.type === 'DECIMAL' || element.converted_type === 'DECIMAL') {
+    return `${element.type}<DECIMAL(${element.precision}, ${element.scale ?? 0})>`;
+  }
+  const annotation = logical?.type || element.converted_type;
+  return annotation ? `${element.type}<${annotation}>` : String(element.type || 'GROUP');
+}
+
+function parquetValueConverter(kind) {
+  if (kind === 'date') {
+    // Date when annotated with the DATE converted type, day count otherwise
+    return value => (value === null ? null : toIsoDate(value instanceof Date ? value.getTime() : Number(value) * 86400000));
+  }
+  return toJsonValue;
+}
+
+export async function readParquetTable(filePath, options = {}) {
+  const bytes = await readBytes(filePath, options);
+  const { parquetMetadata, parquetSchema, parquetReadObjects } = await loadParquet();
+  const file = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+  let metadata;
+  try {
+    metadata = parquetMetadata(file);
+  } catch (error) {
+    throw cacheReadError('cache-read-failed', `Could not read Parquet cache: ${error.message}`);
+  }
+
+  const columnTypes = parquetSchema(metadata).children.map(({ element, children }) => {
+    const type = describeParquetType(element, children);
+    return {
+      name: element.name,
+      type,
+      nullable: element.repetition_type !== 'REQUIRED',
+      sourceType: describeParquetSourceType(element),
+    };
+  });
+  const converters = Object.fromEntries(columnTypes.map(column => [column.name, parquetValueConverter(column.type)]));
+
+  const rowCount = Number(metadata.num_rows);
+  const rowEnd = Number.isInteger(options.maxRows) ? Math.min(options.maxRows, rowCount) : rowCount;
+
+  let objects;
+  try {
+    objects = await parquetReadObjects({
+      file,
+      metadata,
+      rowEnd,
+      compressors: PARQUET_COMPRESSORS,
+    });
+  } catch (error) {
+    const unsupported = /unsupported compression codec/.test(error.message);
+    throw cacheReadError(
+      error.code || (unsupported ? 'unsupported-cache-compression' : 'cache-read-failed'),
+      `Could not read Parquet cache: ${error.message}`
+    );
+  }
+
+  const rows = objects.map((object) => {
+    const row = {};
+    for (const column of columnTypes) {
+      row[column.name] = converters[column.name](object[column.name] ?? null);
+    }
+    return row;
+  });
+
+  return {
+    columnNames: columnTypes.map(column => column.name),
+    columnTypes,
+    rows,
+    rowCount,
+  };
+}
+
+export default {
+  decodeLz4Block,
+  decodeLz4Frame,
+  readArrowTable,
+  readParquetTable,
+};
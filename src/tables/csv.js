@@ -0,0 +1,347 @@
+/**
+ * Delimited (csv/tsv) cache reader for linked-table materialization.
+ *
+ * Streams the cache through an RFC 4180 parser (quoted fields may span
+ * lines, `""` escapes a quote, CRLF/LF/CR line endings, leading BOM) and
+ * infers a type per column while reading, so results carry the same
+ * `columnTypes` shape as the columnar readers.
+ */
+
+import fsPromises from 'node:fs/promises';
+
+const DEFAULT_NODE_FS = fsPromises;
+
+const CHUNK_SIZE = 64 * 1024;
+const MAX_ROW_DIAGNOSTICS = 20;
+
+export const DEFAULT_NULL_VALUES = ['', 'NA', 'N/A', 'NULL', 'null', 'NaN'];
+
+const INTEGER_PATTERN = /^[+-]?(0|[1-9]\d*)$/;
+// Leading zeros (zip codes, ids) stay strings
+const NUMBER_PATTERN = /^[+-]?((0|[1-9]\d*)(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BOOLEAN_VALUES = { true: true, false: false, TRUE: true, FALSE: false, True: true, False: false };
+
+// Column types from most to least specific; `string` absorbs any mix
+const TYPE_WIDENING = {
+  integer: { number: 'number' },
+  number: { integer: 'number' },
+};
+
+function pickFsMethod(fsLike, methodName) {
+  if (!fsLike) return null;
+  if (typeof fsLike[methodName] === 'function') return fsLike[methodName].bind(fsLike);
+  if (fsLike.promises && typeof fsLike.promises[methodName] === 'function') {
+    return fsLike.promises[methodName].bind(fsLike.promises);
+  }
+  return null;
+}
+
+function rowDiagnostic(code, message, line) {
+  return { level: 'warning', code, message, path: [], line };
+}
+
+/**
+ * Incremental RFC 4180 parser.
+ *
+ * `push(text)` accepts any slice of the input and returns the records it
+ * completed; `end()` flushes the last record. Each record is
+ * `{ fields, line }`, where `line` is the 1-based line it started on.
+ * Records that are a single empty field (blank lines) are dropped.
+ */
+export function createDelimitedParser(options = {}) {
+  const delimiter = options.delimiter || ',';
+
+  let field = '';
+  let fields = [];
+  let quoted = false; // inside a quoted field
+  let quotePending = false; // saw a quote while quoted: closing or escape
+  let fieldStarted = false;
+  let skipLineFeed = false;
+  let atStart = true;
+  let line = 1;
+  let recordLine = 1;
+  let unterminatedQuoteLine = null;
+
+  function endField() {
+    fields.push(field);
+    field = '';
+    fieldStarted = false;
+  }
+
+  function endRecord(records) {
+    endField();
+    if (!(fields.length === 1 && fields[0] === '')) {
+      records.push({ fields, line: recordLine });
+    }
+    fields = [];
+  }
+
+  function push(text) {
+    const records = [];
+    let input = String(text);
+    if (atStart && input.length > 0) {
+      atStart = false;
+      if (input.charCodeAt(0) === 0xfeff) input = input.slice(1);
+    }
+
+    for (let i = 0; i < input.length; i++) {
+      const ch = input[i];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (ch === '\n') continue;
+      }
+
+      if (quoted) {
+        if (quotePending) {
+          quotePending = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          quoted = false;
+          // Fall through: the quote closed the field
+        } else if (ch === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          if (ch === '\n') line++;
+          field += ch;
+          continue;
+        }
+      }
+
+      if (ch === delimiter) {
+        endField();
+        continue;
+      }
+      if (ch === '\n' || ch === '\r') {
+        endRecord(records);
+        skipLineFeed = ch === '\r';
+        line++;
+        recordLine = line;
+        continue;
+      }
+      if (ch === '"' && !fieldStarted && field === '') {
+        quoted = true;
+        fieldStarted = true;
+        continue;
+      }
+      // Quotes inside unquoted fields are kept literally
+      field += ch;
+      fieldStarted = true;
+    }
+
+    return records;
+  }
+
+  function end() {
+    const records = [];
+    if (quoted && !quotePending) {
+      unterminatedQuoteLine = recordLine;
+    }
+    quoted = false;
+    quotePending = false;
+    if (fieldStarted || field !== '' || fields.length > 0) {
+      endRecord(records);
+    }
+    return records;
+  }
+
+  return {
+    push,
+    end,
+    get unterminatedQuoteLine() {
+      return unterminatedQuoteLine;
+    },
+  };
+}
+
+function isValidDate(text) {
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text);
+}
+
+/**
+ * Type of a single raw value, or `null` for a missing value.
+ */
+export function inferValueType(text, nullValues = DEFAULT_NULL_VALUES) {
+  if (nullValues.includes(text)) return null;
+  if (INTEGER_PATTERN.test(text)) return 'integer';
+  if (NUMBER_PATTERN.test(text)) return 'number';
+  if (Object.hasOwn(BOOLEAN_VALUES, text)) return 'boolean';
+  if (DATE_PATTERN.test(text) && isValidDate(text)) return 'date';
+  return 'string';
+}
+
+function widenType(current, next) {
+  if (current === null || current === next) return next;
+  return TYPE_WIDENING[current]?.[next] || 'string';
+}
+
+function convertValue(text, type, nullValues) {
+  if (nullValues.includes(text)) return null;
+  if (type === 'integer') {
+    const value = Number(text);
+    // Same as the columnar readers: keep 64-bit values exact as strings
+    return Number.isSafeInteger(value) ? value : text.replace(/^\+/, '');
+  }
+  if (type === 'number') return Number(text);
+  if (type === 'boolean') return BOOLEAN_VALUES[text];
+  return text;
+}
+
+function uniqueColumnNames(header, diagnostics) {
+  const seen = new Map();
+  return header.map((rawName, index) => {
+    const base = rawName.trim() === '' ? `column_${index + 1}` : rawName;
+    let name = base;
+    if (seen.has(base)) {
+      let suffix = seen.get(base) + 1;
+      while (seen.has(`${base}_${suffix}`)) suffix++;
+      seen.set(base, suffix);
+      name = `${base}_${suffix}`;
+      diagnostics.push(rowDiagnostic('duplicate-column', `Duplicate column \`${base}\` renamed to \`${name}\``, 1));
+    }
+    seen.set(name, 1);
+    return name;
+  });
+}
+
+async function* readTextChunks(filePath, fsLike) {
+  const decoder = new TextDecoder('utf-8');
+  const open = pickFsMethod(fsLike, 'open');
+
+  if (open) {
+    const handle = await open(filePath, 'r');
+    try {
+      const buffer = new Uint8Array(CHUNK_SIZE);
+      while (true) {
+        const { bytesRead } = await handle.read(buffer, 0, CHUNK_SIZE, null);
+        if (bytesRead === 0) break;
+        yield decoder.decode(buffer.subarray(0, bytesRead), { stream: true });
+      }
+    } finally {
+      await handle.close();
+    }
+    yield decoder.decode();
+    return;
+  }
+
+  const readFile = pickFsMethod(fsLike, 'readFile');
+  if (!readFile) {
+    throw new Error('No `readFile` implementation available for delimited table reading');
+  }
+  const data = await readFile(filePath);
+  yield typeof data === 'string' ? data : decoder.decode(data);
+}
+
+/**
+ * Read a csv/tsv cache.
+ *
+ * Returns `{ columnNames, columnTypes, rows, rowCount, diagnostics }`.
+ * Values are converted to the inferred column type unless `inferTypes`
+ * is false; missing values (see `nullValues`) become `null`. Rows with too
+ * few fields are padded with `null`, extra fields are dropped, and both
+ * are reported as `ragged-row` diagnostics.
+ */
+export async function readDelimitedTable(filePath, format = 'csv', options = {}) {
+  const fsLike = options.fs || DEFAULT_NODE_FS;
+  const delimiter = options.delimiter || (format === 'tsv' ? '\t' : ',');
+  const nullValues = options.nullValues || DEFAULT_NULL_VALUES;
+  const inferTypes = options.inferTypes !== false;
+  const maxRows = Number.isInteger(options.maxRows) ? options.maxRows : Infinity;
+
+  const parser = createDelimitedParser({ delimiter });
+  const diagnostics = [];
+  let columnNames = null;
+  let types = [];
+  let nullable = [];
+  const records = [];
+  let rowCount = 0;
+  let raggedRows = 0;
+
+  const accept = (record) => {
+    if (!columnNames) {
+      columnNames = uniqueColumnNames(record.fields, diagnostics);
+      types = columnNames.map(() => null);
+      nullable = columnNames.map(() => false);
+      return;
+    }
+
+    const { fields, line } = record;
+    if (fields.length !== columnNames.length) {
+      raggedRows++;
+      if (raggedRows <= MAX_ROW_DIAGNOSTICS) {
+        diagnostics.push(rowDiagnostic(
+          'ragged-row',
+          `Line ${line} has ${fields.length} field(s), expected ${columnNames.length}`,
+          line
+        ));
+      }
+    }
+
+    for (let index = 0; index < columnNames.length; index++) {
+      const text = fields[index];
+      const valueType = text === undefined ? null : inferValueType(text, nullValues);
+      if (valueType === null) nullable[index] = true;
+      else types[index] = widenType(types[index], valueType);
+    }
+
+    rowCount++;
+    if (records.length < maxRows) records.push(fields);
+  };
+
+  for await (const chunk of readTextChunks(filePath, fsLike)) {
+    for (const record of parser.push(chunk)) accept(record);
+  }
+  for (const record of parser.end()) accept(record);
+
+  if (parser.unterminatedQuoteLine !== null) {
+    diagnostics.push(rowDiagnostic(
+      'unterminated-quote',
+      `Quoted field starting on line ${parser.unterminatedQuoteLine} is never closed`,
+      parser.unterminatedQuoteLine
+    ));
+  }
+  if (raggedRows > MAX_ROW_DIAGNOSTICS) {
+    diagnostics.push(rowDiagnostic(
+      'ragged-row',
+      `${raggedRows - MAX_ROW_DIAGNOSTICS} more row(s) with the wrong number of fields`,
+      null
+    ));
+  }
+
+  columnNames = columnNames || [];
+  const columnTypes = columnNames.map((name, index) => ({
+    name,
+    type: inferTypes ? (types[index] || 'null') : 'string',
+    nullable: nullable[index],
+  }));
+
+  const rows = records.map((fields) => {
+    const row = {};
+    for (let index = 0; index < columnNames.length; index++) {
+      const text = fields[index];
+      if (text === undefined) row[columnNames[index]] = null;
+      else row[columnNames[index]] = inferTypes ? convertValue(text, columnTypes[index].type, nullValues) : text;
+    }
+    return row;
+  });
+
+  return {
+    columnNames,
+    columnTypes,
+    rows,
+    rowCount,
+    diagnostics,
+  };
+}
+
+export default {
+  DEFAULT_NULL_VALUES,
+  createDelimitedParser,
+  inferValueType,
+  readDelimitedTable,
+};
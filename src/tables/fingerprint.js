@@ -0,0 +1,153 @@
+/**
+ * Content fingerprints for linked-table materializations.
+ *
+ * A fingerprint covers the spec (minus snapshot metadata), the compiled
+ * materialization contract and the content of every file source. It is
+ * stored in a sidecar next to the cache; when it still matches, the runner
+ * reads the existing cache instead of re-running the transform.
+ */
+
+import crypto from 'node:crypto';
+import fsPromises from 'node:fs/promises';
+
+const DEFAULT_NODE_FS = fsPromises;
+
+export const FINGERPRINT_VERSION = 1;
+
+const HASH_CHUNK_SIZE = 1024 * 1024;
+
+function pickFsMethod(fsLike, methodName) {
+  if (!fsLike) return null;
+  if (typeof fsLike[methodName] === 'function') return fsLike[methodName].bind(fsLike);
+  if (fsLike.promises && typeof fsLike.promises[methodName] === 'function') {
+    return fsLike.promises[methodName].bind(fsLike.promises);
+  }
+  return null;
+}
+
+// JSON with sorted keys, so equal values always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function fingerprintSidecarPath(cachePath) {
+  return `${cachePath}.fingerprint.json`;
+}
+
+export async function hashFile(filePath, options = {}) {
+  const fsLike = options.fs || DEFAULT_NODE_FS;
+  const hash = crypto.createHash('sha256');
+  const open = pickFsMethod(fsLike, 'open');
+
+  if (open) {
+    const handle = await open(filePath, 'r');
+    try {
+      const buffer = new Uint8Array(HASH_CHUNK_SIZE);
+      while (true) {
+        const { bytesRead } = await handle.read(buffer, 0, HASH_CHUNK_SIZE, null);
+        if (bytesRead === 0) break;
+        hash.update(buffer.subarray(0, bytesRead));
+      }
+    } finally {
+      await handle.close();
+    }
+  } else {
+    const readFile = pickFsMethod(fsLike, 'readFile');
+    if (!readFile) {
+      throw new Error('No `readFile` implementation available for source hashing');
+    }
+    hash.update(await readFile(filePath));
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Add content hashes to inspected file sources.
+ *
+ * `inspected` entries come from the file source provider's `inspect`. A
+ * source whose size and modification time match its entry in `previous`
+ * (the last sidecar) keeps that hash instead of being read again.
+ */
+export async function hashSources(inspected, options = {}) {
+  const previous = new Map((options.previous || []).map(source => [source.resolvedPath, source]));
+
+  const sources = [];
+  for (const source of inspected) {
+    const entry = {
+      name: source.name ?? null,
+      path: source.path,
+      resolvedPath: source.resolvedPath,
+      exists: !!source.exists,
+      size: source.size ?? null,
+      modifiedAt: source.modifiedAt ?? null,
+      sha256: null,
+    };
+
+    if (entry.exists) {
+      const known = previous.get(entry.resolvedPath);
+      entry.sha256 = known?.sha256 && known.size === entry.size && known.modifiedAt === entry.modifiedAt
+        ? known.sha256
+        : await hashFile(entry.resolvedPath, options);
+    }
+    sources.push(entry);
+  }
+  return sources;
+}
+
+export function computeMaterializationFingerprint({ spec, contract, sources = [] }) {
+  // Snapshot metadata (row count, materializedAt) changes on every run
+  const { snapshot: _snapshot, ...specInputs } = spec || {};
+
+  return crypto.createHash('sha256').update(stableStringify({
+    version: FINGERPRINT_VERSION,
+    spec: specInputs,
+    contract: {
+      executable: contract?.executable || null,
+      args: contract?.args || [],
+      scriptText: contract?.scriptText || '',
+      cacheFormat: contract?.cacheFormat || null,
+      env: contract?.env || {},
+    },
+    // Content only: touching a file without changing it still matches
+    sources: sources.map(source => ({
+      name: source.name,
+      path: source.path,
+      exists: source.exists,
+      sha256: source.sha256,
+    })),
+  })).digest('hex');
+}
+
+export async function readFingerprintSidecar(cachePath, options = {}) {
+  const readFile = pickFsMethod(options.fs || DEFAULT_NODE_FS, 'readFile');
+  if (!readFile || !cachePath) return null;
+  try {
+    const record = JSON.parse(await readFile(fingerprintSidecarPath(cachePath), 'utf8'));
+    return record?.version === FINGERPRINT_VERSION ? record : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeFingerprintSidecar(cachePath, record, options = {}) {
+  const writeFile = pickFsMethod(options.fs || DEFAULT_NODE_FS, 'writeFile');
+  if (!writeFile || !cachePath) return false;
+  await writeFile(fingerprintSidecarPath(cachePath), `${JSON.stringify({ version: FINGERPRINT_VERSION, ...record }, null, 2)}\n`, 'utf8');
+  return true;
+}
+
+export default {
+  FINGERPRINT_VERSION,
+  computeMaterializationFingerprint,
+  fingerprintSidecarPath,
+  hashFile,
+  hashSources,
+  readFingerprintSidecar,
+  writeFingerprintSidecar,
+};
@@ -2,16 +2,18 @@
  * Linked-table monitor bridge exports.
  */
 
-export { TABLE_JOB_STATUS, isTerminalTableJobStatus } from './status.js';
+export { TABLE_JOB_STATUS, TABLE_JOB_PHASE, isTerminalTableJobStatus } from './status.js';
 export { TableJobsBridge, createTableJobsBridge } from './bridge.js';
 export {
   createDefaultExec,
   executeMaterializationContract,
-  readDelimitedTable,
   createLocalFileSourceProvider,
   createDefaultTableRuntime,
   runTableJob,
 } from './runner.js';
+export { readArrowTable, readParquetTable } from './columnar.js';
+export { readDelimitedTable, createDelimitedParser, inferValueType } from './csv.js';
+export { computeMaterializationFingerprint, fingerprintSidecarPath } from './fingerprint.js';
 export {
   createLinkedTableBlockAnchor,
   resolveLinkedTableBlockRange,
@@ -0,0 +1,82 @@
+/**
+ * Live progress for running linked-table jobs.
+ *
+ * Collects the current phase and a rolling tail of the materialization
+ * subprocess output, and hands throttled snapshots to `flush` so the bridge
+ * can publish them into the `tableJobs` entry.
+ */
+
+import { TerminalBuffer } from '../terminal.js';
+
+export const DEFAULT_PROGRESS_FLUSH_MS = 500;
+export const DEFAULT_PROGRESS_LOG_LINES = 40;
+
+export function createProgressTracker(options = {}) {
+  const flushMs = options.flushMs ?? DEFAULT_PROGRESS_FLUSH_MS;
+  const now = options.now || Date.now;
+  const startedAt = options.startedAt ?? now();
+  // Handles `\r` progress bars and strips colors, like output blocks do
+  const log = new TerminalBuffer({
+    maxLines: options.logLines ?? DEFAULT_PROGRESS_LOG_LINES,
+    headLines: 0,
+  });
+
+  let phase = null;
+  let phaseStartedAt = null;
+  let timer = null;
+  let stopped = false;
+
+  function snapshot() {
+    const at = now();
+    return {
+      phase,
+      phaseStartedAt,
+      startedAt,
+      elapsedMs: at - startedAt,
+      logTail: log.toString(),
+      updatedAt: at,
+    };
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!stopped) options.flush?.(snapshot());
+  }
+
+  function schedule() {
+    if (timer || stopped) return;
+    timer = setTimeout(flush, flushMs);
+    timer.unref?.();
+  }
+
+  return {
+    // `update.phase` moves to a new phase (published right away);
+    // `update.output` appends subprocess output (published throttled)
+    update(update = {}) {
+      if (stopped) return;
+      if (typeof update.output === 'string' && update.output !== '') {
+        log.write(update.output);
+        schedule();
+      }
+      if (update.phase && update.phase !== phase) {
+        phase = update.phase;
+        phaseStartedAt = now();
+        flush();
+      }
+    },
+    snapshot,
+    flush,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+export default {
+  DEFAULT_PROGRESS_FLUSH_MS,
+  DEFAULT_PROGRESS_LOG_LINES,
+  createProgressTracker,
+};
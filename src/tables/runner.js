@@ -10,7 +10,23 @@ import path from 'node:path';
 import { createTableRuntime } from '../../../mrmd-table-runtime/src/index.js';
 import { createRDplyrEngine } from '../../../mrmd-table-engine-r-dplyr/src/index.js';
 
+import { readArrowTable, readParquetTable } from './columnar.js';
+import { readDelimitedTable } from './csv.js';
+import {
+  computeMaterializationFingerprint,
+  hashSources,
+  readFingerprintSidecar,
+  writeFingerprintSidecar,
+} from './fingerprint.js';
+import { TABLE_JOB_PHASE } from './status.js';
+
 const DEFAULT_NODE_FS = fsPromises;
+const DEFAULT_KILL_GRACE_MS = 2000;
+
+const COLUMNAR_READERS = {
+  arrow: readArrowTable,
+  parquet: readParquetTable,
+};
 
 function cloneValue(value) {
   if (Array.isArray(value)) return value.map(cloneValue);
@@ -91,83 +107,6 @@ function summarizeFailure(result) {
   return diagnostics.map(item => item.message || String(item)).join('; ');
 }
 
-function splitDelimitedLine(line, delimiter) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (ch === delimiter && !inQuotes) {
-      values.push(current);
-      current = '';
-      continue;
-    }
-
-    current += ch;
-  }
-
-  values.push(current);
-  return values;
-}
-
-function parseDelimitedText(text, delimiter) {
-  const lines = String(text || '')
-    .split(/\r?\n/)
-    .filter((line) => line.length > 0);
-
-  if (lines.length === 0) {
-    return {
-      columnNames: [],
-      rows: [],
-    };
-  }
-
-  const columnNames = splitDelimitedLine(lines[0], delimiter);
-  const rows = [];
-
-  for (let index = 1; index < lines.length; index++) {
-    const values = splitDelimitedLine(lines[index], delimiter);
-    const row = {};
-    for (let columnIndex = 0; columnIndex < columnNames.length; columnIndex++) {
-      row[columnNames[columnIndex]] = values[columnIndex] ?? '';
-    }
-    rows.push(row);
-  }
-
-  return {
-    columnNames,
-    rows,
-  };
-}
-
-export async function readDelimitedTable(filePath, format = 'csv', options = {}) {
-  const fsLike = options.fs || DEFAULT_NODE_FS;
-  const readFile = pickFsMethod(fsLike, 'readFile');
-  if (!readFile) {
-    throw new Error('No `readFile` implementation available for delimited table reading');
-  }
-
-  const delimiter = format === 'tsv' ? '\t' : ',';
-  const text = await readFile(filePath, 'utf8');
-  const parsed = parseDelimitedText(text, delimiter);
-  return {
-    ...parsed,
-    rowCount: parsed.rows.length,
-  };
-}
-
 async function writeScriptFile(contract, options = {}) {
   const fsLike = options.fs || DEFAULT_NODE_FS;
   const writeFile = pickFsMethod(fsLike, 'writeFile');
@@ -203,13 +142,50 @@ async function cleanupTemporaryScript(scriptInfo) {
   }
 }
 
+// Signal the subprocess and everything it started (its own process group)
+function killProcessTree(child, signal) {
+  if (process.platform !== 'win32' && child.pid) {
+    try {
+      process.kill(-child.pid, signal);
+      return;
+    } catch {
+      // group already gone; fall back to the child itself
+    }
+  }
+  try {
+    child.kill(signal);
+  } catch {
+    // already exited
+  }
+}
+
+// Remove a cache the failed run wrote, keeping one it never touched
+async function removePartialCache(fsLike, cachePath, before) {
+  const after = await tryStat(fsLike, cachePath);
+  if (!after) return false;
+  if (before && after.mtimeMs === before.mtimeMs && after.size === before.size) return false;
+
+  const rm = pickFsMethod(fsLike, 'rm');
+  if (!rm) return false;
+  try {
+    await rm(cachePath, { force: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 export async function executeMaterializationContract(contract, options = {}) {
   if (!contract || typeof contract !== 'object') {
     throw new TypeError('executeMaterializationContract requires a contract object');
   }
 
+  const signal = options.signal || null;
+  signal?.throwIfAborted();
+
   const fsLike = options.fs || DEFAULT_NODE_FS;
   const cachePath = resolveMaybeRelativePath(contract.cachePath, options);
+  const cacheBefore = await tryStat(fsLike, cachePath);
   const scriptInfo = await writeScriptFile(contract, { ...options, fs: fsLike });
   const cwd = contract.cwd || options.cwd || options.projectRoot || process.cwd();
 
@@ -225,84 +201,213 @@ export async function executeMaterializationContract(contract, options = {}) {
 
   const args = [...(Array.isArray(contract.args) ? contract.args : []), scriptInfo.scriptPath];
 
+  const killGraceMs = options.killGraceMs ?? DEFAULT_KILL_GRACE_MS;
+
   try {
     const result = await new Promise((resolve, reject) => {
       const child = spawn(contract.executable || 'Rscript', args, {
         cwd,
         env,
         stdio: ['ignore', 'pipe', 'pipe'],
+        // Own process group, so cancelling also stops what the script spawned
+        detached: process.platform !== 'win32',
       });
 
       let stdout = '';
       let stderr = '';
+      let killTimer = null;
+
+      const onAbort = () => {
+        killProcessTree(child, 'SIGTERM');
+        killTimer = setTimeout(() => killProcessTree(child, 'SIGKILL'), killGraceMs);
+        killTimer.unref?.();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
 
       child.stdout.on('data', (chunk) => {
-        stdout += chunk.toString();
+        const text = chunk.toString();
+        stdout += text;
+        options.onProgress?.({ output: text });
       });
       child.stderr.on('data', (chunk) => {
-        stderr += chunk.toString();
+        const text = chunk.toString();
+        stderr += text;
+        options.onProgress?.({ output: text });
       });
-      child.on('error', reject);
-      child.on('close', (code, signal) => {
-        resolve({ code, signal, stdout, stderr });
+      child.on('error', (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      });
+      child.on('close', (code, exitSignal) => {
+        clearTimeout(killTimer);
+        signal?.removeEventListener('abort', onAbort);
+        if (signal?.aborted) {
+          reject(signal.reason);
+        } else {
+          resolve({ code, signal: exitSignal, stdout, stderr });
+        }
       });
     });
 
+    const partialCacheRemoved = result.code !== 0
+      ? await removePartialCache(fsLike, cachePath, cacheBefore)
+      : false;
+
     return {
       ...result,
       scriptPath: scriptInfo.scriptPath,
       cachePath,
+      partialCacheRemoved,
     };
+  } catch (error) {
+    await removePartialCache(fsLike, cachePath, cacheBefore);
+    throw error;
   } finally {
     await cleanupTemporaryScript(scriptInfo);
   }
 }
 
+async function readMaterializedCache(contract, cachePath, execution, options = {}) {
+  const fsLike = options.fs || DEFAULT_NODE_FS;
+  const cacheFormat = String(contract.cacheFormat || inferFormatFromPath(contract.cachePath) || '').toLowerCase();
+  const stat = await tryStat(fsLike, cachePath);
+
+  const baseResult = {
+    cachePath: contract.cachePath,
+    resolvedCachePath: cachePath,
+    stdout: execution.stdout,
+    stderr: execution.stderr,
+    artifacts: {
+      scriptPath: execution.scriptPath,
+      cacheExists: !!stat,
+      cacheSize: stat?.size ?? null,
+      ...execution.artifacts,
+    },
+  };
+
+  if ((cacheFormat === 'csv' || cacheFormat === 'tsv') && cachePath && stat) {
+    const table = await readDelimitedTable(cachePath, cacheFormat, { fs: fsLike });
+    return {
+      ...baseResult,
+      rowCount: table.rowCount,
+      columnNames: table.columnNames,
+      columnTypes: table.columnTypes,
+      rows: table.rows,
+      ...(table.diagnostics.length > 0 ? { diagnostics: table.diagnostics } : {}),
+    };
+  }
+
+  if (COLUMNAR_READERS[cacheFormat] && cachePath && stat) {
+    let table;
+    try {
+      table = await COLUMNAR_READERS[cacheFormat](cachePath, { fs: fsLike });
+    } catch (error) {
+      const wrapped = new Error(`Could not read ${cacheFormat} cache ${contract.cachePath}: ${error.message}`);
+      wrapped.code = error.code || 'cache-read-failed';
+      throw wrapped;
+    }
+    return {
+      ...baseResult,
+      rowCount: table.rowCount,
+      columnNames: table.columnNames,
+      columnTypes: table.columnTypes,
+      rows: table.rows,
+    };
+  }
+
+  return {
+    ...baseResult,
+    diagnostics: [
+      warningDiagnostic(
+        'unsupported-host-cache-read',
+        cacheFormat
+          ? `Host-side materialization completed, but automatic cache reading is only implemented for csv, tsv, arrow and parquet; got \`${cacheFormat}\``
+          : 'Host-side materialization completed, but cache format could not be inferred for automatic reading'
+      ),
+    ],
+  };
+}
+
+async function lookupCachedMaterialization(contract, cachePath, options = {}) {
+  const fsLike = options.fs || DEFAULT_NODE_FS;
+  const previous = await readFingerprintSidecar(cachePath, { fs: fsLike });
+
+  const provider = createLocalFileSourceProvider(options);
+  const inspected = [];
+  for (const source of options.fingerprintSpec?.sources || []) {
+    if (!source?.path || (source.kind && source.kind !== 'file')) continue;
+    inspected.push({ name: source.name, ...(await provider.inspect(source, options)) });
+  }
+  const sources = await hashSources(inspected, { fs: fsLike, previous: previous?.sources });
+  const fingerprint = computeMaterializationFingerprint({ spec: options.fingerprintSpec, contract, sources });
+
+  // The cache must also be the file the fingerprint was recorded for
+  const stat = await tryStat(fsLike, cachePath);
+  const hit = !!(previous && stat
+    && previous.fingerprint === fingerprint
+    && previous.cache?.size === stat.size
+    && previous.cache?.mtimeMs === stat.mtimeMs);
+
+  return { hit, fingerprint, sources };
+}
+
+async function recordMaterializationFingerprint(cachePath, lookup, options = {}) {
+  const fsLike = options.fs || DEFAULT_NODE_FS;
+  const stat = await tryStat(fsLike, cachePath);
+  if (!stat) return;
+
+  try {
+    await writeFingerprintSidecar(cachePath, {
+      fingerprint: lookup.fingerprint,
+      createdAt: new Date().toISOString(),
+      cache: { size: stat.size, mtimeMs: stat.mtimeMs },
+      sources: lookup.sources,
+    }, { fs: fsLike });
+  } catch (error) {
+    options.logger?.warn?.('[mrmd-monitor/tables] could not write cache fingerprint', { cachePath, error: error.message });
+  }
+}
+
 export function createDefaultExec(options = {}) {
   return async function defaultExec(contract) {
+    const cachePath = resolveMaybeRelativePath(contract.cachePath, options);
+
+    // Unchanged spec, transform and sources: read the existing cache back.
+    // Without the spec the sources are unknown, so nothing is reused.
+    const lookup = options.reuseCache !== false && options.fingerprintSpec && cachePath
+      ? await lookupCachedMaterialization(contract, cachePath, options)
+      : null;
+    if (lookup) options.onCacheLookup?.({ hit: lookup.hit, fingerprint: lookup.fingerprint });
+
+    if (lookup?.hit) {
+      options.onProgress?.({ phase: TABLE_JOB_PHASE.READING_CACHE });
+      return readMaterializedCache(contract, cachePath, {
+        stdout: '',
+        stderr: '',
+        scriptPath: null,
+        artifacts: { cacheHit: true, fingerprint: lookup.fingerprint },
+      }, options);
+    }
+
+    options.onProgress?.({ phase: TABLE_JOB_PHASE.MATERIALIZING });
     const execution = await executeMaterializationContract(contract, options);
     if (execution.code !== 0) {
       const details = execution.stderr || execution.stdout || `exit code ${execution.code}`;
       throw new Error(`Materialization subprocess failed: ${details.trim()}`);
     }
 
-    const cacheFormat = String(contract.cacheFormat || inferFormatFromPath(contract.cachePath) || '').toLowerCase();
-    const cachePath = execution.cachePath || resolveMaybeRelativePath(contract.cachePath, options);
-    const stat = await tryStat(options.fs || DEFAULT_NODE_FS, cachePath);
-
-    const baseResult = {
-      cachePath: contract.cachePath,
-      resolvedCachePath: cachePath,
-      stdout: execution.stdout,
-      stderr: execution.stderr,
-      artifacts: {
-        scriptPath: execution.scriptPath,
-        cacheExists: !!stat,
-        cacheSize: stat?.size ?? null,
-      },
-    };
+    options.onProgress?.({ phase: TABLE_JOB_PHASE.READING_CACHE });
+    const resolvedCachePath = execution.cachePath || cachePath;
+    const result = await readMaterializedCache(contract, resolvedCachePath, {
+      ...execution,
+      artifacts: lookup ? { cacheHit: false, fingerprint: lookup.fingerprint } : {},
+    }, options);
 
-    if ((cacheFormat === 'csv' || cacheFormat === 'tsv') && cachePath && stat) {
-      const table = await readDelimitedTable(cachePath, cacheFormat, { fs: options.fs || DEFAULT_NODE_FS });
-      return {
-        ...baseResult,
-        rowCount: table.rowCount,
-        columnNames: table.columnNames,
-        rows: table.rows,
-      };
+    // Only a cache that was read back is worth reusing
+    if (lookup && Array.isArray(result.rows)) {
+      await recordMaterializationFingerprint(resolvedCachePath, lookup, options);
     }
-
-    return {
-      ...baseResult,
-      diagnostics: [
-        warningDiagnostic(
-          'unsupported-host-cache-read',
-          cacheFormat
-            ? `Host-side materialization completed, but automatic cache reading is only implemented for csv/tsv in phase 1; got \`${cacheFormat}\``
-            : 'Host-side materialization completed, but cache format could not be inferred for automatic reading in phase 1'
-        ),
-      ],
-    };
+    return result;
   };
 }
 
@@ -387,6 +492,29 @@ async function maybeWriteTransform(spec, transformText, options = {}) {
   };
 }
 
+// The default exec reports its own phases and skips materializing on a cache
+// hit; a custom exec only gets the materializing phase before it runs.
+function reportExecPhase(exec, onProgress) {
+  return async function reportingExec(...args) {
+    onProgress({ phase: TABLE_JOB_PHASE.MATERIALIZING });
+    return exec(...args);
+  };
+}
+
+function timeExec(exec, metrics, doc) {
+  return async function timedExec(...args) {
+    const startedAt = Date.now();
+    let outcome = 'error';
+    try {
+      const result = await exec(...args);
+      outcome = 'completed';
+      return result;
+    } finally {
+      metrics.materializationDuration.observe({ doc, outcome }, (Date.now() - startedAt) / 1000);
+    }
+  };
+}
+
 async function buildRuntimeContext(job, options = {}) {
   const fsLike = options.fs || DEFAULT_NODE_FS;
   const baseContext = {
@@ -396,11 +524,20 @@ async function buildRuntimeContext(job, options = {}) {
     env: cloneValue(options.env || {}),
     fs: fsLike,
     logger: options.logger,
+    signal: options.signal,
+    killGraceMs: options.killGraceMs,
+    onProgress: options.onProgress,
+    fingerprintSpec: job.spec,
+    reuseCache: options.reuseCache,
+    onCacheLookup: options.onCacheLookup,
   };
 
-  baseContext.exec = typeof options.exec === 'function'
+  const customExec = typeof options.exec === 'function';
+  const exec = customExec
     ? options.exec
     : createDefaultExec(baseContext);
+  const timedExec = options.metrics ? timeExec(exec, options.metrics, options.docPath ?? options.documentPath) : exec;
+  baseContext.exec = customExec && options.onProgress ? reportExecPhase(timedExec, options.onProgress) : timedExec;
 
   if (typeof options.getRuntimeContext === 'function') {
     const extra = await options.getRuntimeContext(job, cloneValue(baseContext));
@@ -421,6 +558,7 @@ async function runMaterializeFlow(runtime, job, runtimeContext) {
     throw error;
   }
 
+  runtimeContext.onProgress?.({ phase: TABLE_JOB_PHASE.SNAPSHOTTING });
   const snapshot = await runtime.createMarkdownSnapshot(job.spec, materialized, runtimeContext.snapshotOptions || {}, runtimeContext);
   if (!snapshot?.ok) {
     const error = new Error(summarizeFailure(snapshot));
@@ -442,7 +580,15 @@ async function runMaterializeFlow(runtime, job, runtimeContext) {
 
 export async function runTableJob(job, options = {}) {
   const runtime = options.runtime || createDefaultTableRuntime(options);
-  const runtimeContext = await buildRuntimeContext(job, options);
+  let cacheLookup = null;
+  const runtimeContext = await buildRuntimeContext(job, {
+    ...options,
+    onCacheLookup: (lookup) => {
+      cacheLookup = lookup;
+      options.onCacheLookup?.(lookup);
+    },
+  });
+  options.onProgress?.({ phase: TABLE_JOB_PHASE.COMPILING });
 
   let result;
   if (job.jobType === 'materialize') {
@@ -476,6 +622,8 @@ export async function runTableJob(job, options = {}) {
     diagnostics: cloneValue(result.diagnostics || []),
     artifacts: {
       transformWrite,
+      cacheHit: cacheLookup?.hit ?? false,
+      fingerprint: cacheLookup?.fingerprint ?? null,
     },
   };
 }
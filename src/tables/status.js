@@ -14,6 +14,15 @@ export const TABLE_JOB_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+// Progress phases of a running job, in order (`progress.phase`)
+export const TABLE_JOB_PHASE = {
+  COMPILING: 'compiling',
+  MATERIALIZING: 'materializing',
+  READING_CACHE: 'reading-cache',
+  SNAPSHOTTING: 'snapshotting',
+  WRITING: 'writing',
+};
+
 export function isTerminalTableJobStatus(status) {
   return [
     TABLE_JOB_STATUS.COMPLETED,
@@ -24,5 +33,6 @@ export function isTerminalTableJobStatus(status) {
 
 export default {
   TABLE_JOB_STATUS,
+  TABLE_JOB_PHASE,
   isTerminalTableJobStatus,
 };
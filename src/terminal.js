@@ -5,60 +5,345 @@
  * Enables progress bars (tqdm, rich) to display correctly during execution.
  *
  * This is a simplified version of mrmd-editor's terminal.js for Node.js usage.
- * Output is processed to plain text for document storage.
+ * Output is processed to plain text for document storage; SGR colors and
+ * styles are kept per cell and can be read back as spans or compact ANSI.
+ * Beyond CSI cursor/erase sequences it understands OSC titles and
+ * hyperlinks, the alternate screen, scroll regions, line/character
+ * insert and delete, DEC cursor save/restore and double-width characters.
  *
  * @module mrmd-monitor/terminal
  */
 
+/**
+ * Cell style. Colors are a palette index (0-255, where 0-15 are the basic
+ * and bright colors) or a `#rrggbb` truecolor string.
+ *
+ * @typedef {Object} TerminalStyle
+ * @property {number|string|null} fg - Foreground color
+ * @property {number|string|null} bg - Background color
+ * @property {boolean} bold
+ * @property {boolean} italic
+ * @property {boolean} underline
+ * @property {boolean} inverse
+ * @property {string|null} link - OSC 8 hyperlink target
+ */
+
+/**
+ * Run of text sharing one style
+ *
+ * @typedef {Object} TerminalSpan
+ * @property {string} text
+ * @property {TerminalStyle|null} style - null for default style
+ */
+
+/**
+ * Buffer line: characters with a parallel style per cell
+ *
+ * @typedef {Object} TerminalLine
+ * @property {string[]} chars - One entry per column; '' marks the right half of a wide character
+ * @property {(TerminalStyle|null)[]} styles
+ */
+
+/**
+ * @typedef {Object} TerminalBufferOptions
+ * @property {number|null} [maxLines=null] - Scrollback cap; lines between the head and the tail are dropped (null for unlimited)
+ * @property {number} [headLines] - Lines kept from the start once the cap is hit (default: 10% of maxLines, at most 100)
+ * @property {function(number): string} [formatTruncated] - Marker line for N dropped lines
+ */
+
+/** @type {TerminalStyle} */
+const DEFAULT_STYLE = Object.freeze({
+  fg: null,
+  bg: null,
+  bold: false,
+  italic: false,
+  underline: false,
+  inverse: false,
+  link: null,
+});
+
+/** Longest OSC/DCS string kept while waiting for its terminator */
+const MAX_STRING_SEQUENCE = 8192;
+
+/** Code point ranges rendered two columns wide (East Asian Wide/Fullwidth, emoji) */
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec], [0x23f0, 0x23f0],
+  [0x23f3, 0x23f3], [0x25fd, 0x25fe], [0x2614, 0x2615], [0x2648, 0x2653], [0x267f, 0x267f],
+  [0x2693, 0x2693], [0x26a1, 0x26a1], [0x26aa, 0x26ab], [0x26bd, 0x26be], [0x26c4, 0x26c5],
+  [0x26ce, 0x26ce], [0x26d4, 0x26d4], [0x26ea, 0x26ea], [0x26f2, 0x26f3], [0x26f5, 0x26f5],
+  [0x26fa, 0x26fa], [0x26fd, 0x26fd], [0x2705, 0x2705], [0x270a, 0x270b], [0x2728, 0x2728],
+  [0x274c, 0x274c], [0x274e, 0x274e], [0x2753, 0x2755], [0x2757, 0x2757], [0x2795, 0x2797],
+  [0x27b0, 0x27b0], [0x27bf, 0x27bf], [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2b55, 0x2b55],
+  [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf],
+  [0xa960, 0xa97f], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f],
+  [0xff00, 0xff60], [0xffe0, 0xffe6], [0x16fe0, 0x16fe4], [0x17000, 0x18cff], [0x1b000, 0x1b2ff],
+  [0x1f004, 0x1f004], [0x1f0cf, 0x1f0cf], [0x1f18e, 0x1f18e], [0x1f191, 0x1f19a], [0x1f200, 0x1f251],
+  [0x1f300, 0x1f320], [0x1f32d, 0x1f335], [0x1f337, 0x1f37c], [0x1f37e, 0x1f393], [0x1f3a0, 0x1f3ca],
+  [0x1f3cf, 0x1f3d3], [0x1f3e0, 0x1f3f0], [0x1f3f4, 0x1f3f4], [0x1f3f8, 0x1f43e], [0x1f440, 0x1f440],
+  [0x1f442, 0x1f4fc], [0x1f4ff, 0x1f53d], [0x1f54b, 0x1f54e], [0x1f550, 0x1f567], [0x1f57a, 0x1f57a],
+  [0x1f595, 0x1f596], [0x1f5a4, 0x1f5a4], [0x1f5fb, 0x1f64f], [0x1f680, 0x1f6c5], [0x1f6cc, 0x1f6cc],
+  [0x1f6d0, 0x1f6d2], [0x1f6d5, 0x1f6d7], [0x1f6eb, 0x1f6ec], [0x1f6f4, 0x1f6fc], [0x1f7e0, 0x1f7eb],
+  [0x1f90c, 0x1f93a], [0x1f93c, 0x1f945], [0x1f947, 0x1f9ff], [0x1fa70, 0x1faff], [0x20000, 0x3fffd],
+];
+
+/** Code point ranges that take no column (combining marks, joiners, variation selectors) */
+const ZERO_WIDTH_RANGES = [
+  [0x0300, 0x036f], [0x0483, 0x0489], [0x0591, 0x05bd], [0x0610, 0x061a], [0x064b, 0x065f],
+  [0x0e31, 0x0e31], [0x0e34, 0x0e3a], [0x0e47, 0x0e4e], [0x1ab0, 0x1aff], [0x1dc0, 0x1dff],
+  [0x200b, 0x200f], [0x20d0, 0x20ff], [0xfe00, 0xfe0f], [0xfe20, 0xfe2f], [0x1f3fb, 0x1f3ff],
+  [0xe0020, 0xe007f], [0xe0100, 0xe01ef],
+];
+
+/**
+ * @param {number} cp
+ * @param {number[][]} ranges - Sorted, non-overlapping
+ * @returns {boolean}
+ */
+function inRanges(cp, ranges) {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (cp < ranges[mid][0]) high = mid - 1;
+    else if (cp > ranges[mid][1]) low = mid + 1;
+    else return true;
+  }
+  return false;
+}
+
+/**
+ * Terminal column width of a code point
+ *
+ * @param {number} cp
+ * @returns {0|1|2}
+ */
+export function charWidth(cp) {
+  if (cp < 0x300) return 1;
+  if (inRanges(cp, ZERO_WIDTH_RANGES)) return 0;
+  return inRanges(cp, WIDE_RANGES) ? 2 : 1;
+}
+
+/**
+ * @param {TerminalStyle|null} a
+ * @param {TerminalStyle|null} b
+ * @returns {boolean}
+ */
+function sameStyle(a, b) {
+  if (a === b) return true;
+  if (!a || !b) return false;
+  return a.fg === b.fg && a.bg === b.bg && a.bold === b.bold
+    && a.italic === b.italic && a.underline === b.underline && a.inverse === b.inverse
+    && a.link === b.link;
+}
+
+/**
+ * @param {TerminalStyle} style
+ * @returns {TerminalStyle|null} null when the style is the default
+ */
+function normalizeStyle(style) {
+  return sameStyle(style, DEFAULT_STYLE) ? null : Object.freeze(style);
+}
+
+/**
+ * Parse an extended color (38/48) starting at params[i]
+ *
+ * Accepts both `38;5;n` / `38;2;r;g;b` and the colon forms.
+ *
+ * @param {(number|number[])[]} params
+ * @param {number} i - Index of the 38/48 parameter
+ * @returns {{color: number|string|null, next: number}}
+ */
+function parseExtendedColor(params, i) {
+  const param = params[i];
+  const parts = Array.isArray(param) ? param.slice(1) : params.slice(i + 1).map(p => (Array.isArray(p) ? p[0] : p));
+  const consumed = (n) => (Array.isArray(param) ? i + 1 : i + 1 + n);
+
+  if (parts[0] === 5) {
+    const index = parts[1];
+    return { color: Number.isInteger(index) && index >= 0 && index <= 255 ? index : null, next: consumed(2) };
+  }
+
+  if (parts[0] === 2) {
+    // The colon form may carry a color-space ID: 38:2:<id>:r:g:b
+    const rgb = Array.isArray(param) && parts.length >= 5 ? parts.slice(2, 5) : parts.slice(1, 4);
+    if (rgb.length === 3 && rgb.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+      const hex = rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+      return { color: `#${hex}`, next: consumed(4) };
+    }
+    return { color: null, next: consumed(4) };
+  }
+
+  return { color: null, next: consumed(0) };
+}
+
+/**
+ * SGR parameters that select a color
+ *
+ * @param {number|string|null} color
+ * @param {boolean} background
+ * @returns {string}
+ */
+function colorCode(color, background) {
+  if (typeof color === 'string') {
+    const rgb = [1, 3, 5].map(k => parseInt(color.slice(k, k + 2), 16));
+    return `${background ? 48 : 38};2;${rgb.join(';')}`;
+  }
+  if (color < 8) return String((background ? 40 : 30) + color);
+  if (color < 16) return String((background ? 100 : 90) + color - 8);
+  return `${background ? 48 : 38};5;${color}`;
+}
+
+/**
+ * Compact escape sequences switching from one style to another
+ *
+ * @param {TerminalStyle|null} from
+ * @param {TerminalStyle|null} to
+ * @returns {string}
+ */
+function styleTransition(from, to) {
+  const prev = from || DEFAULT_STYLE;
+  const next = to || DEFAULT_STYLE;
+  const link = prev.link === next.link ? '' : `\x1b]8;;${next.link || ''}\x1b\\`;
+  return sgrTransition(prev, next) + link;
+}
+
+/**
+ * Compact SGR sequence switching between two styles' graphic attributes
+ *
+ * @param {TerminalStyle} prev
+ * @param {TerminalStyle} to
+ * @returns {string}
+ */
+function sgrTransition(prev, to) {
+  if (sameStyle({ ...prev, link: null }, { ...to, link: null })) return '';
+  if (sameStyle({ ...to, link: null }, DEFAULT_STYLE)) return '\x1b[0m';
+
+  // Turning an attribute off costs about as much as a reset, so reset and rebuild
+  const reset = (prev.bold && !to.bold) || (prev.italic && !to.italic)
+    || (prev.underline && !to.underline) || (prev.inverse && !to.inverse)
+    || (prev.fg !== null && to.fg === null) || (prev.bg !== null && to.bg === null);
+  const base = reset ? DEFAULT_STYLE : prev;
+
+  const codes = reset ? ['0'] : [];
+  if (to.bold && !base.bold) codes.push('1');
+  if (to.italic && !base.italic) codes.push('3');
+  if (to.underline && !base.underline) codes.push('4');
+  if (to.inverse && !base.inverse) codes.push('7');
+  if (to.fg !== null && to.fg !== base.fg) codes.push(colorCode(to.fg, false));
+  if (to.bg !== null && to.bg !== base.bg) codes.push(colorCode(to.bg, true));
+
+  return `\x1b[${codes.join(';')}m`;
+}
+
 /**
  * Terminal buffer that processes cursor movement and ANSI codes
  */
 export class TerminalBuffer {
-  constructor() {
-    /** @type {string[][]} Lines of characters */
-    this._lines = [[]];
+  /**
+   * @param {TerminalBufferOptions} [options]
+   */
+  constructor(options = {}) {
+    const maxLines = Number.isFinite(options.maxLines) && options.maxLines > 0
+      ? Math.max(2, Math.floor(options.maxLines))
+      : null;
+
+    /** @type {number|null} */
+    this._maxLines = maxLines;
+    /** @type {number} */
+    this._headLines = maxLines === null
+      ? 0
+      : Math.min(maxLines - 1, Math.max(0, Math.floor(options.headLines ?? Math.min(100, maxLines / 10))));
+    /** @type {function(number): string} */
+    this._formatTruncated = options.formatTruncated || (n => `… ${n} lines truncated …`);
+    /** @type {number} Lines dropped between the head and the tail */
+    this._truncated = 0;
+    /** @type {{rows: number, text: string, offsets: number[]}} Rendered text of the leading unchanged rows */
+    this._cache = { rows: 0, text: '', offsets: [] };
+
+    /** @type {TerminalLine[]} */
+    this._lines = [this._newLine()];
     /** @type {number} Current row */
     this._row = 0;
     /** @type {number} Current column */
     this._col = 0;
-    /** @type {{row: number, col: number}|null} Saved cursor position */
+    /** @type {{row: number, col: number, pen?: TerminalStyle|null}|null} Saved cursor position */
     this._savedCursor = null;
+    /** @type {TerminalStyle|null} Current SGR attributes (null for default) */
+    this._pen = null;
+    /** @type {string|null} Current OSC 8 hyperlink */
+    this._link = null;
+    /** @type {TerminalStyle|null} Style written to new cells: pen + link (null for default) */
+    this._style = null;
+    /** @type {{top: number, bottom: number}|null} Scroll region rows (DECSTBM) */
+    this._scrollRegion = null;
+    /** @type {Object|null} Main screen state while the alternate screen is active */
+    this._mainScreen = null;
+    /** @type {string} Incomplete escape sequence carried over to the next write */
+    this._pending = '';
+    /** @type {string} Window title set through OSC 0/2 */
+    this.title = '';
+  }
+
+  /** @returns {TerminalLine} */
+  _newLine() {
+    return { chars: [], styles: [] };
   }
 
   /**
    * Process terminal output and write to buffer
+   *
+   * Escape sequences split across calls are completed by the next call.
+   *
    * @param {string} text - Raw terminal output with escape sequences
    */
   write(text) {
+    if (this._pending) {
+      text = this._pending + text;
+      this._pending = '';
+    }
+
     let i = 0;
 
     while (i < text.length) {
       // Check for escape sequence
-      if (text[i] === '\x1b' && text[i + 1] === '[') {
-        i = this._parseEscapeSequence(text, i);
+      if (text[i] === '\x1b') {
+        const next = this._parseEscape(text, i);
+        if (next === -1) {
+          this._pending = text.slice(i);
+          break;
+        }
+        i = next;
         continue;
       }
 
       // Handle special characters
       const char = text[i];
+      const code = char.charCodeAt(0);
 
       if (char === '\r') {
         // Carriage return - back to start of line
         this._col = 0;
       } else if (char === '\n') {
         // Newline - next line, column 0
-        this._row++;
+        this._lineFeed();
         this._col = 0;
-        this._ensureRow(this._row);
       } else if (char === '\b') {
         // Backspace
         this._col = Math.max(0, this._col - 1);
       } else if (char === '\t') {
         // Tab - move to next 8-column boundary
         this._col = Math.floor(this._col / 8) * 8 + 8;
-      } else if (char.charCodeAt(0) >= 32) {
-        // Printable character
-        this._writeChar(char);
+      } else if (code >= 32 && code !== 0x7f && (code < 0x80 || code > 0x9f)) {
+        // Printable character (a whole surrogate pair for astral code points)
+        if (code >= 0xd800 && code <= 0xdbff && i + 1 === text.length) {
+          this._pending = char;
+          break;
+        }
+        const cp = text.codePointAt(i);
+        const str = String.fromCodePoint(cp);
+        this._writeChar(str, cp);
+        i += str.length;
+        continue;
       }
       // Ignore other control characters
 
@@ -66,6 +351,117 @@ export class TerminalBuffer {
     }
   }
 
+  /**
+   * Parse any escape sequence starting at position i
+   * @param {string} text
+   * @param {number} i - Index of ESC
+   * @returns {number} Next index, or -1 if the sequence is incomplete
+   */
+  _parseEscape(text, i) {
+    const next = text[i + 1];
+    if (next === undefined) return -1;
+
+    switch (next) {
+      case '[':
+        return this._parseEscapeSequence(text, i);
+
+      case ']': // OSC
+        return this._parseStringSequence(text, i, content => this._applyOsc(content));
+
+      case 'P': // DCS
+      case 'X': // SOS
+      case '^': // PM
+      case '_': // APC
+        return this._parseStringSequence(text, i, () => {});
+
+      case '7': // DECSC: save cursor and attributes
+        this._saveCursor(true);
+        return i + 2;
+
+      case '8': // DECRC: restore cursor and attributes
+        this._restoreCursor();
+        return i + 2;
+
+      case 'D': // Index: down one line, scrolling in the region
+        this._lineFeed();
+        return i + 2;
+
+      case 'E': // Next line
+        this._lineFeed();
+        this._col = 0;
+        return i + 2;
+
+      case 'M': // Reverse index: up one line, scrolling back in the region
+        this._reverseIndex();
+        return i + 2;
+
+      case 'c': // Full reset
+        this.clear();
+        return i + 2;
+    }
+
+    // nF sequences such as charset designation (ESC ( B): intermediates then a final byte
+    if (next >= ' ' && next <= '/') {
+      let j = i + 1;
+      while (j < text.length && text[j] >= ' ' && text[j] <= '/') j++;
+      return j < text.length ? j + 1 : -1;
+    }
+
+    // Other two-byte sequences (ESC =, ESC >, ...) have no effect on the text
+    return i + 2;
+  }
+
+  /**
+   * Parse a string sequence (OSC, DCS, ...) terminated by BEL or ST
+   * @param {string} text
+   * @param {number} i - Index of ESC
+   * @param {function(string): void} handle - Called with the string content
+   * @returns {number} Next index, or -1 if the terminator hasn't arrived yet
+   */
+  _parseStringSequence(text, i, handle) {
+    let j = i + 2;
+    while (j < text.length) {
+      if (text[j] === '\x07') {
+        handle(text.slice(i + 2, j));
+        return j + 1;
+      }
+      if (text[j] === '\x1b') {
+        if (j + 1 === text.length) break;
+        if (text[j + 1] === '\\') {
+          handle(text.slice(i + 2, j));
+          return j + 2;
+        }
+        // Unterminated: drop it and let the new escape start fresh
+        return j;
+      }
+      j++;
+    }
+
+    // Wait for the terminator, unless the string is clearly runaway
+    return j - i > MAX_STRING_SEQUENCE ? text.length : -1;
+  }
+
+  /**
+   * Apply an OSC command
+   * @param {string} content - e.g. "0;title" or "8;;https://example.com"
+   */
+  _applyOsc(content) {
+    const sep = content.indexOf(';');
+    const command = sep === -1 ? content : content.slice(0, sep);
+    const rest = sep === -1 ? '' : content.slice(sep + 1);
+
+    if (command === '0' || command === '2') {
+      this.title = rest;
+    } else if (command === '8') {
+      // 8;params;uri - an empty uri ends the link
+      const uriStart = rest.indexOf(';');
+      const uri = uriStart === -1 ? '' : rest.slice(uriStart + 1);
+      this._link = uri || null;
+      this._updateStyle();
+    }
+    // Other OSC commands (palette, clipboard, cwd...) are ignored
+  }
+
   /**
    * Parse an escape sequence starting at position i
    * @param {string} text
@@ -76,33 +472,54 @@ export class TerminalBuffer {
     // Skip \x1b[
     let j = i + 2;
 
-    // Check for DEC private mode prefix '?'
-    const isPrivateMode = text[j] === '?';
-    if (isPrivateMode) j++;
+    // Private parameter prefix: '?' for DEC private modes, '<', '=' or '>' for others
+    const prefix = /[<=>?]/.test(text[j] || '') ? text[j] : '';
+    if (prefix) j++;
 
-    // Collect parameter bytes (digits and semicolons)
+    // Collect parameter bytes (digits, semicolons, and colons for SGR sub-parameters)
     let params = '';
-    while (j < text.length && /[0-9;]/.test(text[j])) {
+    while (j < text.length && /[0-9;:]/.test(text[j])) {
       params += text[j];
       j++;
     }
 
+    // Intermediate bytes (e.g. the '!' in CSI ! p)
+    let intermediates = '';
+    while (j < text.length && text[j] >= ' ' && text[j] <= '/') {
+      intermediates += text[j];
+      j++;
+    }
+
     // Get command byte
-    const cmd = text[j] || '';
+    if (j >= text.length) return -1;
+    const cmd = text[j];
     j++;
 
-    // Ignore DEC private modes and SGR (colors/styles) - we output plain text
-    if (isPrivateMode || cmd === 'm') {
-      return j;
+    // Malformed sequence: drop what we read
+    if (cmd < '@' || cmd > '~') {
+      return j - 1;
     }
 
     // Parse parameter numbers
     const nums = params ? params.split(';').map(n => parseInt(n) || 0) : [];
     const n = nums[0] || 1;
 
+    if (prefix === '?') {
+      if (cmd === 'h' || cmd === 'l') this._setPrivateModes(nums, cmd === 'h');
+      return j;
+    }
+
+    if (prefix || intermediates) {
+      return j;
+    }
+
     switch (cmd) {
+      case 'm':
+        this._applySgr(params);
+        break;
+
       case 'A': // Cursor Up
-        this._row = Math.max(0, this._row - n);
+        this._row = Math.max(this._topRow, this._row - n);
         break;
 
       case 'B': // Cursor Down
@@ -125,7 +542,7 @@ export class TerminalBuffer {
         break;
 
       case 'F': // Cursor Previous Line
-        this._row = Math.max(0, this._row - n);
+        this._row = Math.max(this._topRow, this._row - n);
         this._col = 0;
         break;
 
@@ -135,139 +552,703 @@ export class TerminalBuffer {
 
       case 'H': // Cursor Position (row;col)
       case 'f':
-        this._row = Math.max(0, (nums[0] || 1) - 1);
+        this._row = this._topRow + Math.max(0, (nums[0] || 1) - 1);
         this._col = Math.max(0, (nums[1] || 1) - 1);
         this._ensureRow(this._row);
         break;
 
-      case 'J': // Erase in Display
-        if (n === 0 || params === '') {
+      case 'd': // Line Position Absolute
+        this._row = this._topRow + n - 1;
+        this._ensureRow(this._row);
+        break;
+
+      case 'J': { // Erase in Display
+        const mode = nums[0] || 0;
+        if (mode === 0) {
           this._clearToEndOfScreen();
-        } else if (n === 1) {
+        } else if (mode === 1) {
           this._clearFromStartOfScreen();
-        } else if (n === 2 || n === 3) {
+        } else if (mode === 2 || mode === 3) {
           this._clearScreen();
         }
         break;
+      }
 
-      case 'K': // Erase in Line
-        if (n === 0 || params === '') {
+      case 'K': { // Erase in Line
+        const mode = nums[0] || 0;
+        if (mode === 0) {
           this._clearToEndOfLine();
-        } else if (n === 1) {
+        } else if (mode === 1) {
           this._clearFromStartOfLine();
-        } else if (n === 2) {
+        } else if (mode === 2) {
           this._clearLine();
         }
         break;
+      }
+
+      case 'L': // Insert Lines
+        this._insertLines(n);
+        break;
+
+      case 'M': // Delete Lines
+        this._deleteLines(n);
+        break;
+
+      case 'S': // Scroll Up
+        this._scrollUp(n);
+        break;
+
+      case 'T': // Scroll Down
+        this._scrollDown(n);
+        break;
+
+      case '@': // Insert Characters
+        this._editChars(line => line.chars.length > this._col && this._spliceLine(line, this._col, 0, n));
+        break;
+
+      case 'P': // Delete Characters
+        this._editChars(line => this._spliceLine(line, this._col, n, 0));
+        break;
+
+      case 'X': // Erase Characters
+        this._editChars((line) => {
+          for (let c = this._col; c < Math.min(line.chars.length, this._col + n); c++) {
+            line.chars[c] = ' ';
+            line.styles[c] = null;
+          }
+          this._repairWideChars(line, this._col);
+        });
+        break;
+
+      case 'r': // Set Scroll Region (top;bottom)
+        this._setScrollRegion(nums[0] || 1, nums[1] || 0);
+        break;
 
       case 's': // Save Cursor Position
-        this._savedCursor = { row: this._row, col: this._col };
+        this._saveCursor(false);
         break;
 
       case 'u': // Restore Cursor Position
-        if (this._savedCursor) {
-          this._row = this._savedCursor.row;
-          this._col = this._savedCursor.col;
-        }
+        this._restoreCursor();
         break;
     }
 
     return j;
   }
 
+  /**
+   * Set or reset DEC private modes (only the alternate screen matters here)
+   * @param {number[]} modes
+   * @param {boolean} enable
+   */
+  _setPrivateModes(modes, enable) {
+    for (const mode of modes) {
+      if (mode === 47 || mode === 1047 || mode === 1049) {
+        if (enable) this._enterAltScreen(mode === 1049);
+        else this._leaveAltScreen();
+      } else if (mode === 1048) {
+        if (enable) this._saveCursor(true);
+        else this._restoreCursor();
+      }
+      // Cursor visibility, mouse, bracketed paste... don't affect the text
+    }
+  }
+
+  /**
+   * Switch to a blank alternate screen, keeping the main screen aside
+   * @param {boolean} saveCursor - 1049 also saves the cursor
+   */
+  _enterAltScreen(saveCursor) {
+    if (this._mainScreen) return;
+    if (saveCursor) this._saveCursor(true);
+
+    this._mainScreen = {
+      lines: this._lines,
+      row: this._row,
+      col: this._col,
+      truncated: this._truncated,
+      scrollRegion: this._scrollRegion,
+    };
+    this._lines = [this._newLine()];
+    this._row = 0;
+    this._col = 0;
+    this._truncated = 0;
+    this._scrollRegion = null;
+    this._resetCache();
+  }
+
+  /**
+   * Drop the alternate screen and restore the main one
+   */
+  _leaveAltScreen() {
+    const main = this._mainScreen;
+    if (!main) return;
+
+    this._mainScreen = null;
+    this._lines = main.lines;
+    this._row = main.row;
+    this._col = main.col;
+    this._truncated = main.truncated;
+    this._scrollRegion = main.scrollRegion;
+    this._resetCache();
+    if (this._savedCursor?.pen !== undefined) this._restoreCursor();
+  }
+
+  /**
+   * @param {boolean} withAttributes - DECSC also saves the SGR pen
+   */
+  _saveCursor(withAttributes) {
+    this._savedCursor = { row: this._row, col: this._col };
+    if (withAttributes) this._savedCursor.pen = this._pen;
+  }
+
+  _restoreCursor() {
+    if (!this._savedCursor) return;
+    this._row = Math.max(this._topRow, this._savedCursor.row);
+    this._col = this._savedCursor.col;
+    if (this._savedCursor.pen !== undefined) {
+      this._pen = this._savedCursor.pen;
+      this._updateStyle();
+    }
+    this._ensureRow(this._row);
+  }
+
+  /**
+   * @param {number} top - 1-based
+   * @param {number} bottom - 1-based, 0 for no bottom margin
+   */
+  _setScrollRegion(top, bottom) {
+    const origin = this._topRow;
+    if (bottom !== 0 && bottom <= top) {
+      this._scrollRegion = null;
+    } else if (top === 1 && bottom === 0) {
+      this._scrollRegion = null;
+    } else {
+      this._scrollRegion = {
+        top: origin + top - 1,
+        bottom: bottom === 0 ? Infinity : origin + bottom - 1,
+      };
+      if (Number.isFinite(this._scrollRegion.bottom)) this._ensureRow(this._scrollRegion.bottom);
+    }
+
+    // DECSTBM homes the cursor
+    this._row = origin;
+    this._col = 0;
+  }
+
+  /**
+   * Active scroll margins (the whole buffer below the frozen head without a region)
+   * @returns {{top: number, bottom: number}}
+   */
+  _margins() {
+    return this._scrollRegion || { top: this._topRow, bottom: Infinity };
+  }
+
+  /**
+   * Move down a line, scrolling the region when at its bottom margin
+   */
+  _lineFeed() {
+    const region = this._scrollRegion;
+    if (region && this._row === region.bottom) {
+      this._scrollUp(1);
+      return;
+    }
+    this._row++;
+    this._ensureRow(this._row);
+  }
+
+  /**
+   * Move up a line, scrolling the region back when at its top margin
+   */
+  _reverseIndex() {
+    if (this._row === this._margins().top) {
+      this._scrollDown(1);
+      return;
+    }
+    this._row = Math.max(this._topRow, this._row - 1);
+  }
+
+  /**
+   * Remove `count` lines at `removeAt` and insert as many blank ones at `insertAt`
+   * @param {number} removeAt
+   * @param {number} insertAt - Index after the removal
+   * @param {number} count
+   */
+  _shiftLines(removeAt, insertAt, count) {
+    const { bottom } = this._margins();
+    if (Number.isFinite(bottom)) this._ensureRow(bottom);
+
+    this._touch(Math.min(removeAt, insertAt));
+    this._lines.splice(removeAt, count);
+    this._lines.splice(insertAt, 0, ...Array.from({ length: count }, () => this._newLine()));
+  }
+
+  /**
+   * Scroll the region up: lines leave at the top, blanks appear at the bottom
+   * @param {number} n
+   */
+  _scrollUp(n) {
+    const { top, bottom } = this._margins();
+    if (!Number.isFinite(bottom)) return;
+    const count = Math.min(n, bottom - top + 1);
+    this._shiftLines(top, bottom - count + 1, count);
+  }
+
+  /**
+   * Scroll the region down: blanks appear at the top, lines leave at the bottom
+   * @param {number} n
+   */
+  _scrollDown(n) {
+    const { top, bottom } = this._margins();
+    if (!Number.isFinite(bottom)) {
+      this._touch(top);
+      this._lines.splice(top, 0, ...Array.from({ length: n }, () => this._newLine()));
+      return;
+    }
+    const count = Math.min(n, bottom - top + 1);
+    this._shiftLines(bottom - count + 1, top, count);
+  }
+
+  /**
+   * Insert blank lines at the cursor, pushing lines below towards the bottom margin
+   * @param {number} n
+   */
+  _insertLines(n) {
+    const { top, bottom } = this._margins();
+    if (this._row < top || this._row > bottom) return;
+    this._col = 0;
+
+    if (!Number.isFinite(bottom)) {
+      this._touch(this._row);
+      this._lines.splice(this._row, 0, ...Array.from({ length: n }, () => this._newLine()));
+      return;
+    }
+    const count = Math.min(n, bottom - this._row + 1);
+    this._shiftLines(bottom - count + 1, this._row, count);
+  }
+
+  /**
+   * Delete lines at the cursor, pulling lines below up from the bottom margin
+   * @param {number} n
+   */
+  _deleteLines(n) {
+    const { top, bottom } = this._margins();
+    if (this._row < top || this._row > bottom) return;
+    this._col = 0;
+
+    if (!Number.isFinite(bottom)) {
+      this._touch(this._row);
+      this._lines.splice(this._row, n);
+      this._ensureRow(this._row);
+      return;
+    }
+    const count = Math.min(n, bottom - this._row + 1);
+    this._shiftLines(this._row, bottom - count + 1, count);
+  }
+
+  /**
+   * Edit the cursor line in place
+   * @param {function(TerminalLine): void} edit
+   */
+  _editChars(edit) {
+    this._ensureRow(this._row);
+    this._touch(this._row);
+    edit(this._lines[this._row]);
+  }
+
+  /**
+   * Delete and/or insert blank cells in a line
+   * @param {TerminalLine} line
+   * @param {number} col
+   * @param {number} deleteCount
+   * @param {number} insertCount
+   */
+  _spliceLine(line, col, deleteCount, insertCount) {
+    if (col >= line.chars.length) return;
+    const blanks = Array.from({ length: insertCount }, () => ' ');
+    line.chars.splice(col, deleteCount, ...blanks);
+    line.styles.splice(col, deleteCount, ...blanks.map(() => null));
+    this._repairWideChars(line, col);
+  }
+
+  /**
+   * Blank the remains of wide characters split by a character edit
+   * @param {TerminalLine} line
+   * @param {number} from - First edited column
+   */
+  _repairWideChars(line, from) {
+    for (let c = Math.max(0, from - 1); c < line.chars.length; c++) {
+      const char = line.chars[c];
+      const wide = char !== '' && charWidth(char.codePointAt(0)) === 2;
+      if (char === '' && (c === 0 || line.chars[c - 1] === '' || charWidth(line.chars[c - 1].codePointAt(0)) !== 2)) {
+        line.chars[c] = ' ';
+      } else if (wide && line.chars[c + 1] !== '') {
+        line.chars[c] = ' ';
+      }
+    }
+  }
+
+  /**
+   * Apply an SGR (Select Graphic Rendition) sequence to the pen
+   * @param {string} params - Raw parameter string, e.g. "1;38;5;208"
+   */
+  _applySgr(params) {
+    // Each parameter is a number, or an array for colon sub-parameters (38:2:r:g:b)
+    const list = (params === '' ? ['0'] : params.split(';')).map((param) => {
+      if (param.includes(':')) return param.split(':').map(n => parseInt(n) || 0);
+      return parseInt(param) || 0;
+    });
+
+    const style = { ...(this._pen || DEFAULT_STYLE) };
+    let i = 0;
+
+    while (i < list.length) {
+      const param = list[i];
+      const code = Array.isArray(param) ? param[0] : param;
+
+      if (code === 38 || code === 48) {
+        const { color, next } = parseExtendedColor(list, i);
+        if (color !== null) style[code === 38 ? 'fg' : 'bg'] = color;
+        i = next;
+        continue;
+      }
+
+      if (code === 0) Object.assign(style, DEFAULT_STYLE);
+      else if (code === 1) style.bold = true;
+      else if (code === 3) style.italic = true;
+      else if (code === 4) style.underline = !(Array.isArray(param) && param[1] === 0);
+      else if (code === 7) style.inverse = true;
+      else if (code === 21 || code === 22) style.bold = false;
+      else if (code === 23) style.italic = false;
+      else if (code === 24) style.underline = false;
+      else if (code === 27) style.inverse = false;
+      else if (code >= 30 && code <= 37) style.fg = code - 30;
+      else if (code === 39) style.fg = null;
+      else if (code >= 40 && code <= 47) style.bg = code - 40;
+      else if (code === 49) style.bg = null;
+      else if (code >= 90 && code <= 97) style.fg = code - 90 + 8;
+      else if (code >= 100 && code <= 107) style.bg = code - 100 + 8;
+      // Other attributes (dim, blink, strikethrough, fonts...) are ignored
+
+      i++;
+    }
+
+    this._pen = normalizeStyle({ ...style, link: null });
+    this._updateStyle();
+  }
+
+  /**
+   * Recompute the style of newly written cells from the pen and hyperlink
+   */
+  _updateStyle() {
+    this._style = normalizeStyle({ ...(this._pen || DEFAULT_STYLE), link: this._link });
+  }
+
   /**
    * Write a character at current cursor position
-   * @param {string} char
+   *
+   * Wide characters take two cells, the second holding ''. Zero-width
+   * characters (combining marks, joiners) attach to the previous cell.
+   *
+   * @param {string} char - One code point
+   * @param {number} [cp] - Its code point
    */
-  _writeChar(char) {
+  _writeChar(char, cp = char.codePointAt(0)) {
     this._ensureRow(this._row);
     const line = this._lines[this._row];
 
+    // Combine with the previous cell: zero-width marks, and whatever follows a ZWJ
+    let prev = this._col - 1;
+    if (prev >= 0 && line.chars[prev] === '') prev--;
+    const width = charWidth(cp);
+    if (prev >= 0 && prev < line.chars.length && (width === 0 || line.chars[prev].endsWith('\u200d'))) {
+      line.chars[prev] += char;
+      this._touch(this._row);
+      return;
+    }
+    if (width === 0) return;
+
     // Extend line if needed
-    while (line.length <= this._col) {
-      line.push(' ');
+    while (line.chars.length < this._col + width) {
+      line.chars.push(' ');
+      line.styles.push(null);
+    }
+
+    // Overwriting half of a wide character blanks its other half
+    if (line.chars[this._col] === '' && this._col > 0) {
+      line.chars[this._col - 1] = ' ';
+    }
+    if (line.chars[this._col + width] === '') {
+      line.chars[this._col + width] = ' ';
     }
 
     // Write character
-    line[this._col] = char;
-    this._col++;
+    line.chars[this._col] = char;
+    line.styles[this._col] = this._style;
+    if (width === 2) {
+      line.chars[this._col + 1] = '';
+      line.styles[this._col + 1] = this._style;
+    }
+    this._touch(this._row);
+    this._col += width;
   }
 
   /** @param {number} row */
   _ensureRow(row) {
     while (this._lines.length <= row) {
-      this._lines.push([]);
+      this._lines.push(this._newLine());
     }
+    this._enforceScrollback();
+  }
+
+  /**
+   * First row the cursor may move to (the head is frozen once lines were dropped)
+   * @returns {number}
+   */
+  get _topRow() {
+    return this._truncated > 0 ? this._headLines : 0;
+  }
+
+  /**
+   * Drop lines after the head once the buffer exceeds maxLines
+   *
+   * Lines are dropped in batches of ~10% of the tail so the render cache
+   * isn't invalidated on every new line.
+   */
+  _enforceScrollback() {
+    if (this._maxLines === null || this._lines.length <= this._maxLines) return;
+
+    const slack = Math.floor((this._maxLines - this._headLines) / 10);
+    const excess = this._lines.length - this._maxLines + slack;
+    // Never drop the cursor row
+    const drop = Math.min(excess, this._row - this._headLines);
+    if (drop <= 0) return;
+
+    this._lines.splice(this._headLines, drop);
+    this._truncated += drop;
+    this._row -= drop;
+    if (this._scrollRegion) {
+      this._scrollRegion = {
+        top: Math.max(this._headLines, this._scrollRegion.top - drop),
+        bottom: this._scrollRegion.bottom - drop,
+      };
+    }
+    if (this._savedCursor) {
+      this._savedCursor.row = Math.max(this._headLines, this._savedCursor.row - drop);
+    }
+    this._touch(this._headLines);
+  }
+
+  /**
+   * Mark a row (and everything after it) as changed
+   * @param {number} row
+   */
+  _touch(row) {
+    const cache = this._cache;
+    if (row < cache.rows) {
+      cache.text = cache.text.slice(0, cache.offsets[row]);
+      cache.offsets.length = row;
+      cache.rows = row;
+    }
+  }
+
+  _resetCache() {
+    this._cache = { rows: 0, text: '', offsets: [] };
   }
 
   _clearToEndOfLine() {
-    if (this._lines[this._row]) {
-      this._lines[this._row] = this._lines[this._row].slice(0, this._col);
+    const line = this._lines[this._row];
+    if (line) {
+      this._touch(this._row);
+      line.chars.length = Math.min(line.chars.length, this._col);
+      line.styles.length = line.chars.length;
     }
   }
 
   _clearFromStartOfLine() {
     if (this._lines[this._row]) {
       const line = this._lines[this._row];
-      for (let i = 0; i <= this._col && i < line.length; i++) {
-        line[i] = ' ';
+      this._touch(this._row);
+      for (let i = 0; i <= this._col && i < line.chars.length; i++) {
+        line.chars[i] = ' ';
+        line.styles[i] = null;
       }
     }
   }
 
   _clearLine() {
-    this._lines[this._row] = [];
+    this._touch(this._row);
+    this._lines[this._row] = this._newLine();
   }
 
   _clearToEndOfScreen() {
+    this._touch(this._row);
     this._clearToEndOfLine();
     for (let r = this._row + 1; r < this._lines.length; r++) {
-      this._lines[r] = [];
+      this._lines[r] = this._newLine();
     }
   }
 
   _clearFromStartOfScreen() {
+    this._touch(0);
     for (let r = 0; r < this._row; r++) {
-      this._lines[r] = [];
+      this._lines[r] = this._newLine();
     }
     this._clearFromStartOfLine();
   }
 
   _clearScreen() {
-    this._lines = [[]];
+    this._lines = [this._newLine()];
     this._row = 0;
     this._col = 0;
+    this._truncated = 0;
+    this._scrollRegion = null;
+    this._resetCache();
+  }
+
+  /**
+   * Number of rows up to the last non-blank one
+   * @returns {number}
+   */
+  _visibleRowCount() {
+    let end = this._lines.length;
+    while (end > 0 && this._lines[end - 1].chars.every(char => /\s/.test(char))) end--;
+    return end;
+  }
+
+  /**
+   * Visible length of a line (trailing whitespace trimmed)
+   * @param {TerminalLine} line
+   * @returns {number}
+   */
+  _visibleLength(line) {
+    let end = line.chars.length;
+    while (end > 0 && /\s/.test(line.chars[end - 1])) end--;
+    return end;
+  }
+
+  /**
+   * Truncation marker line to emit before a row, if any
+   * @param {number} row
+   * @returns {string|null}
+   */
+  _markerBefore(row) {
+    return this._truncated > 0 && row === this._headLines ? this._formatTruncated(this._truncated) : null;
+  }
+
+  /**
+   * Row text, preceded by the truncation marker line where it applies
+   * @param {number} row
+   * @returns {string}
+   */
+  _renderRow(row) {
+    const line = this._lines[row];
+    const marker = this._markerBefore(row);
+    const text = line.chars.slice(0, this._visibleLength(line)).join('');
+    return marker === null ? text : `${marker}\n${text}`;
   }
 
   /**
    * Convert buffer to plain text (for document storage)
+   *
+   * Rows that haven't changed since the last call are served from a cache,
+   * so streaming output only re-serializes the rows it touched.
+   *
    * @returns {string}
    */
   toString() {
-    const output = [];
+    const end = this._visibleRowCount();
+    if (end === 0) return '';
 
-    for (const line of this._lines) {
-      let lineText = line.join('');
-      // Trim trailing spaces
-      output.push(lineText.trimEnd());
+    // Cache every visible row but the last, which is the one usually being rewritten
+    const last = end - 1;
+    const cache = this._cache;
+    while (cache.rows < last) {
+      cache.offsets.push(cache.text.length);
+      cache.text += this._renderRow(cache.rows) + '\n';
+      cache.rows++;
     }
 
-    // Trim trailing empty lines
-    while (output.length > 0 && output[output.length - 1] === '') {
-      output.pop();
+    const prefix = last < cache.rows ? cache.text.slice(0, cache.offsets[last]) : cache.text;
+    return prefix + this._renderRow(last);
+  }
+
+  /**
+   * Convert buffer to styled runs
+   *
+   * Concatenating the span texts gives exactly `toString()`. Newlines and
+   * the truncation marker are unstyled and merge into the surrounding
+   * default-style runs.
+   *
+   * @returns {TerminalSpan[]}
+   */
+  toSpans() {
+    /** @type {TerminalSpan[]} */
+    const spans = [];
+    const push = (text, style) => {
+      const last = spans[spans.length - 1];
+      if (last && sameStyle(last.style, style)) {
+        last.text += text;
+      } else {
+        spans.push({ text, style });
+      }
+    };
+
+    const end = this._visibleRowCount();
+    for (let row = 0; row < end; row++) {
+      if (row > 0) push('\n', null);
+
+      const marker = this._markerBefore(row);
+      if (marker !== null) push(`${marker}\n`, null);
+
+      const line = this._lines[row];
+      const length = this._visibleLength(line);
+      for (let col = 0; col < length; col++) {
+        // Skip the right halves of wide characters
+        if (line.chars[col] !== '') push(line.chars[col], line.styles[col]);
+      }
+    }
+
+    return spans;
+  }
+
+  /**
+   * Convert buffer to text with compact ANSI SGR sequences
+   *
+   * Only style changes are emitted, styles are reset before each newline,
+   * and the result ends in the default style.
+   *
+   * @returns {string}
+   */
+  toAnsi() {
+    let output = '';
+    let current = null;
+
+    // Newlines live in default-style runs, so every line starts from a reset
+    for (const { text, style } of this.toSpans()) {
+      output += styleTransition(current, style) + text;
+      current = style;
     }
 
-    return output.join('\n');
+    return output + styleTransition(current, null);
   }
 
   /**
    * Clear the buffer and reset cursor
    */
   clear() {
-    this._lines = [[]];
+    this._lines = [this._newLine()];
     this._row = 0;
     this._col = 0;
     this._savedCursor = null;
+    this._pen = null;
+    this._link = null;
+    this._style = null;
+    this._truncated = 0;
+    this._scrollRegion = null;
+    this._mainScreen = null;
+    this._pending = '';
+    this._resetCache();
   }
 
   /**
@@ -277,6 +1258,14 @@ export class TerminalBuffer {
   get lineCount() {
     return this._lines.length;
   }
+
+  /**
+   * Number of lines dropped by the scrollback cap
+   * @returns {number}
+   */
+  get truncatedLines() {
+    return this._truncated;
+  }
 }
 
 /**
@@ -285,10 +1274,12 @@ export class TerminalBuffer {
  * Convenience function for one-shot processing.
  *
  * @param {string} text - Raw terminal output
- * @returns {string} - Processed plain text
+ * @param {Object} [options]
+ * @param {boolean} [options.ansi=false] - Keep colors as compact ANSI sequences
+ * @returns {string} - Processed text
  */
-export function processTerminalOutput(text) {
+export function processTerminalOutput(text, { ansi = false } = {}) {
   const buffer = new TerminalBuffer();
   buffer.write(text);
-  return buffer.toString();
+  return ansi ? buffer.toAnsi() : buffer.toString();
 }
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createAssetStore, findAssetReferences, scanProjectAssetReferences } from '../src/assets.js';
+
+test('AssetStore stores large payloads once and reads them back', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-assets-'));
+
+  try {
+    const store = createAssetStore(tempDir, { thresholdBytes: 1024 });
+    const png = Buffer.alloc(4096, 7).toString('base64');
+
+    const small = { mimeType: 'text/plain', data: 'hello' };
+    assert.equal(store.store(small), small);
+
+    const ref = store.store({ mimeType: 'image/png', data: png, metadata: { width: 64 } });
+    assert.deepEqual(Object.keys(ref).sort(), ['assetId', 'hash', 'mimeType', 'size']);
+    assert.equal(ref.assetId, `_assets/outputs/${ref.hash}.png`);
+    assert.equal(ref.size, 4096);
+    assert.deepEqual(store.store({ mimeType: 'image/png', data: png }), ref);
+
+    const plot = { data: [{ x: Array.from({ length: 300 }, (_, i) => i) }] };
+    const plotRef = store.store({ mimeType: 'application/vnd.plotly.v1+json', data: plot });
+    assert.match(plotRef.assetId, /\.json$/);
+
+    assert.deepEqual(await fs.readdir(store.dir), [`${plotRef.hash}.json`, `${ref.hash}.png`].sort());
+    assert.deepEqual(await store.read(ref), { mimeType: 'image/png', data: png });
+    assert.deepEqual((await store.read(plotRef)).data, plot);
+    assert.equal(store.resolve('_assets/outputs/../../notes.md'), null);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('AssetStore.collectGarbage removes old unreferenced assets only', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-assets-'));
+
+  try {
+    const store = createAssetStore(tempDir, { thresholdBytes: 1 });
+    const kept = store.store({ mimeType: 'text/html', data: '<b>kept</b>' });
+    const dropped = store.store({ mimeType: 'text/html', data: '<b>dropped</b>' });
+    const fresh = store.store({ mimeType: 'text/html', data: '<b>fresh</b>' });
+
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    for (const ref of [kept, dropped]) {
+      await fs.utimes(store.resolve(ref.assetId), old, old);
+    }
+
+    await fs.writeFile(path.join(tempDir, 'report.md'), `![plot](_assets/outputs/${kept.hash}.html)\n`);
+    const referenced = await scanProjectAssetReferences(tempDir);
+    assert.deepEqual([...referenced], [kept.hash]);
+
+    const result = await store.collectGarbage(referenced);
+    assert.deepEqual(result, { removed: [dropped.assetId], kept: 2 });
+    assert.equal(await store.read(dropped), null);
+    assert.ok(await store.read(fresh));
+
+    assert.deepEqual(
+      [...findAssetReferences(JSON.stringify({ displayData: [fresh] }))],
+      [fresh.hash],
+    );
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
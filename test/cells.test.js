@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCodeCells, findOutputAfter } from '../src/cells.js';
+
+const doc = [
+  '# Report',
+  '',
+  '```python',
+  'x = 1',
+  '```',
+  '```output:exec-1',
+  'old',
+  '```',
+  '',
+  '````markdown',
+  '```js',
+  'not a cell',
+  '```',
+  '````',
+  '',
+  '```',
+  'plain',
+  '```',
+  '',
+  '```r {echo=false}',
+  'y <- 2',
+  '```',
+].join('\n');
+
+test('parseCodeCells finds language fences and skips output and nested blocks', () => {
+  const cells = parseCodeCells(doc);
+
+  assert.deepEqual(cells.map(cell => [cell.index, cell.language, cell.code]), [
+    [0, 'python', 'x = 1'],
+    [1, 'markdown', '```js\nnot a cell\n```'],
+    [2, 'r', 'y <- 2'],
+  ]);
+  assert.equal(doc.slice(cells[0].start, cells[0].end), '```python\nx = 1\n```\n');
+  assert.equal(cells[2].end, doc.length);
+});
+
+test('findOutputAfter matches only an output block right after the cell', () => {
+  const [python, markdown] = parseCodeCells(doc);
+
+  const output = findOutputAfter(doc, python.end);
+  assert.equal(output.execId, 'exec-1');
+  assert.equal(doc.slice(output.start, output.end), '```output:exec-1\nold\n```\n');
+
+  assert.equal(findOutputAfter(doc, markdown.end), null);
+});
+
+test('an unclosed output block covers only its marker and hides no later cell', () => {
+  const text = [
+    '```python',
+    'x = 1',
+    '```',
+    '```output:exec-1',
+    'half synced',
+    '```python',
+    'y = 2',
+    '```',
+    '',
+  ].join('\n');
+
+  const cells = parseCodeCells(text);
+  assert.deepEqual(cells.map(cell => cell.code), ['x = 1', 'y = 2']);
+
+  const output = findOutputAfter(text, cells[0].end);
+  assert.equal(output.execId, 'exec-1');
+  assert.equal(text.slice(output.start, output.end), '```output:exec-1\n');
+
+  const atEnd = '```python\nx = 1\n```\n```output:exec-2\npartial';
+  assert.equal(atEnd.slice(findOutputAfter(atEnd, 20).end), 'partial');
+});
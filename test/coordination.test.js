@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as Y from 'yjs';
+
+import { CoordinationProtocol, EXECUTION_STATUS } from '../src/coordination.js';
+
+test('CoordinationProtocol.takeOverExecution only replaces the expected stale claimant', () => {
+  const ydoc = new Y.Doc();
+  const browser = new CoordinationProtocol(ydoc, 1);
+  const oldMonitor = new CoordinationProtocol(ydoc, 2);
+  const newMonitor = new CoordinationProtocol(ydoc, 3);
+
+  const execId = browser.requestExecution({ code: 'x = 1', language: 'python', runtimeUrl: 'http://rt' });
+  assert.ok(oldMonitor.claimExecution(execId));
+  oldMonitor.setRunning(execId);
+
+  assert.equal(newMonitor.takeOverExecution(execId, 99), false);
+  assert.ok(newMonitor.takeOverExecution(execId, 2));
+
+  const exec = newMonitor.getExecution(execId);
+  assert.equal(exec.status, EXECUTION_STATUS.RUNNING);
+  assert.equal(exec.claimedBy, 3);
+  assert.equal(exec.previousClaimedBy, 2);
+});
+
+test('CoordinationProtocol records cancellation timestamps and partial output', () => {
+  const ydoc = new Y.Doc();
+  const browser = new CoordinationProtocol(ydoc, 1);
+  const monitor = new CoordinationProtocol(ydoc, 2);
+
+  const execId = browser.requestExecution({ code: 'train()', language: 'python', runtimeUrl: 'http://rt' });
+  monitor.claimExecution(execId);
+  monitor.setRunning(execId);
+
+  browser.cancelExecution(execId);
+  const requested = monitor.getExecution(execId);
+  assert.equal(requested.status, EXECUTION_STATUS.CANCELLED);
+  assert.equal(requested.cancelledBy, 1);
+
+  monitor.setCancelled(execId, { partialOutput: 'epoch 1', interrupted: true });
+  const cancelled = monitor.getExecution(execId);
+  assert.equal(cancelled.cancelledAt, requested.cancelledAt);
+  assert.ok(cancelled.completedAt >= cancelled.cancelledAt);
+  assert.equal(cancelled.partialOutput, 'epoch 1');
+  assert.deepEqual(cancelled.cancellation, { interrupted: true, restarted: false });
+
+  // Finished executions can't be cancelled again
+  browser.cancelExecution(execId);
+  assert.equal(monitor.getExecution(execId).cancelledBy, 1);
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createDirectoryDiscovery, createEndpointDiscovery } from '../src/discovery.js';
+
+test('createDirectoryDiscovery lists notebooks relative to the project root', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-discovery-'));
+
+  try {
+    await fs.mkdir(path.join(tempDir, 'analysis'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, '_assets', 'tables'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, '.git'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'index.md'), '# Index\n');
+    await fs.writeFile(path.join(tempDir, 'analysis', 'sales.md'), '# Sales\n');
+    await fs.writeFile(path.join(tempDir, 'analysis', 'data.csv'), 'a,b\n');
+    await fs.writeFile(path.join(tempDir, '_assets', 'tables', 'notes.md'), 'ignored\n');
+    await fs.writeFile(path.join(tempDir, '.git', 'HEAD.md'), 'ignored\n');
+
+    const discover = createDirectoryDiscovery(tempDir);
+    assert.deepEqual(await discover(), ['analysis/sales.md', 'index.md']);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('createEndpointDiscovery accepts string and object room lists', async () => {
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ rooms: ['b.md', { name: 'a.md' }, { path: 'b.md' }, null] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const { port } = server.address();
+    const discover = createEndpointDiscovery(`http://127.0.0.1:${port}/rooms`);
+    assert.deepEqual(await discover(), ['a.md', 'b.md']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
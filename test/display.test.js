@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as Y from 'yjs';
+
+import { buildDisplayRegion, findDisplayRegion } from '../src/display.js';
+import { DocumentWriter } from '../src/document.js';
+import { parseCodeCells, findOutputAfter } from '../src/cells.js';
+
+test('buildDisplayRegion renders images, HTML and markdown', () => {
+  const region = buildDisplayRegion('exec-1', [
+    { assetId: '_assets/outputs/abc.png', mimeType: 'image/png', size: 10, hash: 'abc' },
+    { mimeType: 'text/html', data: '<pre>```</pre>' },
+    { mimeType: 'text/markdown', data: '**done**\n' },
+    { mimeType: 'image/gif', data: 'R0lG\nODlh' },
+  ], { docPath: 'analysis/report.md' });
+
+  assert.equal(region, [
+    '<!-- display:exec-1 -->',
+    '![image/png](../_assets/outputs/abc.png)',
+    '',
+    '````display:text/html',
+    '<pre>```</pre>',
+    '````',
+    '',
+    '**done**',
+    '',
+    '![image/gif](data:image/gif;base64,R0lGODlh)',
+    '<!-- /display:exec-1 -->',
+    '',
+  ].join('\n'));
+
+  assert.equal(buildDisplayRegion('exec-1', []), '');
+  assert.deepEqual(findDisplayRegion(`x\n${region}`, 2), { execId: 'exec-1', start: 2, end: region.length + 2 });
+});
+
+test('DocumentWriter.replaceDisplay writes, replaces and removes the region after a block', () => {
+  const ydoc = new Y.Doc();
+  const ytext = ydoc.getText('content');
+  ytext.insert(0, '```python\nplot()\n```\n```output:exec-2\n```\n<!-- display:exec-1 -->\nold\n<!-- /display:exec-1 -->\n\nAfter\n');
+  const writer = new DocumentWriter(ydoc);
+
+  const region = buildDisplayRegion('exec-2', [{ mimeType: 'text/markdown', data: 'new' }]);
+  assert.ok(writer.replaceDisplay('exec-2', region));
+  assert.equal(ytext.toString(), `\`\`\`python\nplot()\n\`\`\`\n\`\`\`output:exec-2\n\`\`\`\n${region}\nAfter\n`);
+
+  // A headless re-run replaces the output block together with its displays
+  const [cell] = parseCodeCells(ytext.toString());
+  const output = findOutputAfter(ytext.toString(), cell.end);
+  assert.equal(ytext.toString().slice(output.end), '\nAfter\n');
+
+  assert.ok(writer.replaceDisplay('exec-2', ''));
+  assert.equal(ytext.toString(), '```python\nplot()\n```\n```output:exec-2\n```\n\nAfter\n');
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as Y from 'yjs';
+
+import { DocumentWriter, diffRange } from '../src/document.js';
+
+function createDoc(text) {
+  const ydoc = new Y.Doc();
+  ydoc.getText('content').insert(0, text);
+  return ydoc;
+}
+
+function browserOutputPosition(ydoc, execId) {
+  const text = ydoc.getText('content').toString();
+  const marker = '```output:' + execId + '\n';
+  const index = text.indexOf(marker) + marker.length;
+  return Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ydoc.getText('content'), index));
+}
+
+test('DocumentWriter writes through anchors despite duplicated markers pasted earlier', () => {
+  const ydoc = createDoc('```python\nprint(1)\n```\n\n```output:exec-1\n```\n');
+  const writer = new DocumentWriter(ydoc);
+
+  assert.ok(writer.anchorOutputBlock('exec-1', browserOutputPosition(ydoc, 'exec-1')));
+
+  // Someone pastes a copy of the block above the real one
+  ydoc.getText('content').insert(0, '```output:exec-1\nstale\n```\n\n');
+
+  assert.ok(writer.replaceOutput('exec-1', 'fresh'));
+  assert.equal(
+    ydoc.getText('content').toString(),
+    '```output:exec-1\nstale\n```\n\n```python\nprint(1)\n```\n\n```output:exec-1\nfresh\n```\n'
+  );
+});
+
+test('DocumentWriter keeps the block end when output contains a fence', () => {
+  const ydoc = createDoc('```output:exec-2\n```\nafter\n');
+  const writer = new DocumentWriter(ydoc);
+  writer.anchorOutputBlock('exec-2', browserOutputPosition(ydoc, 'exec-2'));
+
+  writer.replaceOutput('exec-2', 'a\n```\nb');
+  writer.replaceOutput('exec-2', 'a\n```\nb\nc');
+
+  assert.equal(ydoc.getText('content').toString(), '```output:exec-2\na\n```\nb\nc\n```\nafter\n');
+  assert.equal(writer.getOutputContent('exec-2'), 'a\n```\nb\nc\n');
+});
+
+test('DocumentWriter anchors survive concurrent edits from another peer', () => {
+  const ydoc = createDoc('intro\n```output:exec-3\n```\n');
+  const remote = new Y.Doc();
+  Y.applyUpdate(remote, Y.encodeStateAsUpdate(ydoc));
+
+  const writer = new DocumentWriter(ydoc);
+  writer.anchorOutputBlock('exec-3', browserOutputPosition(ydoc, 'exec-3'));
+  writer.replaceOutput('exec-3', 'one');
+
+  remote.getText('content').insert(0, 'edited ');
+  Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(remote));
+
+  writer.replaceOutput('exec-3', 'one\ntwo');
+  assert.equal(ydoc.getText('content').toString(), 'edited intro\n```output:exec-3\none\ntwo\n```\n');
+});
+
+test('DocumentWriter re-anchors from a browser position that now follows the output', () => {
+  const ydoc = createDoc('```output:exec-4\n```\n');
+  const outputPosition = browserOutputPosition(ydoc, 'exec-4');
+  new DocumentWriter(ydoc).replaceOutput('exec-4', 'partial');
+
+  // A fresh writer (e.g. after a monitor restart) anchors the same block
+  const writer = new DocumentWriter(ydoc);
+  writer.anchorOutputBlock('exec-4', outputPosition);
+  writer.appendOutput('exec-4', 'more\n');
+
+  assert.equal(ydoc.getText('content').toString(), '```output:exec-4\npartial\nmore\n```\n');
+});
+
+test('DocumentWriter text search matches whole marker lines only', () => {
+  const ydoc = createDoc('```output:exec-12\n```\n```output:exec-1\n```\n');
+  const writer = new DocumentWriter(ydoc);
+
+  writer.replaceOutput('exec-1', 'x');
+  assert.equal(ydoc.getText('content').toString(), '```output:exec-12\n```\n```output:exec-1\nx\n```\n');
+});
+
+test('DocumentWriter.replaceOutput only rewrites the changed tail', () => {
+  const ydoc = createDoc('```output:exec-9\n```\n');
+  const writer = new DocumentWriter(ydoc);
+  const ytext = ydoc.getText('content');
+  writer.anchorOutputBlock('exec-9', browserOutputPosition(ydoc, 'exec-9'));
+
+  writer.replaceOutput('exec-9', 'loading data\n 10%');
+  const cursor = Y.createRelativePositionFromTypeIndex(ytext, ytext.toString().indexOf('data'));
+
+  const updates = [];
+  ydoc.on('update', update => updates.push(update));
+  writer.replaceOutput('exec-9', 'loading data\n 20%');
+  writer.replaceOutput('exec-9', 'loading data\n 20%');
+
+  assert.equal(ytext.toString(), '```output:exec-9\nloading data\n 20%\n```\n');
+  assert.equal(updates.length, 1);
+
+  // A collaborator's cursor inside unchanged output stays put
+  const index = Y.createAbsolutePositionFromRelativePosition(cursor, ydoc).index;
+  assert.equal(ytext.toString().slice(index, index + 4), 'data');
+});
+
+test('diffRange keeps surrogate pairs whole', () => {
+  assert.equal(diffRange('same', 'same'), null);
+  assert.deepEqual(diffRange('ab\n', 'abc\n'), { index: 2, deleteCount: 0, insert: 'c' });
+  assert.deepEqual(diffRange('x\u{1F600}', 'x\u{1F601}'), { index: 1, deleteCount: 2, insert: '\u{1F601}' });
+  assert.deepEqual(diffRange('\u{1F600}y', '\u{1F400}y'), { index: 0, deleteCount: 2, insert: '\u{1F400}' });
+});
@@ -0,0 +1,159 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { ExecutionHandler } from '../src/execution.js';
+import { createMonitorMetrics } from '../src/metrics.js';
+
+async function withRuntime(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function sse(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const [event, data] of events) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+  res.end();
+}
+
+test('ExecutionHandler.attach streams events from a resumable execution', async () => {
+  await withRuntime((req, res) => {
+    assert.equal(req.url, '/executions/exec-1/stream?session=default');
+    sse(res, [
+      ['stdout', { content: 'epoch 2\n' }],
+      ['result', { success: true, result: 42 }],
+    ]);
+  }, async (runtimeUrl) => {
+    const handler = new ExecutionHandler();
+    const chunks = [];
+    const result = await handler.attach(runtimeUrl, 'exec-1', {
+      callbacks: { onStdout: chunk => chunks.push(chunk) },
+    });
+
+    assert.deepEqual(chunks, ['epoch 2\n']);
+    assert.equal(result.result, 42);
+    assert.equal(handler.activeCount, 0);
+  });
+});
+
+test('ExecutionHandler.attach resolves null when the runtime cannot resume', async () => {
+  await withRuntime((req, res) => {
+    res.writeHead(404);
+    res.end('unknown execution');
+  }, async (runtimeUrl) => {
+    const handler = new ExecutionHandler();
+    let started = false;
+    const result = await handler.attach(runtimeUrl, 'exec-2', {
+      callbacks: { onStart: () => { started = true; } },
+    });
+
+    assert.equal(result, null);
+    assert.equal(started, false);
+  });
+
+  const unreachable = await new ExecutionHandler().attach('http://127.0.0.1:9', 'exec-3');
+  assert.equal(unreachable, null);
+});
+
+test('ExecutionHandler routes executions and session calls to the requested session', async () => {
+  const requests = [];
+
+  await withRuntime(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+
+    if (req.url === '/execute/stream') {
+      sse(res, [['result', { success: true }]]);
+    } else if (req.method === 'GET' && req.url === '/sessions') {
+      res.end(JSON.stringify({ sessions: [{ id: 'default' }, { id: 'nb-a' }] }));
+    } else {
+      res.end(JSON.stringify({ ok: true }));
+    }
+  }, async (runtimeUrl) => {
+    const handler = new ExecutionHandler();
+
+    await handler.execute(runtimeUrl, 'x = 1', { execId: 'exec-4', session: 'nb-a' });
+    await handler.createSession(runtimeUrl, { id: 'nb-b' });
+    assert.deepEqual(await handler.listSessions(runtimeUrl), [{ id: 'default' }, { id: 'nb-a' }]);
+    await handler.resetSession(runtimeUrl, 'nb-a');
+    await handler.destroySession(runtimeUrl, 'nb-b');
+    await handler.interrupt(runtimeUrl, { session: 'nb-a' });
+  });
+
+  assert.equal(requests[0].body.session, 'nb-a');
+  assert.equal(requests[0].body.execId, 'exec-4');
+  assert.deepEqual(requests.slice(1).map(r => `${r.method} ${r.url}`), [
+    'POST /sessions',
+    'GET /sessions',
+    'POST /sessions/nb-a/reset',
+    'DELETE /sessions/nb-b',
+    'POST /interrupt',
+  ]);
+  assert.deepEqual(requests[1].body, { id: 'nb-b' });
+  assert.deepEqual(requests[5].body, { session: 'nb-a' });
+});
+
+test('ExecutionHandler reports every SSE event through onEvent', async () => {
+  await withRuntime((req, res) => {
+    sse(res, [
+      ['start', {}],
+      ['stdout', { content: 'tick\n' }],
+      ['done', {}],
+    ]);
+  }, async (runtimeUrl) => {
+    const events = [];
+    await new ExecutionHandler().execute(runtimeUrl, 'tick()', {
+      callbacks: { onEvent: event => events.push(event) },
+    });
+    assert.deepEqual(events, ['start', 'stdout', 'done']);
+  });
+});
+
+test('ExecutionHandler reconnects a dropped stream and skips replayed events', async () => {
+  const resumes = [];
+
+  await withRuntime((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+    if (req.url === '/execute/stream') {
+      res.write('id: 1\nevent: stdout\ndata: {"content":"a\\n"}\n\n');
+      res.write('id: 2\nevent: stdout\ndata: {"content":"b\\n"}\n\n', () => res.destroy());
+      return;
+    }
+
+    resumes.push({ url: req.url, lastEventId: req.headers['last-event-id'] });
+    res.write('id: 2\nevent: stdout\ndata: {"content":"b\\n"}\n\n');
+    res.write('id: 3\nevent: stdout\r\ndata: {"content":\r\ndata: "c\\n"}\r\n\r\n');
+    res.end('id: 4\nevent: result\ndata: {"success":true,"result":7}\n\n');
+  }, async (runtimeUrl) => {
+    const metrics = createMonitorMetrics();
+    const handler = new ExecutionHandler({ reconnectBaseMs: 10 }, { metrics, docPath: 'notebook.md' });
+    const chunks = [];
+    const reconnects = [];
+
+    const result = await handler.execute(runtimeUrl, 'run()', {
+      execId: 'exec-5',
+      callbacks: {
+        onStdout: chunk => chunks.push(chunk),
+        onReconnect: info => reconnects.push(info),
+      },
+    });
+
+    assert.deepEqual(chunks, ['a\n', 'b\n', 'c\n']);
+    assert.equal(result.result, 7);
+    assert.equal(reconnects.length, 1);
+    assert.equal(reconnects[0].lastEventId, '2');
+    assert.equal(metrics.streamReconnects.get({ doc: 'notebook.md' }), 1);
+  });
+
+  assert.deepEqual(resumes, [{ url: '/executions/exec-5/stream?session=default', lastEventId: '2' }]);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createStatusServer } from '../src/http.js';
+
+/** Stand-in exposing the RuntimeMonitor surface the server uses */
+function fakeMonitor(docPath, { connected = true, executions = {} } = {}) {
+  return {
+    docPath,
+    isConnected: connected,
+    getStatus: () => ({ doc: docPath, connected }),
+    getExecutions: () => Object.entries(executions)
+      .filter(([, status]) => !['completed', 'cancelled'].includes(status))
+      .map(([execId, status]) => ({ execId, doc: docPath, status })),
+    getTableJobs: () => [],
+    getRecentErrors: () => [{ timestamp: '2026-01-01T00:00:00.000Z', level: 'error', doc: docPath, message: 'boom' }],
+    cancelExecution(execId) {
+      if (!(execId in executions)) return 'not-found';
+      if (executions[execId] === 'completed') return 'finished';
+      executions[execId] = 'cancelled';
+      return 'cancelled';
+    },
+    retryTableJob: () => 'not-found',
+  };
+}
+
+test('status server reports documents and executions and cancels by id', async () => {
+  const manager = {
+    monitors: new Map([
+      ['a.md', fakeMonitor('a.md', { executions: { 'exec-1': 'running', 'exec-2': 'queued', 'exec-3': 'completed' } })],
+      ['b.md', fakeMonitor('b.md', { connected: false })],
+    ]),
+    isReady: false,
+    getRecentErrors: () => [],
+  };
+  const server = await createStatusServer(manager, { log: () => {} });
+  const { port } = server.server.address();
+  const call = async (path, method = 'GET') => {
+    const res = await fetch(`http://127.0.0.1:${port}${path}`, { method });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    assert.equal((await call('/health')).body.status, 'ok');
+    assert.deepEqual(await call('/ready'), { status: 503, body: { ready: false, documents: 2, pending: ['b.md'] } });
+    assert.equal((await call('/ready?doc=a.md')).status, 200);
+    assert.deepEqual((await call('/documents')).body.map(doc => doc.connected), [true, false]);
+    assert.deepEqual((await call('/executions?status=queued')).body, [{ execId: 'exec-2', doc: 'a.md', status: 'queued' }]);
+
+    assert.deepEqual(await call('/executions/exec-1/cancel', 'POST'), {
+      status: 202,
+      body: { execId: 'exec-1', doc: 'a.md', outcome: 'cancelled' },
+    });
+    assert.deepEqual((await call('/executions')).body.map(exec => exec.execId), ['exec-2']);
+    assert.equal((await call('/executions/exec-3/cancel', 'POST')).status, 409);
+    assert.equal((await call('/executions/missing/cancel', 'POST')).status, 404);
+    assert.equal((await call('/table-jobs/job-1/retry', 'POST')).status, 404);
+    assert.equal((await call('/executions/exec-2/cancel')).status, 404);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { ExecutionJournal, JournalRecorder, hashCode, readJournal, summarizeJournal } from '../src/journal.js';
+
+test('JournalRecorder journals the transitions of executions it claimed', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-journal-'));
+
+  try {
+    const journalPath = path.join(tempDir, 'history.jsonl');
+    const recorder = new JournalRecorder(new ExecutionJournal(journalPath), { clientId: 7, doc: 'report.md' });
+    const base = { cellId: 'c1', code: 'print(1)', language: 'python', runtimeUrl: 'http://rt', requestedAt: 1000 };
+
+    recorder.observe('exec-0', { ...base, status: 'claimed', claimedBy: 8 });
+    recorder.observe('exec-1', { ...base, status: 'requested', claimedBy: null });
+    recorder.observe('exec-1', { ...base, status: 'claimed', claimedBy: 7, claimedAt: 1100 });
+    recorder.observe('exec-1', { ...base, status: 'ready', claimedBy: 7, claimedAt: 1100 });
+    const running = { ...base, status: 'running', claimedBy: 7, claimedAt: 1100, startedAt: 1500 };
+    recorder.observe('exec-1', running);
+    recorder.observe('exec-1', { ...running, stdinRequest: { prompt: 'Name: ', requestedAt: 2000 } });
+    recorder.observe('exec-1', { ...running, stdinRequest: { prompt: 'Name: ', requestedAt: 2000 }, stdinResponse: { text: 'x' } });
+    const done = { ...running, status: 'completed', completedAt: 4000, result: 42 };
+    recorder.observe('exec-1', done);
+    recorder.observe('exec-1', { ...done, displayData: [] });
+
+    const events = await readJournal(journalPath);
+    assert.deepEqual(events.map(event => event.event), ['requested', 'claimed', 'ready', 'running', 'stdin', 'completed']);
+    assert.equal(events[0].code, 'print(1)');
+    assert.equal(events[0].ts, new Date(1000).toISOString());
+    assert.equal(events[1].codeHash, hashCode('print(1)'));
+    assert.deepEqual(events[1].durations, { waitMs: 100 });
+    assert.deepEqual(events[3].durations, { queuedMs: 500 });
+    assert.deepEqual(events[5].durations, { runMs: 2500, totalMs: 3000 });
+    assert.equal(events[5].result, 42);
+
+    const [summary] = summarizeJournal(events);
+    assert.equal(summary.status, 'completed');
+    assert.equal(summary.code, 'print(1)');
+    assert.equal(summary.totalMs, 3000);
+
+    await fs.appendFile(journalPath, '{"truncated\n');
+    assert.equal((await readJournal(journalPath, { doc: 'report.md', until: 1200 })).length, 2);
+    assert.equal((await readJournal(journalPath, { cellId: 'other' })).length, 0);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
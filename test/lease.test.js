@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as Y from 'yjs';
+
+import { CoordinationProtocol } from '../src/coordination.js';
+import { canTakeOver, createLease, isLeaseExpired } from '../src/lease.js';
+
+test('canTakeOver requires an expired lease and an absent owner', () => {
+  const now = 10_000;
+  const expired = { claimedBy: 2, ...createLease(1000, now - 2000) };
+  const fresh = { claimedBy: 2, ...createLease(1000, now) };
+
+  assert.ok(isLeaseExpired(expired, now));
+  assert.equal(isLeaseExpired(fresh, now), false);
+
+  assert.ok(canTakeOver(expired, { clientId: 3, liveMonitors: new Set([3]), now }));
+  assert.ok(canTakeOver(expired, { clientId: 3, liveMonitors: null, now }));
+  assert.equal(canTakeOver(expired, { clientId: 3, liveMonitors: new Set([2, 3]), now }), false);
+  assert.equal(canTakeOver(fresh, { clientId: 3, liveMonitors: new Set([3]), now }), false);
+  assert.equal(canTakeOver(expired, { clientId: 2, liveMonitors: null, now }), false);
+
+  // Claims made before leases existed fall back to Awareness only
+  assert.ok(canTakeOver({ claimedBy: 2 }, { clientId: 3, liveMonitors: new Set([3]), now }));
+  assert.equal(canTakeOver({ claimedBy: 2 }, { clientId: 3, liveMonitors: null, now }), false);
+});
+
+test('renewLeases extends claims through a per-monitor lease entry', () => {
+  const ydoc = new Y.Doc();
+  const monitor = new CoordinationProtocol(ydoc, 5, { leaseMs: 1000 });
+  const execId = monitor.requestExecution({ code: '1', language: 'python', runtimeUrl: 'http://rt' });
+
+  assert.ok(monitor.claimExecution(execId));
+  const claimed = monitor.getExecution(execId);
+  assert.ok(claimed.leaseExpiresAt > Date.now());
+
+  ydoc.getMap('executions').set(execId, { ...claimed, leaseExpiresAt: 0 });
+  monitor.monitorLeases.set('9', createLease(1000, Date.now() - 5000));
+
+  let executionWrites = 0;
+  ydoc.getMap('executions').observe(() => executionWrites++);
+  assert.equal(monitor.renewLeases(), 1);
+  assert.equal(executionWrites, 0);
+  assert.equal(monitor.getExecution(execId).leaseExpiresAt, 0);
+  assert.ok(monitor.withCurrentLease(monitor.getExecution(execId)).leaseExpiresAt > Date.now());
+  // Long-lapsed leases of other monitors are dropped
+  assert.deepEqual([...monitor.monitorLeases.keys()], ['5']);
+
+  monitor.setCompleted(execId);
+  assert.equal(monitor.renewLeases(), 0);
+  assert.equal(monitor.monitorLeases.size, 0);
+});
+
+test('concurrent claims converge on a single owner', () => {
+  const docA = new Y.Doc();
+  const docB = new Y.Doc();
+  const execId = new CoordinationProtocol(docA, docA.clientID).requestExecution({
+    code: '1',
+    language: 'python',
+    runtimeUrl: 'http://rt',
+  });
+  Y.applyUpdate(docB, Y.encodeStateAsUpdate(docA));
+
+  const monitorA = new CoordinationProtocol(docA, docA.clientID);
+  const monitorB = new CoordinationProtocol(docB, docB.clientID);
+  assert.ok(monitorA.claimExecution(execId));
+  assert.ok(monitorB.claimExecution(execId));
+
+  Y.applyUpdate(docA, Y.encodeStateAsUpdate(docB));
+  Y.applyUpdate(docB, Y.encodeStateAsUpdate(docA));
+
+  const ownerA = monitorA.getExecution(execId).claimedBy;
+  const ownerB = monitorB.getExecution(execId).claimedBy;
+  assert.equal(ownerA, ownerB);
+  assert.ok([docA.clientID, docB.clientID].includes(ownerA));
+});
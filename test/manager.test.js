@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MonitorManager } from '../src/manager.js';
+
+/** Stand-in for RuntimeMonitor that records connect/disconnect */
+function stubMonitor(syncUrl, docPath, options) {
+  return {
+    syncUrl,
+    docPath,
+    options,
+    connected: false,
+    disconnected: false,
+    get isConnected() {
+      return this.connected && !this.disconnected;
+    },
+    async connect() {
+      this.connected = true;
+    },
+    disconnect() {
+      this.disconnected = true;
+    },
+    getStatus() {
+      return { doc: docPath, connected: this.isConnected };
+    },
+    getRecentErrors: () => [],
+  };
+}
+
+test('MonitorManager attaches and detaches monitors as discovery changes', async () => {
+  let rooms = ['a.md', 'b.md'];
+  const created = [];
+  const manager = new MonitorManager('ws://sync', {
+    discover: async () => rooms,
+    discoverIntervalMs: 0,
+    log: () => {},
+    monitorOptions: { projectRoot: '/project' },
+    createMonitor: (...args) => {
+      const monitor = stubMonitor(...args);
+      created.push(monitor);
+      return monitor;
+    },
+  });
+
+  assert.equal(manager.isReady, false);
+  await manager.start();
+  assert.deepEqual(manager.documents, ['a.md', 'b.md']);
+  assert.equal(created[0].syncUrl, 'ws://sync');
+  assert.equal(created[0].options.projectRoot, '/project');
+  assert.equal(manager.isReady, true);
+
+  rooms = ['b.md', 'c.md'];
+  await manager.refresh();
+  assert.deepEqual(manager.documents, ['b.md', 'c.md']);
+  assert.equal(created.length, 3);
+  assert.equal(created[0].disconnected, true);
+  assert.equal(created[1].disconnected, false);
+  assert.deepEqual(manager.getStatus().map(status => status.doc), ['b.md', 'c.md']);
+
+  manager.stop();
+  assert.deepEqual(manager.documents, []);
+  assert.ok(created.every(monitor => monitor.disconnected));
+});
+
+test('MonitorManager keeps its documents when discovery fails', async () => {
+  let fail = false;
+  const logs = [];
+  const manager = new MonitorManager('ws://sync', {
+    discover: async () => {
+      if (fail) throw new Error('rooms endpoint down');
+      return ['a.md'];
+    },
+    discoverIntervalMs: 0,
+    log: entry => logs.push(JSON.parse(entry)),
+    createMonitor: stubMonitor,
+  });
+
+  await manager.start();
+  fail = true;
+  await manager.refresh();
+
+  assert.deepEqual(manager.documents, ['a.md']);
+  assert.equal(manager.getRecentErrors().at(-1).error, 'rooms endpoint down');
+  manager.stop();
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MetricsRegistry, createMonitorMetrics } from '../src/metrics.js';
+
+test('MetricsRegistry renders counters and cumulative histogram buckets', () => {
+  const registry = new MetricsRegistry();
+  const runs = registry.counter('runs_total', 'Runs', ['status']);
+  const latency = registry.histogram('latency_seconds', 'Latency', ['lang'], [0.1, 1]);
+  registry.counter('drops_total', 'Drops');
+
+  runs.inc({ status: 'completed' });
+  runs.inc({ status: 'completed' });
+  runs.inc({ status: 'say "hi"\n' });
+  latency.observe({ lang: 'python' }, 0.05);
+  latency.observe({ lang: 'python' }, 0.5);
+  latency.observe({ lang: 'python' }, 5);
+
+  assert.equal(registry.render(), [
+    '# HELP runs_total Runs',
+    '# TYPE runs_total counter',
+    'runs_total{status="completed"} 2',
+    'runs_total{status="say \\"hi\\"\\n"} 1',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{lang="python",le="0.1"} 1',
+    'latency_seconds_bucket{lang="python",le="1"} 2',
+    'latency_seconds_bucket{lang="python",le="+Inf"} 3',
+    'latency_seconds_sum{lang="python"} 5.55',
+    'latency_seconds_count{lang="python"} 3',
+    '# HELP drops_total Drops',
+    '# TYPE drops_total counter',
+    'drops_total 0',
+    '',
+  ].join('\n'));
+
+  assert.throws(() => registry.counter('runs_total', 'Again'), /already registered/);
+  assert.ok(createMonitorMetrics().registry.render().includes('# TYPE mrmd_monitor_output_flush_bytes histogram'));
+});
+
+test('Gauge renders its latest value per label set', () => {
+  const registry = new MetricsRegistry();
+  const queued = registry.gauge('queued', 'Queued', ['doc']);
+  registry.gauge('idle', 'Idle');
+
+  queued.set({ doc: 'a.md' }, 3);
+  queued.set({ doc: 'a.md' }, 1);
+
+  assert.equal(registry.render(), [
+    '# HELP queued Queued',
+    '# TYPE queued gauge',
+    'queued{doc="a.md"} 1',
+    '# HELP idle Idle',
+    '# TYPE idle gauge',
+    'idle 0',
+    '',
+  ].join('\n'));
+});
+
+test('createMonitorMetrics keeps a series per document', () => {
+  const metrics = createMonitorMetrics();
+  for (const name of ['executions', 'tableJobs', 'streamReconnects', 'syncDisconnects', 'queuedExecutions',
+    'claimToStart', 'executionDuration', 'outputFlushBytes', 'outputFlushInterval', 'materializationDuration']) {
+    assert.equal(metrics[name].labelNames[0], 'doc', name);
+  }
+
+  metrics.executions.inc({ doc: 'a.md', status: 'completed', language: 'python' });
+  metrics.executions.inc({ doc: 'b.md', status: 'completed', language: 'python' });
+  metrics.executions.inc({ doc: 'b.md', status: 'completed', language: 'python' });
+  metrics.outputFlushBytes.observe({ doc: 'a.md' }, 100);
+
+  const rendered = metrics.registry.render();
+  assert.match(rendered, /^mrmd_monitor_executions_total\{doc="a.md",status="completed",language="python"\} 1$/m);
+  assert.match(rendered, /^mrmd_monitor_executions_total\{doc="b.md",status="completed",language="python"\} 2$/m);
+  assert.match(rendered, /^mrmd_monitor_output_flush_bytes_count\{doc="a.md"\} 1$/m);
+  assert.doesNotMatch(rendered, /^mrmd_monitor_output_flush_bytes_count\{doc="b.md"\}/m);
+});
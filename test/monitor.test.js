@@ -0,0 +1,486 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { RuntimeMonitor } from '../src/monitor.js';
+import { CoordinationProtocol } from '../src/coordination.js';
+import { createMonitorMetrics } from '../src/metrics.js';
+
+/**
+ * Stand-in for ExecutionHandler; `execute` hands each run to `onExecute`
+ * with its callbacks and a promise that settles when the test says so
+ */
+function fakeExecutor({ onExecute = () => {}, interrupt = async () => ({ interrupted: true }) } = {}) {
+  const executor = {
+    runs: new Map(),
+    calls: [],
+    execute(runtimeUrl, code, { execId, session, callbacks }) {
+      let settle;
+      const done = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+      });
+      const run = { runtimeUrl, code, execId, session, callbacks, ...settle };
+      executor.runs.set(execId, run);
+      onExecute(run);
+      return done;
+    },
+    async interrupt(runtimeUrl, options) {
+      executor.calls.push(['interrupt', runtimeUrl, options.session]);
+      return interrupt(runtimeUrl, options);
+    },
+    async resetSession(runtimeUrl, session) {
+      executor.calls.push(['resetSession', runtimeUrl, session]);
+      return {};
+    },
+    cancel(execId) {
+      executor.calls.push(['cancel', execId]);
+      executor.runs.get(execId)?.resolve(null);
+    },
+    cancelAll() {},
+    isActive: execId => executor.runs.has(execId),
+    get activeCount() {
+      return executor.runs.size;
+    },
+  };
+  return executor;
+}
+
+/** Monitor on a local Y.Doc, as after syncing with the server */
+function startMonitor(executor, options = {}) {
+  const monitor = new RuntimeMonitor('ws://unused', 'notebook.md', {
+    log: () => {},
+    enableTableJobs: false,
+    recoveryDelayMs: 60000,
+    outputFlushMs: 0,
+    ...options,
+  });
+  monitor.executor = executor;
+  monitor._startSession();
+  return monitor;
+}
+
+/** Request an execution and create its output block, as the browser does */
+function requestFromBrowser(monitor, code = 'train()') {
+  const browser = new CoordinationProtocol(monitor.ydoc, 1);
+  const ytext = monitor.ydoc.getText('content');
+  const execId = browser.requestExecution({ code, language: 'python', runtimeUrl: 'http://rt' });
+  ytext.insert(ytext.length, `\`\`\`python\n${code}\n\`\`\`\n\`\`\`output:${execId}\n\`\`\`\n`);
+  browser.setOutputBlockReady(execId, monitor.writer.createOutputPosition(execId));
+  return { browser, execId };
+}
+
+function readIfExists(filePath) {
+  try {
+    return readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('a failed stream writes held-back output once and nothing after releasing the block', async () => {
+  const executor = fakeExecutor({
+    onExecute: (run) => {
+      run.callbacks.onStdout('partial\n');
+      run.reject(new Error('stream broke'));
+    },
+  });
+  const monitor = startMonitor(executor, { outputFlushMs: 40 });
+
+  try {
+    const { execId } = requestFromBrowser(monitor);
+    await waitFor(() => monitor.coordination.getExecution(execId)?.status === 'error' && !monitor._runs.has(execId));
+    assert.equal(monitor.writer.getOutputContent(execId), 'partial\n');
+    assert.equal(monitor.coordination.getExecution(execId).error.type, 'MonitorError');
+
+    // The user edits the block; no late throttled flush may overwrite it
+    const ytext = monitor.ydoc.getText('content');
+    const start = ytext.toString().indexOf('partial');
+    ytext.delete(start, 'partial'.length);
+    ytext.insert(start, 'edited');
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.equal(monitor.writer.getOutputContent(execId), 'edited\n');
+  } finally {
+    monitor.disconnect();
+  }
+});
+
+test('cancel interrupts the runtime and records the partial output', async () => {
+  const executor = fakeExecutor({
+    onExecute: run => run.callbacks.onStdout('epoch 1\n'),
+    interrupt: async () => {
+      const run = [...executor.runs.values()][0];
+      run.callbacks.onError({ type: 'KeyboardInterrupt', message: 'interrupted' });
+      run.resolve(null);
+      return { interrupted: true };
+    },
+  });
+  const monitor = startMonitor(executor, { cancelGraceMs: 1000 });
+
+  try {
+    const { browser, execId } = requestFromBrowser(monitor);
+    await waitFor(() => executor.runs.has(execId));
+    browser.cancelExecution(execId);
+    await waitFor(() => monitor.coordination.getExecution(execId).cancellation);
+
+    const exec = monitor.coordination.getExecution(execId);
+    assert.equal(exec.status, 'cancelled');
+    assert.deepEqual(exec.cancellation, { interrupted: true, restarted: false });
+    assert.equal(exec.partialOutput, 'epoch 1');
+    assert.equal(exec.error, null);
+    assert.deepEqual(executor.calls, [['interrupt', 'http://rt', 'default']]);
+  } finally {
+    monitor.disconnect();
+  }
+});
+
+test('cancel restarts the session when the runtime ignores the interrupt', async () => {
+  const executor = fakeExecutor({ onExecute: run => run.callbacks.onStdout('still going\n') });
+  const monitor = startMonitor(executor, { cancelGraceMs: 30 });
+
+  try {
+    const { browser, execId } = requestFromBrowser(monitor);
+    await waitFor(() => executor.runs.has(execId));
+    browser.cancelExecution(execId);
+    await waitFor(() => monitor.coordination.getExecution(execId).cancellation);
+
+    const exec = monitor.coordination.getExecution(execId);
+    assert.deepEqual(exec.cancellation, { interrupted: false, restarted: true });
+    assert.equal(exec.partialOutput, 'still going');
+    assert.deepEqual(executor.calls, [
+      ['interrupt', 'http://rt', 'default'],
+      ['resetSession', 'http://rt', 'default'],
+      ['cancel', execId],
+    ]);
+    assert.equal(monitor.writer.getOutputContent(execId), 'still going\n');
+  } finally {
+    monitor.disconnect();
+  }
+});
+
+test('a monitor disconnected during the cancel grace period stops quietly', async () => {
+  const executor = fakeExecutor();
+  const logs = [];
+  const monitor = startMonitor(executor, { cancelGraceMs: 20, log: entry => logs.push(JSON.parse(entry)) });
+
+  const { browser, execId } = requestFromBrowser(monitor);
+  await waitFor(() => executor.runs.has(execId));
+  browser.cancelExecution(execId);
+  monitor.disconnect();
+
+  // An unhandled rejection here would fail the test
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(monitor.coordination, null);
+  assert.deepEqual(logs.filter(entry => entry.level === 'error'), []);
+  assert.ok(executor.calls.some(([call]) => call === 'resetSession'));
+});
+
+test('the total time limit interrupts the runtime and records a Timeout error', async () => {
+  const executor = fakeExecutor({
+    onExecute: run => run.callbacks.onStdout('working\n'),
+    interrupt: async () => {
+      [...executor.runs.values()][0].resolve(null);
+      return { interrupted: true };
+    },
+  });
+  const monitor = startMonitor(executor, { timeoutMs: 30 });
+
+  try {
+    const { execId } = requestFromBrowser(monitor);
+    await waitFor(() => monitor.coordination.getExecution(execId).status === 'error');
+
+    const exec = monitor.coordination.getExecution(execId);
+    assert.equal(exec.error.type, 'Timeout');
+    assert.equal(exec.error.timeoutKind, 'total');
+    assert.equal(exec.error.timeoutMs, 30);
+    assert.equal(exec.error.interrupted, true);
+    assert.equal(exec.error.restarted, false);
+    assert.deepEqual(executor.calls, [['interrupt', 'http://rt', 'default']]);
+    assert.equal(monitor.writer.getOutputContent(execId), 'working\n');
+  } finally {
+    monitor.disconnect();
+  }
+});
+
+test('the per-runtime idle limit fires after the last runtime event', async () => {
+  const executor = fakeExecutor({
+    onExecute: (run) => {
+      const tick = setInterval(() => run.callbacks.onEvent(), 10);
+      setTimeout(() => clearInterval(tick), 60);
+    },
+  });
+  const monitor = startMonitor(executor, {
+    cancelGraceMs: 10,
+    idleTimeoutMs: 1000,
+    runtimeTimeouts: { 'http://rt': { idleTimeoutMs: 40 } },
+  });
+
+  try {
+    const { execId } = requestFromBrowser(monitor);
+    const startedAt = Date.now();
+    await waitFor(() => monitor.coordination.getExecution(execId).status === 'error');
+
+    const exec = monitor.coordination.getExecution(execId);
+    assert.ok(Date.now() - startedAt >= 90, 'events kept the idle timer from firing');
+    assert.equal(exec.error.type, 'Timeout');
+    assert.equal(exec.error.timeoutKind, 'idle');
+    assert.equal(exec.error.timeoutMs, 40);
+    assert.equal(exec.error.restarted, true);
+    assert.deepEqual(executor.calls.map(([call]) => call), ['interrupt', 'resetSession', 'cancel']);
+  } finally {
+    monitor.disconnect();
+  }
+});
+
+test('a monitor disconnected while stopping a timed-out execution stops quietly', async () => {
+  const executor = fakeExecutor();
+  const logs = [];
+  const monitor = startMonitor(executor, { timeoutMs: 10, cancelGraceMs: 30, log: entry => logs.push(JSON.parse(entry)) });
+
+  requestFromBrowser(monitor);
+  await waitFor(() => executor.calls.length > 0);
+  monitor.disconnect();
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepEqual(logs.filter(entry => entry.level === 'error'), []);
+});
+
+test('runCells writes output blocks, runs cells in order and stops at the first error', async () => {
+  const executor = fakeExecutor({
+    onExecute: (run) => {
+      run.callbacks.onStdout(`ran ${run.code}\n`);
+      if (run.code === 'fail()') {
+        run.callbacks.onError({ type: 'NameError', message: 'fail is not defined' });
+      } else {
+        run.callbacks.onResult({ success: true, result: run.code });
+      }
+      run.resolve(null);
+    },
+  });
+  const monitor = startMonitor(executor, { claimRequests: false });
+  const ytext = monitor.ydoc.getText('content');
+  ytext.insert(0, [
+    '# Report',
+    '```python',
+    'a = 1',
+    '```',
+    '```output:exec-old',
+    'stale',
+    '```',
+    '```js',
+    'skipped()',
+    '```',
+    '```python',
+    'fail()',
+    '```',
+    '```python',
+    'never()',
+    '```',
+    '',
+  ].join('\n'));
+
+  const firstSeen = new Map();
+  monitor.ydoc.getMap('executions').observe((event) => {
+    event.changes.keys.forEach((_change, execId) => {
+      if (!firstSeen.has(execId)) firstSeen.set(execId, monitor.ydoc.getMap('executions').get(execId));
+    });
+  });
+
+  // A browser request in the same document is left alone
+  const browser = new CoordinationProtocol(monitor.ydoc, 1);
+  const browserExecId = browser.requestExecution({ code: 'x', language: 'python', runtimeUrl: 'http://py' });
+
+  try {
+    const results = await monitor.runCells({ runtimes: { python: 'http://py' }, session: 'batch' });
+
+    assert.deepEqual(results.map(({ index, status }) => [index, status]), [[0, 'completed'], [2, 'error']]);
+    assert.equal(results[1].error.type, 'NameError');
+    assert.deepEqual([...executor.runs.values()].map(run => [run.code, run.session]), [['a = 1', 'batch'], ['fail()', 'batch']]);
+
+    // Each execution appeared already claimed with its output block ready
+    for (const { execId } of results) {
+      const first = firstSeen.get(execId);
+      assert.ok(!['requested', 'claimed'].includes(first.status), first.status);
+      assert.equal(first.outputBlockReady, true);
+      assert.equal(first.claimedBy, monitor.ydoc.clientID);
+    }
+
+    const [first, second] = results.map(result => result.execId);
+    assert.equal(ytext.toString(), [
+      '# Report',
+      '```python',
+      'a = 1',
+      '```',
+      `\`\`\`output:${first}`,
+      'ran a = 1',
+      '```',
+      '```js',
+      'skipped()',
+      '```',
+      '```python',
+      'fail()',
+      '```',
+      `\`\`\`output:${second}`,
+      'ran fail()',
+      '```',
+      '```python',
+      'never()',
+      '```',
+      '',
+    ].join('\n'));
+
+    assert.equal(browser.getExecution(browserExecId).status, 'requested');
+  } finally {
+    monitor.disconnect();
+  }
+});
+
+test('runCells replaces only the marker of an unclosed output block and keeps later cells', async () => {
+  const executor = fakeExecutor({
+    onExecute: (run) => {
+      run.callbacks.onStdout(`ran ${run.code}\n`);
+      run.callbacks.onResult({ success: true });
+      run.resolve(null);
+    },
+  });
+  const monitor = startMonitor(executor, { claimRequests: false });
+  const ytext = monitor.ydoc.getText('content');
+  ytext.insert(0, [
+    '```python',
+    'a = 1',
+    '```',
+    '```output:exec-old',
+    'half synced',
+    '```python',
+    'b = 2',
+    '```',
+    '',
+  ].join('\n'));
+
+  try {
+    const results = await monitor.runCells({ runtimes: { python: 'http://py' } });
+
+    assert.deepEqual(results.map(({ index, status }) => [index, status]), [[0, 'completed'], [1, 'completed']]);
+    const [first, second] = results.map(result => result.execId);
+    assert.equal(ytext.toString(), [
+      '```python',
+      'a = 1',
+      '```',
+      `\`\`\`output:${first}`,
+      'ran a = 1',
+      '```',
+      'half synced',
+      '```python',
+      'b = 2',
+      '```',
+      `\`\`\`output:${second}`,
+      'ran b = 2',
+      '```',
+      '',
+    ].join('\n'));
+  } finally {
+    monitor.disconnect();
+  }
+});
+
+test('output over the scrollback limit spills to the raw log and links it from the block', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-rawlog-'));
+  const lines = Array.from({ length: 12 }, (_, i) => `line ${i + 1}\n`);
+  const executor = fakeExecutor({
+    onExecute: (run) => {
+      for (const line of lines) run.callbacks.onStdout(line);
+      run.callbacks.onResult({ success: true });
+      run.resolve(null);
+    },
+  });
+  const monitor = startMonitor(executor, { outputLogDir: tempDir, scrollbackLines: 5, scrollbackHeadLines: 1 });
+
+  try {
+    const { execId } = requestFromBrowser(monitor);
+    await waitFor(() => monitor.coordination.getExecution(execId).status === 'completed' && !monitor._runs.has(execId));
+
+    const logPath = path.join(tempDir, `${execId}.log`);
+    assert.equal(monitor.writer.getOutputContent(execId), [
+      'line 1',
+      `… 8 lines truncated (full log: ${logPath}) …`,
+      'line 10',
+      'line 11',
+      'line 12',
+      '',
+    ].join('\n'));
+
+    let raw = '';
+    await waitFor(() => (raw = readIfExists(logPath)) === lines.join(''));
+    assert.equal(raw, lines.join(''));
+  } finally {
+    monitor.disconnect();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('a monitor with metrics records executions, durations, queue depth and flushes', async () => {
+  const metrics = createMonitorMetrics();
+  const executor = fakeExecutor({ onExecute: run => run.callbacks.onStdout('hi\n') });
+  const monitor = startMonitor(executor, { metrics });
+
+  try {
+    const first = requestFromBrowser(monitor, 'first()');
+    const second = requestFromBrowser(monitor, 'second()');
+    await waitFor(() => executor.runs.has(first.execId));
+    assert.equal(metrics.queuedExecutions.get({ doc: 'notebook.md' }), 1);
+
+    const finish = (execId) => {
+      const run = executor.runs.get(execId);
+      run.callbacks.onResult({ success: true });
+      run.resolve(null);
+    };
+    finish(first.execId);
+    await waitFor(() => executor.runs.has(second.execId));
+    executor.runs.get(second.execId).callbacks.onError({ type: 'ValueError', message: 'bad' });
+    executor.runs.get(second.execId).resolve(null);
+    await waitFor(() => monitor.coordination.getExecution(second.execId).status === 'error');
+
+    const rendered = metrics.registry.render();
+    assert.match(rendered, /^mrmd_monitor_executions_total\{doc="notebook.md",status="completed",language="python"\} 1$/m);
+    assert.match(rendered, /^mrmd_monitor_executions_total\{doc="notebook.md",status="error",language="python"\} 1$/m);
+    assert.match(rendered, /^mrmd_monitor_execution_duration_seconds_count\{doc="notebook.md",status="completed",language="python"\} 1$/m);
+    assert.match(rendered, /^mrmd_monitor_claim_to_start_seconds_count\{doc="notebook.md",language="python"\} 2$/m);
+    assert.match(rendered, /^mrmd_monitor_queued_executions\{doc="notebook.md"\} 0$/m);
+    assert.match(rendered, /^mrmd_monitor_output_flush_bytes_count\{doc="notebook.md"\} [1-9]\d*$/m);
+  } finally {
+    monitor.disconnect();
+  }
+});
+
+test('a stream that drops after opening is recorded once as a ConnectionError', async () => {
+  const metrics = createMonitorMetrics();
+  const executor = fakeExecutor({
+    onExecute: (run) => {
+      run.callbacks.onError({ type: 'ConnectionError', message: 'socket hang up' });
+      run.reject(new Error('socket hang up'));
+    },
+  });
+  const monitor = startMonitor(executor, { metrics });
+
+  try {
+    const { execId } = requestFromBrowser(monitor);
+    await waitFor(() => monitor.coordination.getExecution(execId)?.status === 'error' && !monitor._runs.has(execId));
+    assert.equal(monitor.coordination.getExecution(execId).error.type, 'ConnectionError');
+
+    const rendered = metrics.registry.render();
+    assert.match(rendered, /^mrmd_monitor_executions_total\{doc="notebook.md",status="error",language="python"\} 1$/m);
+    assert.match(rendered, /^mrmd_monitor_execution_duration_seconds_count\{doc="notebook.md",status="error",language="python"\} 1$/m);
+  } finally {
+    monitor.disconnect();
+  }
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import * as Y from 'yjs';
+
+import { pruneMap, selectPrunableEntries } from '../src/retention.js';
+
+const HOUR = 60 * 60 * 1000;
+
+test('selectPrunableEntries keeps the newest finished entries per cell and drops old ones', () => {
+  const now = 10 * HOUR;
+  const entries = [
+    ['a1', { cellId: 'a', status: 'completed', completedAt: now - 3000 }],
+    ['a2', { cellId: 'a', status: 'error', completedAt: now - 2000 }],
+    ['a3', { cellId: 'a', status: 'completed', completedAt: now - 1000 }],
+    ['a4', { cellId: 'a', status: 'running', requestedAt: now - 5 * HOUR }],
+    ['b1', { cellId: 'b', status: 'completed', completedAt: now - 3 * HOUR }],
+    ['h1', { language: 'python', code: 'x', status: 'completed', completedAt: now - 500 }],
+    ['h2', { language: 'python', code: 'x', status: 'cancelled', cancelledAt: now - 100 }],
+  ];
+
+  assert.deepEqual(selectPrunableEntries(entries, 'executions', { keepPerCell: 1 }, now).sort(), ['a1', 'a2', 'h1']);
+  assert.deepEqual(selectPrunableEntries(entries, 'executions', { maxAgeMs: 2 * HOUR }, now), ['b1']);
+  assert.deepEqual(
+    selectPrunableEntries([['t1', { tableId: 't', status: 'completed', completedAt: 1 }], ['t2', { tableId: 't', status: 'writing' }]],
+      'tableJobs', { keepPerCell: 0 }, now),
+    ['t1'],
+  );
+});
+
+test('pruneMap archives entries to JSONL before deleting them', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-retention-'));
+
+  try {
+    const ydoc = new Y.Doc();
+    const executions = ydoc.getMap('executions');
+    executions.set('old', { cellId: 'a', status: 'completed', completedAt: 1, result: 1 });
+    executions.set('busy', { cellId: 'a', status: 'completed', completedAt: 2 });
+    executions.set('new', { cellId: 'a', status: 'completed', completedAt: 3 });
+
+    const archivePath = path.join(tempDir, 'history', 'executions.jsonl');
+    const result = await pruneMap(executions, 'executions', { keepPerCell: 1, archivePath }, {
+      exclude: new Set(['busy']),
+      doc: 'report.md',
+    });
+
+    assert.deepEqual(result, { pruned: ['old'], archived: 1 });
+    assert.deepEqual([...executions.keys()].sort(), ['busy', 'new']);
+
+    const [line] = (await fs.readFile(archivePath, 'utf8')).trim().split('\n');
+    const record = JSON.parse(line);
+    assert.equal(record.doc, 'report.md');
+    assert.equal(record.map, 'executions');
+    assert.equal(record.id, 'old');
+    assert.equal(record.entry.result, 1);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ExecutionScheduler } from '../src/scheduler.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('ExecutionScheduler runs one execution per session in request order', async () => {
+  const started = [];
+  const gates = new Map();
+  const changes = [];
+  const scheduler = new ExecutionScheduler({
+    onQueueChange: (key, waiting) => changes.push([key, waiting.map(item => item.id)]),
+  });
+
+  const enqueue = (id, requestedAt, session = 'default') => {
+    gates.set(id, deferred());
+    return scheduler.enqueue({
+      id,
+      runtimeUrl: 'http://rt',
+      session,
+      requestedAt,
+      run: () => {
+        started.push(id);
+        return gates.get(id).promise;
+      },
+    });
+  };
+
+  assert.equal(enqueue('a', 1), 0);
+  assert.equal(enqueue('c', 3), 1);
+  // Requested earlier than c, so it jumps ahead even though it became ready later
+  assert.equal(enqueue('b', 2), 1);
+  assert.equal(scheduler.getPosition('c'), 2);
+  // Other sessions have their own queue
+  assert.equal(enqueue('x', 4, 'other'), 0);
+
+  await tick();
+  assert.deepEqual(started, ['a', 'x']);
+  assert.deepEqual(changes.at(-1), ['http://rt#other', []]);
+
+  gates.get('a').resolve();
+  await tick();
+  assert.deepEqual(started, ['a', 'x', 'b']);
+  assert.equal(scheduler.getPosition('c'), 1);
+
+  assert.ok(scheduler.remove('c'));
+  gates.get('b').resolve();
+  await tick();
+  assert.deepEqual(started, ['a', 'x', 'b']);
+  assert.equal(scheduler.queuedCount, 0);
+});
+
+test('ExecutionScheduler honours per-runtime concurrency overrides', async () => {
+  const started = [];
+  const scheduler = new ExecutionScheduler({ concurrencyByRuntime: { 'http://wide': 2 } });
+  const never = new Promise(() => {});
+
+  for (const id of ['a', 'b', 'c']) {
+    scheduler.enqueue({ id, runtimeUrl: 'http://wide', requestedAt: 1, run: () => { started.push(id); return never; } });
+  }
+
+  await tick();
+  assert.deepEqual(started, ['a', 'b']);
+  assert.equal(scheduler.runningCount, 2);
+  assert.deepEqual(scheduler.getQueued(), [{ id: 'c', runtimeUrl: 'http://wide', session: 'default', position: 1 }]);
+});
+
+test('ExecutionScheduler holds later requests until an earlier claimed one is ready', async () => {
+  const started = [];
+  const gates = new Map();
+  const scheduler = new ExecutionScheduler({ holdMs: 60 });
+  const item = (id, requestedAt) => {
+    gates.set(id, deferred());
+    return {
+      id,
+      runtimeUrl: 'http://rt',
+      requestedAt,
+      run: () => {
+        started.push(id);
+        return gates.get(id).promise;
+      },
+    };
+  };
+
+  // a is claimed but its output block isn't ready; b (requested later) is
+  scheduler.hold({ id: 'a', runtimeUrl: 'http://rt', requestedAt: 1 });
+  assert.equal(scheduler.enqueue(item('b', 2)), 1);
+  await tick();
+  assert.deepEqual(started, []);
+
+  scheduler.enqueue(item('a', 1));
+  await tick();
+  assert.deepEqual(started, ['a']);
+  gates.get('a').resolve();
+  await tick();
+  assert.deepEqual(started, ['a', 'b']);
+  gates.get('b').resolve();
+  await tick();
+  // Finished sessions leave no bookkeeping behind
+  assert.equal(scheduler._running.size, 0);
+  assert.equal(scheduler._waiting.size, 0);
+
+  // A hold that never becomes ready only delays later requests up to holdMs
+  scheduler.hold({ id: 'c', runtimeUrl: 'http://rt', requestedAt: 3 });
+  scheduler.enqueue(item('d', 4));
+  await tick();
+  assert.deepEqual(started, ['a', 'b']);
+  await new Promise(resolve => setTimeout(resolve, 90));
+  assert.deepEqual(started, ['a', 'b', 'd']);
+  gates.get('d').resolve();
+
+  // Removing a held execution releases the queue at once
+  scheduler.hold({ id: 'e', runtimeUrl: 'http://rt', requestedAt: 5 });
+  scheduler.enqueue(item('f', 6));
+  assert.equal(scheduler.remove('e'), false);
+  await tick();
+  assert.deepEqual(started, ['a', 'b', 'd', 'f']);
+  gates.get('f').resolve();
+  scheduler.clear();
+});
@@ -1,10 +1,14 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
 import * as Y from 'yjs';
 
 import { findLinkedTableBlocks } from '../../mrmd-table-spec/src/index.js';
 import { createLinkedTableBlockAnchor } from '../src/tables/snapshot-rewriter.js';
 import { TableJobsBridge, TABLE_JOB_STATUS } from '../src/tables/index.js';
+import { createMonitorMetrics } from '../src/metrics.js';
 
 function requestSortJob(ydoc, options) {
   const jobs = ydoc.getMap('tableJobs');
@@ -99,8 +103,11 @@ cache:
     tableId: block.spec.id,
   });
 
+  const metrics = createMonitorMetrics();
   const bridge = new TableJobsBridge({
     ydoc,
+    metrics,
+    docPath: 'notes/demo.md',
     exec: async (contract) => {
       const descending = /arrange\(desc\(Revenue\)\)/.test(contract.scriptText);
       const rows = initialRows.slice().sort((left, right) => {
@@ -139,6 +146,10 @@ cache:
   assert.ok(rewritten.includes('materializedAt:'));
   assert.ok(rewritten.indexOf('| North | 12.50 |') < rewritten.indexOf('| South | 8.25 |'));
 
+  const rendered = metrics.registry.render();
+  assert.match(rendered, /^mrmd_monitor_table_jobs_total\{doc="notes\/demo.md",job_type="applyOps",outcome="completed"\} 1$/m);
+  assert.match(rendered, /^mrmd_monitor_materialization_duration_seconds_count\{doc="notes\/demo.md",outcome="completed"\} 1$/m);
+
   bridge.destroy();
 });
 
@@ -189,3 +200,132 @@ cache:
 
   bridge.destroy();
 });
+
+test('TableJobsBridge stops a running job when it is cancelled or times out', async () => {
+  const markdown = `<!--mrmd:table
+id: slow-table
+engine: r-dplyr
+sources:
+  - name: sales
+    path: ../_assets/tables/slow-table/source.csv
+transform:
+  path: ../_assets/tables/slow-table/transform.R
+cache:
+  path: ../_assets/tables/slow-table/cache.arrow
+-->
+| Revenue |
+| ---: |
+| 1 |
+`;
+
+  const ydoc = new Y.Doc();
+  const yText = ydoc.getText('content');
+  yText.insert(0, markdown);
+
+  const block = findLinkedTableBlocks(markdown)[0];
+  const bridge = new TableJobsBridge({
+    ydoc,
+    jobTimeoutMs: 200,
+    exec: () => new Promise(() => {}),
+  });
+  const request = () => requestSortJob(ydoc, {
+    tableId: block.spec.id,
+    blockAnchor: createLinkedTableBlockAnchor(yText, {
+      from: block.headerFrom,
+      to: block.snapshotTo,
+      tableId: block.spec.id,
+    }),
+    spec: block.spec,
+    column: 'Revenue',
+  });
+
+  const timedOutId = request();
+  const timedOut = await waitForTableJobStatus(ydoc, timedOutId, TABLE_JOB_STATUS.ERROR, 3000);
+  assert.equal(timedOut.error.code, 'timeout');
+  assert.equal(timedOut.error.timeoutMs, 200);
+
+  const cancelledId = request();
+  const jobs = ydoc.getMap('tableJobs');
+  await waitForTableJobStatus(ydoc, cancelledId, TABLE_JOB_STATUS.RUNNING, 3000);
+  jobs.set(cancelledId, { ...jobs.get(cancelledId), status: TABLE_JOB_STATUS.CANCELLED });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(bridge._activeJobs.size, 0);
+  assert.equal(jobs.get(cancelledId).status, TABLE_JOB_STATUS.CANCELLED);
+
+  bridge.destroy();
+});
+
+test('TableJobsBridge keeps a stopped job active until its subprocess has exited', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-bridge-'));
+  const pidPath = path.join(tempDir, 'pid');
+  const cachePath = path.join(tempDir, 'cache.csv');
+  const contract = {
+    executable: process.execPath,
+    args: [],
+    env: {},
+    // Ignores SIGTERM and keeps writing the cache until SIGKILL
+    scriptText: [
+      "const fs = require('node:fs');",
+      "process.on('SIGTERM', () => {});",
+      "fs.writeFileSync(process.env.MRMD_CACHE_PATH, 'Region\\n');",
+      "setInterval(() => fs.appendFileSync(process.env.MRMD_CACHE_PATH, 'North\\n'), 10);",
+      `fs.writeFileSync(${JSON.stringify(pidPath)}, String(process.pid));`,
+    ].join('\n'),
+    cachePath,
+  };
+
+  const ydoc = new Y.Doc();
+  const jobs = ydoc.getMap('tableJobs');
+  const bridge = new TableJobsBridge({
+    ydoc,
+    killGraceMs: 200,
+    reuseCache: false,
+    runtime: {
+      async materializeLinkedTable(_spec, context) {
+        await context.exec(contract);
+        return { ok: true };
+      },
+    },
+  });
+  const request = (extra = {}) => {
+    const jobId = `tablejob-test-${Math.random().toString(36).slice(2, 8)}`;
+    jobs.set(jobId, { id: jobId, tableId: 'slow', jobType: 'materialize', status: TABLE_JOB_STATUS.REQUESTED, claimedBy: null, spec: { id: 'slow' }, ...extra });
+    return jobId;
+  };
+  const waitForChild = async () => {
+    for (let i = 0; i < 300; i++) {
+      const pid = Number(await fs.readFile(pidPath, 'utf8').catch(() => ''));
+      if (pid) {
+        await fs.rm(pidPath);
+        return pid;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('subprocess did not start');
+  };
+  const assertStopped = (pid) => {
+    assert.throws(() => process.kill(pid, 0), { code: 'ESRCH' });
+    assert.equal(bridge._activeJobs.size, 0);
+  };
+
+  try {
+    const timedOutId = request({ timeoutMs: 200 });
+    const timedOutPid = await waitForChild();
+    const timedOut = await waitForTableJobStatus(ydoc, timedOutId, TABLE_JOB_STATUS.ERROR, 3000);
+    assert.equal(timedOut.error.code, 'timeout');
+    assertStopped(timedOutPid);
+    await assert.rejects(fs.stat(cachePath), { code: 'ENOENT' });
+
+    const cancelledId = request();
+    const cancelledPid = await waitForChild();
+    jobs.set(cancelledId, { ...jobs.get(cancelledId), status: TABLE_JOB_STATUS.CANCELLED });
+    assert.equal(bridge.retryJob(cancelledId), 'active');
+    await new Promise(resolve => setTimeout(resolve, 400));
+    assertStopped(cancelledPid);
+    await assert.rejects(fs.stat(cachePath), { code: 'ENOENT' });
+    assert.equal(jobs.get(cancelledId).status, TABLE_JOB_STATUS.CANCELLED);
+  } finally {
+    bridge.destroy();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
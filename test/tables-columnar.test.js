@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+import * as arrow from 'apache-arrow';
+
+import { decodeLz4Block, readArrowTable, readParquetTable } from '../src/tables/columnar.js';
+
+const fixture = name => new URL(`./fixtures/tables/${name}`, import.meta.url).pathname;
+
+test('readParquetTable returns typed rows and column types', async () => {
+  const table = await readParquetTable(fixture('typed.gzip.parquet'));
+
+  assert.equal(table.rowCount, 3);
+  assert.deepEqual(table.columnNames, ['id', 'price', 'name', 'active', 'day', 'at', 'amount']);
+  assert.deepEqual(table.columnTypes.map(column => column.type), [
+    'integer', 'number', 'string', 'boolean', 'date', 'timestamp', 'decimal',
+  ]);
+  assert.equal(table.columnTypes[0].nullable, false);
+  assert.equal(table.columnTypes[6].sourceType, 'INT32<DECIMAL(9, 2)>');
+  assert.deepEqual(table.rows[0], {
+    id: 1,
+    price: 1.5,
+    name: 'alpha',
+    active: true,
+    day: '2024-01-01',
+    at: '2024-01-01T00:00:00.123Z',
+    amount: 12.34,
+  });
+  assert.deepEqual(table.rows[1], {
+    id: 2,
+    price: null,
+    name: 'beta, "quoted"',
+    active: false,
+    day: null,
+    at: null,
+    amount: -0.05,
+  });
+  // Beyond Number.MAX_SAFE_INTEGER
+  assert.equal(table.rows[2].id, '9007199254740993');
+});
+
+test('readArrowTable decodes lz4-compressed Feather with dictionary columns', async () => {
+  const table = await readArrowTable(fixture('species.lz4.feather'), { maxRows: 2 });
+
+  assert.equal(table.rowCount, 300);
+  assert.deepEqual(table.columnTypes, [
+    { name: 'id', type: 'integer', nullable: true, sourceType: 'Int64' },
+    { name: 'ratio', type: 'number', nullable: false, sourceType: 'Float64' },
+    { name: 'species', type: 'string', nullable: true, sourceType: 'Dictionary<Int8, Utf8>' },
+    { name: 'day', type: 'date', nullable: true, sourceType: 'Date32<DAY>' },
+  ]);
+  assert.deepEqual(table.rows, [
+    { id: 0, ratio: 0, species: 'setosa', day: '2024-01-01' },
+    { id: 3, ratio: 0.25, species: 'versicolor', day: '2024-01-02' },
+  ]);
+});
+
+test('readArrowTable converts nested, binary and timestamp values to JSON', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-columnar-'));
+
+  try {
+    const source = arrow.tableFromArrays({
+      at: arrow.vectorFromArray([new Date('2024-03-01T12:00:00Z'), null], new arrow.TimestampMillisecond()),
+      tags: arrow.vectorFromArray([['a', 'b'], []], new arrow.List(new arrow.Field('item', new arrow.Utf8(), true))),
+      blob: arrow.vectorFromArray([Uint8Array.of(1, 2, 3), null], new arrow.Binary()),
+    });
+    const cachePath = path.join(tempDir, 'cache.arrows');
+    await fs.writeFile(cachePath, arrow.tableToIPC(source, 'stream'));
+
+    const table = await readArrowTable(cachePath);
+
+    assert.deepEqual(table.columnTypes.map(column => column.type), ['timestamp', 'list', 'binary']);
+    assert.deepEqual(table.rows, [
+      { at: '2024-03-01T12:00:00.000Z', tags: ['a', 'b'], blob: 'AQID' },
+      { at: null, tags: [], blob: null },
+    ]);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('decodeLz4Block expands overlapping matches', () => {
+  // Literals "ab", then a match of 6 bytes at offset 2, then literal "c"
+  const block = Uint8Array.of(0x22, 0x61, 0x62, 0x02, 0x00, 0x10, 0x63);
+  const output = new Uint8Array(9);
+
+  assert.equal(decodeLz4Block(block, output), 9);
+  assert.equal(Buffer.from(output).toString(), 'abababab' + 'c');
+});
+
+test('readParquetTable reports unreadable caches with a code', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-columnar-'));
+
+  try {
+    const cachePath = path.join(tempDir, 'cache.parquet');
+    await fs.writeFile(cachePath, zlib.gzipSync('not parquet'));
+
+    await assert.rejects(readParquetTable(cachePath), { code: 'cache-read-failed' });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createDelimitedParser, inferValueType, readDelimitedTable } from '../src/tables/csv.js';
+
+async function withCache(contents, fn) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-csv-'));
+  try {
+    const cachePath = path.join(tempDir, 'cache.csv');
+    await fs.writeFile(cachePath, contents);
+    return await fn(cachePath);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+test('createDelimitedParser handles quoted newlines, escaped quotes and chunk boundaries', () => {
+  const text = '\uFEFFid,note\r\n1,"two\r\nlines"\r\n2,"say ""hi"""\r\n\r\n3,plain\r\n';
+
+  // Every split point must give the same records
+  for (let split = 0; split <= text.length; split++) {
+    const parser = createDelimitedParser();
+    const records = [...parser.push(text.slice(0, split)), ...parser.push(text.slice(split)), ...parser.end()];
+    assert.deepEqual(records, [
+      { fields: ['id', 'note'], line: 1 },
+      { fields: ['1', 'two\r\nlines'], line: 2 },
+      { fields: ['2', 'say "hi"'], line: 4 },
+      { fields: ['3', 'plain'], line: 6 },
+    ], `split at ${split}`);
+  }
+});
+
+test('inferValueType recognizes integers, floats, booleans, dates and nulls', () => {
+  assert.equal(inferValueType('42'), 'integer');
+  assert.equal(inferValueType('-0.5e3'), 'number');
+  assert.equal(inferValueType('007'), 'string');
+  assert.equal(inferValueType('TRUE'), 'boolean');
+  assert.equal(inferValueType('2024-02-29'), 'date');
+  assert.equal(inferValueType('2023-02-29'), 'string');
+  assert.equal(inferValueType('NA'), null);
+  assert.equal(inferValueType('toString'), 'string');
+});
+
+test('readDelimitedTable infers column types and converts values', async () => {
+  const contents = [
+    'id,price,active,day,label,empty',
+    '1,12.50,TRUE,2024-01-01,"North, East",',
+    '2,8,FALSE,NA,South,',
+    '9007199254740993,,true,2024-01-03,007,NA',
+  ].join('\n');
+
+  await withCache(contents, async (cachePath) => {
+    const table = await readDelimitedTable(cachePath, 'csv');
+
+    assert.equal(table.rowCount, 3);
+    assert.deepEqual(table.columnTypes, [
+      { name: 'id', type: 'integer', nullable: false },
+      { name: 'price', type: 'number', nullable: true },
+      { name: 'active', type: 'boolean', nullable: false },
+      { name: 'day', type: 'date', nullable: true },
+      { name: 'label', type: 'string', nullable: false },
+      { name: 'empty', type: 'null', nullable: true },
+    ]);
+    assert.deepEqual(table.rows, [
+      { id: 1, price: 12.5, active: true, day: '2024-01-01', label: 'North, East', empty: null },
+      { id: 2, price: 8, active: false, day: null, label: 'South', empty: null },
+      { id: '9007199254740993', price: null, active: true, day: '2024-01-03', label: '007', empty: null },
+    ]);
+    assert.deepEqual(table.diagnostics, []);
+  });
+});
+
+test('readDelimitedTable reports ragged rows, duplicate columns and unterminated quotes', async () => {
+  const contents = 'a\ta\tb\n1\t2\n3\t4\t5\t6\n7\t8\t"open\n';
+
+  await withCache(contents, async (cachePath) => {
+    const table = await readDelimitedTable(cachePath, 'tsv', { inferTypes: false });
+
+    assert.deepEqual(table.columnNames, ['a', 'a_2', 'b']);
+    assert.deepEqual(table.rows, [
+      { a: '1', a_2: '2', b: null },
+      { a: '3', a_2: '4', b: '5' },
+      { a: '7', a_2: '8', b: 'open\n' },
+    ]);
+    assert.deepEqual(table.diagnostics.map(item => [item.code, item.line]), [
+      ['duplicate-column', 1],
+      ['ragged-row', 2],
+      ['ragged-row', 3],
+      ['unterminated-quote', 4],
+    ]);
+  });
+});
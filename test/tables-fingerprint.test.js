@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { computeMaterializationFingerprint, hashSources } from '../src/tables/fingerprint.js';
+
+const contract = { executable: 'Rscript', args: [], scriptText: 'library(dplyr)', cacheFormat: 'parquet' };
+
+test('computeMaterializationFingerprint ignores snapshot metadata and follows inputs', () => {
+  const spec = { id: 'sales', sources: [{ name: 'sales', path: 'sales.csv' }], snapshot: { rowCount: 2 } };
+  const sources = [{ name: 'sales', path: 'sales.csv', exists: true, sha256: 'aaa', modifiedAt: '2026-01-01T00:00:00.000Z' }];
+  const base = computeMaterializationFingerprint({ spec, contract, sources });
+
+  assert.equal(computeMaterializationFingerprint({
+    spec: { ...spec, snapshot: { rowCount: 3, materializedAt: '2026-02-01T00:00:00.000Z' } },
+    contract,
+    sources: [{ ...sources[0], modifiedAt: '2026-03-01T00:00:00.000Z' }],
+  }), base);
+
+  assert.notEqual(computeMaterializationFingerprint({ spec, contract, sources: [{ ...sources[0], sha256: 'bbb' }] }), base);
+  assert.notEqual(computeMaterializationFingerprint({ spec, contract: { ...contract, scriptText: 'arrange(x)' }, sources }), base);
+  assert.notEqual(computeMaterializationFingerprint({ spec: { ...spec, label: 'Sales' }, contract, sources }), base);
+});
+
+test('hashSources reuses hashes of unchanged files and rehashes changed ones', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-fingerprint-'));
+
+  try {
+    const filePath = path.join(tempDir, 'sales.csv');
+    await fs.writeFile(filePath, 'Region\nNorth\n');
+    const stat = await fs.stat(filePath);
+    const inspected = [{ name: 'sales', path: 'sales.csv', resolvedPath: filePath, exists: true, size: stat.size, modifiedAt: stat.mtime.toISOString() }];
+
+    const [first] = await hashSources(inspected);
+    assert.match(first.sha256, /^[0-9a-f]{64}$/);
+
+    const [reused] = await hashSources(inspected, { previous: [{ ...first, sha256: 'from-sidecar' }] });
+    assert.equal(reused.sha256, 'from-sidecar');
+
+    const [rehashed] = await hashSources(
+      [{ ...inspected[0], size: stat.size + 1 }],
+      { previous: [{ ...first, sha256: 'from-sidecar' }] }
+    );
+    assert.equal(rehashed.sha256, first.sha256);
+
+    const [missing] = await hashSources([{ name: 'gone', path: 'gone.csv', resolvedPath: path.join(tempDir, 'gone.csv'), exists: false }]);
+    assert.equal(missing.sha256, null);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createProgressTracker } from '../src/tables/progress.js';
+import { TABLE_JOB_PHASE } from '../src/tables/status.js';
+
+test('createProgressTracker publishes phases at once and throttles the log tail', async () => {
+  let clock = 1000;
+  const flushed = [];
+  const progress = createProgressTracker({
+    startedAt: 1000,
+    now: () => clock,
+    flushMs: 30,
+    logLines: 3,
+    flush: snapshot => flushed.push(snapshot),
+  });
+
+  progress.update({ phase: TABLE_JOB_PHASE.MATERIALIZING });
+  assert.equal(flushed.length, 1);
+  assert.equal(flushed[0].phase, 'materializing');
+
+  clock = 1250;
+  for (let i = 1; i <= 5; i++) progress.update({ output: `row ${i}\n` });
+  progress.update({ output: 'progress 10%\rprogress 90%' });
+  assert.equal(flushed.length, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(flushed.length, 2);
+  assert.deepEqual(flushed[1], {
+    phase: 'materializing',
+    phaseStartedAt: 1000,
+    startedAt: 1000,
+    elapsedMs: 250,
+    logTail: '… 3 lines truncated …\nrow 4\nrow 5\nprogress 90%',
+    updatedAt: 1250,
+  });
+
+  progress.update({ output: 'late\n' });
+  progress.stop();
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(flushed.length, 2);
+});
@@ -4,7 +4,7 @@ import fs from 'node:fs/promises';
 import os from 'node:os';
 import path from 'node:path';
 
-import { createDefaultExec } from '../src/tables/runner.js';
+import { createDefaultExec, executeMaterializationContract, runTableJob } from '../src/tables/runner.js';
 
 test('createDefaultExec executes a subprocess contract and reads csv cache rows', async () => {
   const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-runner-'));
@@ -35,8 +35,12 @@ test('createDefaultExec executes a subprocess contract and reads csv cache rows'
     assert.equal(result.rowCount, 2);
     assert.deepEqual(result.columnNames, ['Region', 'Revenue']);
     assert.deepEqual(result.rows, [
-      { Region: 'North', Revenue: '12.50' },
-      { Region: 'South', Revenue: '8.25' },
+      { Region: 'North', Revenue: 12.5 },
+      { Region: 'South', Revenue: 8.25 },
+    ]);
+    assert.deepEqual(result.columnTypes, [
+      { name: 'Region', type: 'string', nullable: false },
+      { name: 'Revenue', type: 'number', nullable: false },
     ]);
     assert.ok(result.artifacts.cacheExists);
     assert.ok(result.artifacts.scriptPath.endsWith(path.join('_assets', 'tables', 'sales-summary', 'transform.js')));
@@ -45,3 +49,197 @@ test('createDefaultExec executes a subprocess contract and reads csv cache rows'
     await fs.rm(tempDir, { recursive: true, force: true });
   }
 });
+
+test('createDefaultExec reads parquet caches back with column types', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-runner-'));
+  const fixturePath = new URL('./fixtures/tables/typed.gzip.parquet', import.meta.url).pathname;
+
+  try {
+    const exec = createDefaultExec({
+      projectRoot: tempDir,
+      documentPath: 'notes/demo.md',
+    });
+
+    await fs.mkdir(path.join(tempDir, 'notes'), { recursive: true });
+
+    const result = await exec({
+      executable: process.execPath,
+      args: [],
+      cwd: path.join(tempDir, 'notes'),
+      env: {},
+      scriptText: [
+        "const fs = require('node:fs');",
+        "fs.mkdirSync(require('node:path').dirname(process.env.MRMD_CACHE_PATH), { recursive: true });",
+        `fs.copyFileSync(${JSON.stringify(fixturePath)}, process.env.MRMD_CACHE_PATH);`,
+      ].join('\n'),
+      transformPath: '../_assets/tables/typed/transform.js',
+      cachePath: '../_assets/tables/typed/cache.parquet',
+    });
+
+    assert.equal(result.rowCount, 3);
+    assert.deepEqual(result.columnNames, ['id', 'price', 'name', 'active', 'day', 'at', 'amount']);
+    assert.equal(result.columnTypes.find(column => column.name === 'day').type, 'date');
+    assert.deepEqual(result.rows[0], {
+      id: 1,
+      price: 1.5,
+      name: 'alpha',
+      active: true,
+      day: '2024-01-01',
+      at: '2024-01-01T00:00:00.123Z',
+      amount: 12.34,
+    });
+    assert.equal(result.diagnostics, undefined);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('executeMaterializationContract kills the process group on abort and removes the partial cache', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-runner-'));
+  const pidPath = path.join(tempDir, 'grandchild.pid');
+
+  try {
+    const controller = new AbortController();
+    const running = executeMaterializationContract({
+      executable: process.execPath,
+      args: [],
+      env: {},
+      scriptText: [
+        "const fs = require('node:fs');",
+        "const { spawn } = require('node:child_process');",
+        "fs.writeFileSync(process.env.MRMD_CACHE_PATH, 'Region,Revenue\\nNorth,');",
+        "const grandchild = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });",
+        `fs.writeFileSync(${JSON.stringify(pidPath)}, String(grandchild.pid));`,
+        'setInterval(() => {}, 1000);',
+      ].join('\n'),
+      cachePath: 'cache.csv',
+    }, { projectRoot: tempDir, signal: controller.signal, killGraceMs: 500 });
+
+    while (!(await fs.stat(pidPath).catch(() => null))) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const grandchildPid = Number(await fs.readFile(pidPath, 'utf8'));
+
+    const reason = Object.assign(new Error('cancelled'), { code: 'cancelled' });
+    controller.abort(reason);
+    await assert.rejects(running, reason);
+
+    await assert.rejects(fs.stat(path.join(tempDir, 'cache.csv')), { code: 'ENOENT' });
+    // Killed, though it may linger briefly as an unreaped zombie
+    const isRunning = async (pid) => {
+      try {
+        process.kill(pid, 0);
+      } catch {
+        return false;
+      }
+      const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8').catch(() => '');
+      return !/^\d+ \(.*\) Z/.test(stat);
+    };
+    assert.equal(await isRunning(grandchildPid), false);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('createDefaultExec reuses a cache whose fingerprint still matches', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-runner-'));
+  const runsPath = path.join(tempDir, 'runs.log');
+  const sourcePath = path.join(tempDir, 'notes', 'sales.csv');
+
+  try {
+    await fs.mkdir(path.join(tempDir, 'notes'), { recursive: true });
+    await fs.writeFile(sourcePath, 'Region,Revenue\nNorth,12.50\n');
+
+    const lookups = [];
+    let phases = [];
+    const exec = createDefaultExec({
+      projectRoot: tempDir,
+      documentPath: 'notes/demo.md',
+      fingerprintSpec: { id: 'sales', sources: [{ name: 'sales', kind: 'file', path: 'sales.csv' }] },
+      onCacheLookup: lookup => lookups.push(lookup),
+      onProgress: ({ phase }) => { if (phase) phases.push(phase); },
+    });
+    const contract = {
+      executable: process.execPath,
+      args: [],
+      env: {},
+      scriptText: [
+        "const fs = require('node:fs');",
+        `fs.appendFileSync(${JSON.stringify(runsPath)}, 'run\\n');`,
+        `fs.copyFileSync(${JSON.stringify(sourcePath)}, process.env.MRMD_CACHE_PATH);`,
+      ].join('\n'),
+      cachePath: 'cache.csv',
+    };
+
+    const first = await exec(contract);
+    assert.deepEqual(phases, ['materializing', 'reading-cache']);
+    phases = [];
+    const second = await exec(contract);
+    assert.deepEqual(phases, ['reading-cache']);
+    assert.equal(first.artifacts.cacheHit, false);
+    assert.equal(second.artifacts.cacheHit, true);
+    assert.deepEqual(second.rows, first.rows);
+    assert.equal(await fs.readFile(runsPath, 'utf8'), 'run\n');
+    assert.equal(lookups[1].fingerprint, lookups[0].fingerprint);
+
+    await fs.writeFile(sourcePath, 'Region,Revenue\nSouth,8.25\n');
+    const third = await exec(contract);
+    assert.equal(third.artifacts.cacheHit, false);
+    assert.deepEqual(third.rows, [{ Region: 'South', Revenue: 8.25 }]);
+    assert.equal(await fs.readFile(runsPath, 'utf8'), 'run\nrun\n');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('runTableJob reports each phase once and skips materializing on a cache hit', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-monitor-runner-'));
+  const sourcePath = path.join(tempDir, 'notes', 'sales.csv');
+
+  try {
+    await fs.mkdir(path.join(tempDir, 'notes'), { recursive: true });
+    await fs.writeFile(sourcePath, 'Region,Revenue\nNorth,12.50\n');
+
+    const contract = {
+      executable: process.execPath,
+      args: [],
+      env: {},
+      scriptText: `require('node:fs').copyFileSync(${JSON.stringify(sourcePath)}, process.env.MRMD_CACHE_PATH);`,
+      cachePath: 'cache.csv',
+    };
+    const runtime = {
+      async materializeLinkedTable(spec, context) {
+        const result = await context.exec(contract);
+        return { ok: true, rowCount: result.rows.length };
+      },
+      async createMarkdownSnapshot() {
+        return { ok: true, markdown: '| Region |' };
+      },
+    };
+    const job = { jobType: 'materialize', spec: { id: 'sales', sources: [{ name: 'sales', kind: 'file', path: 'sales.csv' }] } };
+    const run = async (options = {}) => {
+      const phases = [];
+      const result = await runTableJob(job, {
+        projectRoot: tempDir,
+        documentPath: 'notes/demo.md',
+        runtime,
+        onProgress: ({ phase }) => { if (phase) phases.push(phase); },
+        ...options,
+      });
+      return { phases, result };
+    };
+
+    const miss = await run();
+    assert.equal(miss.result.artifacts.cacheHit, false);
+    assert.deepEqual(miss.phases, ['compiling', 'materializing', 'reading-cache', 'snapshotting']);
+
+    const hit = await run();
+    assert.equal(hit.result.artifacts.cacheHit, true);
+    assert.deepEqual(hit.phases, ['compiling', 'reading-cache', 'snapshotting']);
+
+    const custom = await run({ exec: async () => ({ rows: [] }) });
+    assert.deepEqual(custom.phases, ['compiling', 'materializing', 'snapshotting']);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
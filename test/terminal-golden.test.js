@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { TerminalBuffer } from '../src/terminal.js';
+
+// Each <name>.in is a raw terminal stream and <name>.txt the text the
+// buffer should render from it. top, less, ipython and ls were recorded
+// with `script -qfc` under TERM=xterm-256color (hostnames replaced); the
+// tqdm, apt and rich streams reproduce the byte sequences those tools emit.
+// Run with UPDATE_GOLDEN=1 to rewrite the .txt files after a deliberate change.
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'terminal');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+function render(input, chunkSize) {
+  const buffer = new TerminalBuffer();
+  if (!chunkSize) {
+    buffer.write(input);
+  } else {
+    for (let i = 0; i < input.length; i += chunkSize) {
+      buffer.write(input.slice(i, i + chunkSize));
+    }
+  }
+  return buffer.toString();
+}
+
+for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.in')).sort()) {
+  const name = file.slice(0, -3);
+
+  test(`TerminalBuffer renders the ${name} stream`, () => {
+    const input = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+    const expectedPath = path.join(FIXTURES, `${name}.txt`);
+    const output = render(input);
+
+    if (UPDATE) fs.writeFileSync(expectedPath, output);
+    assert.equal(output, fs.readFileSync(expectedPath, 'utf8'));
+
+    // Chunk boundaries split escape sequences and surrogate pairs
+    for (const size of [1, 7]) {
+      assert.equal(render(input, size), output, `chunk size ${size}`);
+    }
+  });
+}
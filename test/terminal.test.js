@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TerminalBuffer, processTerminalOutput } from '../src/terminal.js';
+
+test('TerminalBuffer keeps SGR styles per cell', () => {
+  const buffer = new TerminalBuffer();
+  buffer.write('\x1b[1;31mError\x1b[0m: \x1b[4;38;5;208mline 3\x1b[24m\n');
+  buffer.write('\x1b[38:2::255:0:128;103mpink\x1b[39;49m \x1b[7minv\x1b[m\n');
+
+  assert.equal(buffer.toString(), 'Error: line 3\npink inv');
+
+  const spans = buffer.toSpans();
+  assert.equal(spans.map(span => span.text).join(''), buffer.toString());
+  assert.deepEqual(spans.map(span => [span.text, span.style && { ...span.style }]), [
+    ['Error', { fg: 1, bg: null, bold: true, italic: false, underline: false, inverse: false, link: null }],
+    [': ', null],
+    ['line 3', { fg: 208, bg: null, bold: false, italic: false, underline: true, inverse: false, link: null }],
+    ['\n', null],
+    ['pink', { fg: '#ff0080', bg: 11, bold: false, italic: false, underline: false, inverse: false, link: null }],
+    [' ', null],
+    ['inv', { fg: null, bg: null, bold: false, italic: false, underline: false, inverse: true, link: null }],
+  ]);
+});
+
+test('TerminalBuffer.toAnsi re-emits only style changes and round-trips', () => {
+  const raw = '\x1b[32m10%\r\x1b[1m\x1b[32m50%\x1b[0m done\n\x1b[34mok\x1b[0m';
+  const ansi = processTerminalOutput(raw, { ansi: true });
+
+  assert.equal(ansi, '\x1b[1;32m50%\x1b[0m done\n\x1b[34mok\x1b[0m');
+  assert.equal(processTerminalOutput(raw), '50% done\nok');
+  assert.equal(processTerminalOutput(ansi, { ansi: true }), ansi);
+});
+
+test('TerminalBuffer caps scrollback, keeping the head and the tail', () => {
+  const buffer = new TerminalBuffer({ maxLines: 20, headLines: 2 });
+  for (let i = 0; i < 100; i++) buffer.write(`line ${i}\n`);
+  buffer.write('50%\r100%');
+
+  const lines = buffer.toString().split('\n');
+  assert.ok(buffer.lineCount <= 20);
+  assert.deepEqual(lines.slice(0, 3), ['line 0', 'line 1', `… ${buffer.truncatedLines} lines truncated …`]);
+  assert.equal(lines.at(-2), 'line 99');
+  assert.equal(lines.at(-1), '100%');
+  assert.equal(lines.length, buffer.lineCount + 1);
+  assert.equal(buffer.truncatedLines + buffer.lineCount, 101);
+
+  // Cursor movement can't reach back into the frozen head
+  buffer.write('\r\x1b[50A\x1b[2Kedited');
+  assert.equal(buffer.toString().split('\n')[3], 'edited');
+  assert.equal(buffer.toSpans().map(span => span.text).join(''), buffer.toString());
+});
+
+test('TerminalBuffer render cache follows edits to earlier rows', () => {
+  const buffer = new TerminalBuffer();
+  buffer.write('one\ntwo\nthree\n');
+  assert.equal(buffer.toString(), 'one\ntwo\nthree');
+
+  buffer.write('\x1b[3A\x1b[2Kuno\x1b[3B');
+  assert.equal(buffer.toString(), 'uno\ntwo\nthree');
+
+  buffer.write('\x1b[2A\r\x1b[J');
+  assert.equal(buffer.toString(), 'uno');
+});
+
+test('TerminalBuffer keeps OSC 8 links and titles, and drops alternate-screen output', () => {
+  const buffer = new TerminalBuffer();
+  buffer.write('\x1b]0;training\x07see \x1b]8;;https://example.com/run/1\x1b\\run 1\x1b]8;;\x1b\\ log\n');
+  buffer.write('\x1b[?1049h\x1b[Hfull-screen pager\x1b[?1049lwide 宽 ok');
+
+  assert.equal(buffer.title, 'training');
+  assert.equal(buffer.toString(), 'see run 1 log\nwide 宽 ok');
+  assert.deepEqual(
+    buffer.toSpans().filter(span => span.style?.link).map(span => [span.text, span.style.link]),
+    [['run 1', 'https://example.com/run/1']],
+  );
+
+  const replay = new TerminalBuffer();
+  replay.write(buffer.toAnsi());
+  assert.deepEqual(replay.toSpans(), buffer.toSpans());
+});